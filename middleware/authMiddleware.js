@@ -1,23 +1,41 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
 const protect = async (req, res, next) => {
   let token;
-  
+
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
-      next();
-    } catch (error) {
-      res.status(401).json({ message: 'Not authorized, token failed' });
-    }
+    token = req.headers.authorization.split(' ')[1];
   }
 
   if (!token) {
-    res.status(401).json({ message: 'Not authorized, no token' });
+    throw new UnauthorizedError('Not authorized, no token');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new UnauthorizedError('Not authorized, token failed');
   }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (user && user.suspendedAt) {
+    throw new ForbiddenError('Account suspended');
+  }
+
+  // Reject tokens for deleted or disabled accounts, and tokens issued
+  // before a password change or "log out of all devices"
+  if (!user || user.disabledAt || user.isTokenRevoked(decoded.iat)) {
+    throw new UnauthorizedError('Not authorized, token revoked');
+  }
+
+  req.user = user;
+  // Long-lived connections end when the token does
+  req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+  next();
 };
 
-module.exports = protect;
\ No newline at end of file
+module.exports = protect;
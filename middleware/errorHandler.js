@@ -0,0 +1,93 @@
+const logger = require('../utils/logger');
+const { HttpError, NotFoundError, RequestValidationError } = require('../utils/errors');
+const { sendValidationFailure, modelValidationErrors } = require('./validate');
+
+// Unmatched routes
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl.split('?')[0]}`));
+};
+
+// Fields whose values collided in a duplicate key error
+const duplicateFields = (error) => Object.keys(error.keyValue || error.keyPattern || {});
+
+/**
+ * Turn anything passed to next(error) into a response. Typed HTTP errors
+ * and Mongoose validation, cast and duplicate key errors become 4xx
+ * responses; everything else is logged and answered with a generic 500.
+ */
+// Express recognises error middleware by its four arguments
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    logger.error('Error after response was sent', { error });
+    return res.end();
+  }
+
+  if (error instanceof RequestValidationError) {
+    return sendValidationFailure(res, error.errors);
+  }
+
+  if (error instanceof HttpError) {
+    if (error.status >= 500) logger.error(error.message, { error });
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return sendValidationFailure(res, modelValidationErrors(error));
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.kind === 'ObjectId' ? 'ID' : 'value'} for ${error.path}`
+    });
+  }
+
+  if (error.code === 11000) {
+    const fields = duplicateFields(error);
+    return res.status(409).json({
+      success: false,
+      message: fields.length ? `A record with this ${fields.join(', ')} already exists` : 'Duplicate record',
+      fields
+    });
+  }
+
+  // Errors raised by body parsing and other Express middleware
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Request body is not valid JSON'
+    });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      message: 'Request body is too large'
+    });
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error('Unhandled error', {
+    error,
+    method: req.method,
+    path: req.originalUrl.split('?')[0]
+  });
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    requestId: req.id,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+module.exports = errorHandler;
+module.exports.notFound = notFound;
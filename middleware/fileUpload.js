@@ -1,45 +1,150 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const { getStorage, getQuarantineStorage } = require('../utils/storage');
+const { getScanner } = require('../utils/scanning');
+const { inspectResume, FileRejectedError } = require('../utils/fileInspection');
+const QuarantinedFile = require('../models/quarantinedFileModel');
+const { CONTENT_TYPES, removeResumeFile } = require('../utils/resumeFiles');
+const { sanitizeBody } = require('./sanitize');
+const logger = require('../utils/logger');
+const { HttpError, BadRequestError } = require('../utils/errors');
 
-// Configure upload directory
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+const ALLOWED_EXTENSIONS = Object.keys(CONTENT_TYPES);
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB limit
+const MAX_FILES = 10;
 
-// Configure storage settings
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueId = uuidv4();
+// Keep uploads in memory; they are written to the storage backend only
+// once they have passed inspection and scanning
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
-    cb(null, `resume-${uniqueId}${ext}`);
+
+    if (ALLOWED_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF, DOC, and DOCX files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES,
+    // Text fields of the multipart body, in line with the JSON body limit
+    fields: 100,
+    fieldSize: 100 * 1024
   }
 });
 
-// Configure file filter
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['.pdf', '.doc', '.docx'];
-  const ext = path.extname(file.originalname).toLowerCase();
-  
-  if (allowedTypes.includes(ext)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only PDF, DOC, and DOCX files are allowed'), false);
+// Keep a copy of a rejected upload out of reach of the API for review
+const quarantine = async (req, file, key, reason, detail) => {
+  try {
+    await getQuarantineStorage().save(key, file.buffer, { contentType: 'application/octet-stream' });
+    await QuarantinedFile.create({
+      key,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      reason,
+      detail,
+      uploadedBy: req.user && req.user._id,
+      ip: req.ip
+    });
+  } catch (error) {
+    logger.error('Failed to quarantine upload', { error, key });
   }
 };
 
-// Create and export multer instance
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+// Inspect, scan and store one uploaded file. Sets `file.filename` to the
+// storage key, or returns the HttpError to answer with.
+const storeFile = async (req, file) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  const key = `resume-${uuidv4()}${ext}`;
+
+  try {
+    const type = inspectResume(file.buffer, file.originalname);
+
+    const result = await getScanner().scan(file.buffer);
+    if (!result.clean) {
+      await quarantine(req, file, key, 'malware', result.signature);
+      logger.warn('Malware upload blocked', { signature: result.signature, userId: req.user && req.user._id.toString() });
+      return new BadRequestError('The uploaded file was flagged by the virus scanner and has been rejected');
+    }
+
+    // Trust the sniffed type over the client-supplied MIME type
+    file.mimetype = CONTENT_TYPES[`.${type}`];
+    await getStorage().save(key, file.buffer, { contentType: file.mimetype });
+  } catch (error) {
+    if (error instanceof FileRejectedError) {
+      await quarantine(req, file, key, error.reason, error.message);
+      return new BadRequestError(`The uploaded file was rejected: ${error.message}`);
+    }
+
+    logger.error('Resume upload error', { error });
+    return new HttpError(503, 'The uploaded file could not be processed. Please try again later');
   }
-});
 
-module.exports = upload;
\ No newline at end of file
+  file.filename = key;
+  file.buffer = undefined;
+  return null;
+};
+
+/**
+ * Shared resume upload pipeline: parse the optional multipart file in
+ * `fieldName`, verify its content (magic bytes, no encryption or macros),
+ * scan it for malware and persist accepted files to the storage backend.
+ * Rejected files are quarantined and answered with 400.
+ *
+ * On success `req.file.filename` holds the storage key. If the request
+ * later fails (any 4xx/5xx response), the stored files are removed again so
+ * no orphaned uploads are left behind.
+ *
+ * Pass `extraFields` (a RegExp) to also accept other file fields whose
+ * names match it; every accepted file is then listed in `req.files`.
+ */
+const resumeUpload = (fieldName = 'resume', { extraFields } = {}) => (req, res, next) => {
+  const parse = extraFields ? upload.any() : upload.single(fieldName);
+
+  parse(req, res, async (err) => {
+    if (err) {
+      return next(new BadRequestError(err.message));
+    }
+
+    let files = req.file ? [req.file] : [];
+    if (extraFields) {
+      files = req.files || [];
+      const unexpected = files.find(file => file.fieldname !== fieldName && !extraFields.test(file.fieldname));
+      if (unexpected) {
+        return next(new BadRequestError(`Unexpected file field "${unexpected.fieldname}"`));
+      }
+      req.file = files.find(file => file.fieldname === fieldName);
+    }
+
+    // Multipart fields were parsed after the app-wide sanitizer ran
+    sanitizeBody(req);
+
+    if (!files.length) {
+      return next();
+    }
+
+    const stored = [];
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        stored.forEach(key => removeResumeFile(key));
+      }
+    });
+
+    for (const file of files) {
+      const failure = await storeFile(req, file);
+      if (failure) {
+        return next(failure);
+      }
+      stored.push(file.filename);
+    }
+
+    next();
+  });
+};
+
+module.exports = resumeUpload;
+module.exports.ALLOWED_EXTENSIONS = ALLOWED_EXTENSIONS;
@@ -0,0 +1,83 @@
+const logger = require('../utils/logger');
+const { HttpError, TooManyRequestsError } = require('../utils/errors');
+const { getRateLimitStore } = require('../utils/rateLimit');
+
+// What a request counts against. `user` falls back to the IP for requests
+// `protect` has not authenticated.
+const KEY_GENERATORS = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`)
+};
+
+// RATE_LIMIT_FAIL_OPEN=true lets requests through while the store is
+// unreachable; by default they are refused with 503
+const FAIL_OPEN = process.env.RATE_LIMIT_FAIL_OPEN === 'true';
+
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS override a
+// limiter's defaults
+const readLimits = (name, windowMs, max) => {
+  const prefix = `RATE_LIMIT_${name.replace(/[^a-z\d]+/gi, '_').toUpperCase()}`;
+  return {
+    windowMs: Number(process.env[`${prefix}_WINDOW_MS`]) || windowMs,
+    max: Number(process.env[`${prefix}_MAX`]) || max
+  };
+};
+
+/**
+ * Build middleware allowing `max` requests per `windowMs` for each key.
+ * `keyBy` is 'ip', 'user', a function of the request, or a list of them;
+ * with a list every key is counted and the request must fit all of them
+ * (e.g. ['ip', 'user'] so neither one account nor one address can flood).
+ * Sets the RateLimit-* headers on every response and answers 429 with
+ * Retry-After once a key is over its limit. If the store is unreachable
+ * requests are refused with 503, or let through when `failOpen` (default
+ * RATE_LIMIT_FAIL_OPEN) is set; either way the failure is logged.
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyBy = 'ip',
+  message = 'Too many requests, please try again later',
+  failOpen = FAIL_OPEN
+}) => {
+  const keyFns = [].concat(keyBy).map(key => (typeof key === 'function' ? key : KEY_GENERATORS[key]));
+  if (keyFns.some(fn => !fn)) {
+    throw new Error(`Unknown rate limit key for "${name}". Use ${Object.keys(KEY_GENERATORS).join(', ')} or a function`);
+  }
+
+  const limits = readLimits(name, windowMs, max);
+
+  return async (req, res, next) => {
+    let windows;
+    try {
+      const store = getRateLimitStore();
+      windows = await Promise.all(keyFns.map(fn => store.increment(`${name}:${fn(req)}`, limits.windowMs)));
+    } catch (error) {
+      logger.error('Rate limit store unavailable', { error, limiter: name, failOpen });
+      return next(failOpen ? undefined : new HttpError(503, 'Service temporarily unavailable, please try again later'));
+    }
+
+    // Report the window closest to its limit
+    const tightest = windows.reduce((worst, window) => (window.count > worst.count ? window : worst));
+    const resetSeconds = Math.max(0, Math.ceil((tightest.resetAt.getTime() - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(limits.max),
+      'RateLimit-Remaining': String(Math.max(0, limits.max - tightest.count)),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limits.max};w=${Math.ceil(limits.windowMs / 1000)}`
+    });
+
+    if (tightest.count > limits.max) {
+      logger.warn('Rate limit exceeded', { limiter: name, ip: req.ip, userId: req.user && req.user._id.toString() });
+      return next(new TooManyRequestsError(message, Math.max(1, resetSeconds)));
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
+module.exports.KEY_GENERATORS = KEY_GENERATORS;
+module.exports.FAIL_OPEN = FAIL_OPEN;
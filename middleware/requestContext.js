@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs from a proxy or client are reused so a request can be traced across
+// services; anything unexpected is replaced rather than echoed back
+const isUsableId = (id) => typeof id === 'string' && /^[\w.:-]{1,128}$/.test(id);
+
+/**
+ * Give every request a correlation ID (req.id, echoed in X-Request-Id), run
+ * the rest of the chain in its logging context, and log the outcome once
+ * the response is sent.
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = isUsableId(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'warn' : 'info';
+    logger[level]('Request completed', {
+      requestId,
+      method: req.method,
+      // Without the query string, which can carry tokens
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      userId: req.user ? req.user._id.toString() : undefined
+    });
+  });
+
+  logger.runWithContext({ requestId }, next);
+};
+
+module.exports = requestContext;
+module.exports.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
@@ -1,7 +1,9 @@
+const { ForbiddenError } = require('../utils/errors');
+
 const roleAuthorization = (roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
+      throw new ForbiddenError('Access denied');
     }
     next();
   };
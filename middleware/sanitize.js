@@ -0,0 +1,64 @@
+const logger = require('../utils/logger');
+
+// Keys that could smuggle query operators into a Mongo filter or update
+// ($gt, $where, $set, ...) or reach Object.prototype
+const isUnsafeKey = (key) => key.startsWith('$') || ['__proto__', 'constructor', 'prototype'].includes(key);
+
+/**
+ * Copy `value` without unsafe keys at any depth. Returns the cleaned value
+ * and the paths of the keys that were dropped.
+ */
+const stripOperators = (value, path = '', removed = []) => {
+  if (Array.isArray(value)) {
+    return { value: value.map((item, index) => stripOperators(item, `${path}${index}.`, removed).value), removed };
+  }
+  if (value === null || typeof value !== 'object' || Buffer.isBuffer(value) || value instanceof Date) {
+    return { value, removed };
+  }
+
+  const cleaned = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (isUnsafeKey(key)) {
+      removed.push(`${path}${key}`);
+      continue;
+    }
+    cleaned[key] = stripOperators(item, `${path}${key}.`, removed).value;
+  }
+  return { value: cleaned, removed };
+};
+
+/**
+ * Strip operator and prototype keys from `req.body` and `req.query`, so
+ * user input like { email: { $gt: '' } } can never become part of a query.
+ * Runs after body parsing; multipart bodies are cleaned by the upload
+ * middleware once multer has parsed them. Route params are plain strings.
+ */
+const sanitize = (req, res, next) => {
+  const removed = [];
+
+  if (req.body && typeof req.body === 'object') {
+    req.body = stripOperators(req.body, 'body.', removed).value;
+  }
+
+  // Express 5 parses req.query on every read, so pin the cleaned copy
+  const query = stripOperators(req.query, 'query.', removed).value;
+  Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true, enumerable: true });
+
+  if (removed.length) {
+    logger.warn('Stripped operator keys from request', { keys: removed });
+  }
+  next();
+};
+
+// Same clean-up for a body parsed later in the chain (e.g. by multer)
+const sanitizeBody = (req) => {
+  const { value, removed } = stripOperators(req.body || {}, 'body.');
+  req.body = value;
+  if (removed.length) {
+    logger.warn('Stripped operator keys from request', { keys: removed });
+  }
+};
+
+module.exports = sanitize;
+module.exports.stripOperators = stripOperators;
+module.exports.sanitizeBody = sanitizeBody;
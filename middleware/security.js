@@ -0,0 +1,77 @@
+const cors = require('cors');
+
+// The API only answers with JSON and file downloads, so nothing it sends
+// needs to run scripts, load resources or be framed
+const DEFAULT_CSP = "default-src 'none'; frame-ancestors 'none'; base-uri 'none'; form-action 'none'";
+const DEFAULT_HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+const DEFAULT_CORS_ORIGINS = ['http://localhost:3000'];
+
+const EXPOSED_HEADERS = [
+  'X-Request-Id',
+  'Retry-After',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'RateLimit-Policy'
+];
+
+// CORS_ORIGINS: comma-separated origins allowed to call the API with
+// credentials, e.g. https://jobs.example.com,https://admin.example.com
+const allowedOrigins = () => {
+  const configured = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return configured.length ? configured : DEFAULT_CORS_ORIGINS;
+};
+
+/**
+ * CORS for the origins in CORS_ORIGINS. Requests without an Origin header
+ * (curl, server-to-server) pass; other origins get no CORS headers, so
+ * browsers block them.
+ */
+const corsPolicy = () => {
+  const origins = allowedOrigins();
+  return cors({
+    origin: (origin, callback) => callback(null, !origin || origins.includes(origin)),
+    credentials: true,
+    exposedHeaders: EXPOSED_HEADERS
+  });
+};
+
+/**
+ * Security headers on every response. CONTENT_SECURITY_POLICY replaces
+ * the default policy; HSTS_MAX_AGE (seconds, 0 to disable) controls
+ * Strict-Transport-Security, which browsers only honour over HTTPS.
+ */
+const securityHeaders = () => {
+  const csp = process.env.CONTENT_SECURITY_POLICY || DEFAULT_CSP;
+  const hstsMaxAge = process.env.HSTS_MAX_AGE !== undefined
+    ? Number(process.env.HSTS_MAX_AGE)
+    : DEFAULT_HSTS_MAX_AGE;
+
+  const headers = {
+    'Content-Security-Policy': csp,
+    'X-Frame-Options': 'DENY',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Resource-Policy': 'same-site',
+    'X-DNS-Prefetch-Control': 'off',
+    'X-Permitted-Cross-Domain-Policies': 'none'
+  };
+  if (hstsMaxAge > 0) {
+    headers['Strict-Transport-Security'] = `max-age=${hstsMaxAge}; includeSubDomains`;
+  }
+
+  return (req, res, next) => {
+    res.set(headers);
+    next();
+  };
+};
+
+module.exports = {
+  corsPolicy,
+  securityHeaders,
+  allowedOrigins
+};
@@ -0,0 +1,266 @@
+const validator = require('validator');
+
+// Declarative request validation. A schema lists the accepted fields for
+// each part of the request:
+//
+//   validate({
+//     params: { id: { type: 'objectId', required: true } },
+//     query: { page: { type: 'integer', min: 1 } },
+//     body: { title: { type: 'string', required: true, maxLength: 100 } }
+//   })
+//
+// Values are coerced to their declared type (query strings and multipart
+// fields arrive as text) and fields outside the schema are dropped, so
+// handlers only see whitelisted input. Locations left out of the schema
+// are not touched.
+//
+// Field rules:
+//   type          string, number, integer, boolean, date, objectId, email,
+//                 url, array, object or any
+//   required      reject when missing or empty
+//   nullable      accept null (e.g. to clear a date)
+//   default       used when the field is missing
+//   trim          strings are trimmed unless this is false
+//   lowercase     lowercase strings
+//   minLength, maxLength, pattern (+ patternMessage), enum
+//   min, max      numbers
+//   items         rule for array elements; minItems, maxItems; split
+//                 accepts "a,b" as a list
+//   properties    nested fields of an object; allowUnknown keeps the rest
+//   json          parse a JSON string first (for multipart bodies)
+//   validate      (value) => error message or undefined, for anything else
+//   label         name used in messages instead of the field path
+//
+// Failures share one response shape:
+//   { success: false, message, errors: [{ location, field, message }] }
+// The status is 400 when the request is malformed (wrong type, invalid ID,
+// unparseable value) and 422 when it is well-formed but breaks a rule
+// (missing field, out of range, not an allowed value).
+
+const INVALID = Symbol('invalid');
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  date: 'a valid date',
+  objectId: 'a valid ID',
+  email: 'a string',
+  url: 'a string',
+  array: 'a list',
+  object: 'an object'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date);
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Convert a raw value to the rule's type; INVALID when it cannot be
+const coerce = (rule, value) => {
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'url':
+      if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+      return typeof value === 'string' ? value : INVALID;
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && validator.isFloat(value.trim()) ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return INVALID;
+      return rule.type === 'integer' && !Number.isInteger(number) ? INVALID : number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', '1'].includes(value)) return true;
+      if (['false', '0'].includes(value)) return false;
+      return INVALID;
+    case 'date': {
+      if (value instanceof Date) return isNaN(value.getTime()) ? INVALID : value;
+      if (typeof value === 'string' && validator.isISO8601(value.trim())) return new Date(value);
+      if (typeof value === 'number' && Number.isFinite(value)) return new Date(value);
+      return INVALID;
+    }
+    case 'objectId':
+      return typeof value === 'string' && validator.isMongoId(value) ? value : INVALID;
+    case 'array':
+      if (Array.isArray(value)) return value;
+      if (rule.split && typeof value === 'string') {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+      }
+      return INVALID;
+    case 'object':
+      return isPlainObject(value) ? value : INVALID;
+    default:
+      return value;
+  }
+};
+
+/**
+ * Check one value against its rule, pushing failures onto `errors`.
+ * Returns the cleaned value, or undefined when the field should be dropped.
+ */
+const checkField = (rule, raw, field, location, errors) => {
+  const fail = (message, malformed = false) => {
+    errors.push({ location, field, message: `${rule.label || field} ${message}`, malformed });
+    return undefined;
+  };
+
+  let value = raw;
+  if (rule.json && typeof value === 'string' && value.trim()) {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return fail('must be valid JSON', true);
+    }
+  }
+
+  if (value === null && rule.nullable) return null;
+  if (typeof value === 'string' && rule.trim !== false) value = value.trim();
+  // Empty strings only count as a value for optional string fields
+  if (isMissing(value) && !(value === '' && ['string', 'any'].includes(rule.type) && !rule.required)) {
+    if (rule.required) return fail('is required');
+    return rule.default !== undefined ? rule.default : undefined;
+  }
+
+  value = coerce(rule, value);
+  if (value === INVALID) {
+    return fail(`must be ${TYPE_NAMES[rule.type]}`, true);
+  }
+
+  if (typeof value === 'string') {
+    if (rule.lowercase || rule.type === 'email') value = value.toLowerCase();
+    if (rule.type === 'email' && !validator.isEmail(value)) {
+      return fail('must be a valid email address');
+    }
+    if (rule.type === 'url' && value && !validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true })) {
+      return fail('must be a valid http(s) URL');
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return fail(`must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail(`cannot exceed ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return fail(rule.patternMessage || 'has an invalid format');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (rule.type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return fail(`needs at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return fail(`cannot have more than ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      const before = errors.length;
+      value = value.map((item, index) => checkField(rule.items, item, `${field}.${index}`, location, errors));
+      if (errors.length > before) return undefined;
+      value = value.filter(item => item !== undefined);
+    }
+  }
+
+  if (rule.type === 'object' && rule.properties) {
+    const before = errors.length;
+    value = checkFields(rule.properties, value, location, errors, { prefix: `${field}.`, allowUnknown: rule.allowUnknown });
+    if (errors.length > before) return undefined;
+  }
+
+  if (rule.validate) {
+    const message = rule.validate(value);
+    if (message) return fail(message);
+  }
+
+  return value;
+};
+
+// Validate every field of `fields` in `source`, returning the cleaned copy
+const checkFields = (fields, source = {}, location, errors, { prefix = '', allowUnknown = false } = {}) => {
+  const cleaned = allowUnknown ? { ...source } : {};
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = checkField(rule, source[name], `${prefix}${name}`, location, errors);
+    if (value === undefined) {
+      delete cleaned[name];
+    } else {
+      cleaned[name] = value;
+    }
+  }
+
+  return cleaned;
+};
+
+/**
+ * Send the shared validation failure response. `message` joins the
+ * individual messages so clients that only show it still say what is wrong.
+ */
+const sendValidationFailure = (res, errors) => res.status(errors.some(error => error.malformed) ? 400 : 422).json({
+  success: false,
+  message: errors.map(error => error.message).join(', '),
+  errors: errors.map(({ location, field, message }) => ({ location, field, message }))
+});
+
+// A Mongoose ValidationError in the same `errors` format; cast failures
+// (wrong type) count as malformed
+const modelValidationErrors = (error) => Object.values(error.errors).map(err => ({
+  location: 'body',
+  field: err.path,
+  message: err.message,
+  malformed: err.name === 'CastError'
+}));
+
+/**
+ * Build middleware that validates and whitelists `params`, `query` and
+ * `body` against `schema`. Locations named in `allowUnknown` keep fields
+ * the schema does not list (e.g. dynamic query keys).
+ */
+const validate = (schema, { allowUnknown = [] } = {}) => (req, res, next) => {
+  const errors = [];
+  const cleaned = {};
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) continue;
+    const source = isPlainObject(req[location]) ? req[location] : {};
+    cleaned[location] = checkFields(schema[location], source, location, errors, {
+      allowUnknown: allowUnknown.includes(location)
+    });
+  }
+
+  if (errors.length) {
+    return sendValidationFailure(res, errors);
+  }
+
+  if (cleaned.params) Object.assign(req.params, cleaned.params);
+  if (cleaned.body) req.body = cleaned.body;
+  // Express 5 parses req.query on every read, so pin the cleaned copy
+  if (cleaned.query) {
+    Object.defineProperty(req, 'query', { value: cleaned.query, writable: true, configurable: true, enumerable: true });
+  }
+
+  next();
+};
+
+// Shared rules
+const objectIdParam = { type: 'objectId', required: true };
+const paginationQuery = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 }
+};
+
+module.exports = validate;
+module.exports.sendValidationFailure = sendValidationFailure;
+module.exports.modelValidationErrors = modelValidationErrors;
+module.exports.objectIdParam = objectIdParam;
+module.exports.paginationQuery = paginationQuery;
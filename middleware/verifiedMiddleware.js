@@ -0,0 +1,18 @@
+const { ForbiddenError } = require('../utils/errors');
+
+// Block company accounts with unverified emails from the wrapped route.
+// Enabled with REQUIRE_VERIFIED_COMPANY=true so existing deployments are
+// not locked out before their users have verified.
+const requireVerifiedCompany = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_COMPANY !== 'true') {
+    return next();
+  }
+
+  if (req.user.role === 'company' && !req.user.emailVerified) {
+    throw new ForbiddenError('Please verify your email address before posting jobs');
+  }
+
+  next();
+};
+
+module.exports = requireVerifiedCompany;
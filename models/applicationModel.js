@@ -1,4 +1,71 @@
 const mongoose = require('mongoose');
+const { workflow } = require('../utils/applicationWorkflow');
+const { resumeAnalysisSchema } = require('./resumeModel');
+
+// One entry per status change; `note` and `rejectionReason` are internal
+// unless the company chooses to share them with the applicant
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  // Empty for automatic changes such as screening knockouts
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.changedByRole !== 'system'; }
+  },
+  changedByRole: {
+    type: String,
+    enum: ['company', 'jobSeeker', 'system'],
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  visibleToApplicant: {
+    type: Boolean,
+    default: false
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Answer to one of the job's screening questions, with the prompt copied so
+// later edits to the job do not change what the applicant answered
+const screeningAnswerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  prompt: String,
+  type: String,
+  value: mongoose.Schema.Types.Mixed,
+  file: {
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number
+  },
+  // Whether this answer failed a knockout rule
+  knockout: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
 
 const applicationSchema = new mongoose.Schema({
   job: { 
@@ -15,17 +82,140 @@ const applicationSchema = new mongoose.Schema({
     type: String, 
     required: true 
   },
+  // Copy of the resume as it was when the application was submitted; the
+  // file is the application's own, so later library changes do not affect it
+  resumeSnapshot: {
+    sourceResume: { type: mongoose.Schema.Types.ObjectId, ref: 'Resume', immutable: true },
+    originalName: { type: String, immutable: true },
+    filename: { type: String, immutable: true },
+    mimeType: { type: String, immutable: true },
+    size: { type: Number, immutable: true },
+    capturedAt: { type: Date, immutable: true }
+  },
+  // Extracted resume text; large, so only loaded on request
+  resumeText: {
+    type: String,
+    select: false
+  },
+  resumeAnalysis: {
+    type: resumeAnalysisSchema,
+    default: () => ({})
+  },
   coverLetter: { 
     type: String, 
-    required: true 
+    trim: true,
+    default: '',
+    maxlength: [5000, 'Cover letter cannot exceed 5000 characters']
+  },
+  // Fit between the applicant's profile and the job when they applied
+  matchScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  matchedSkills: {
+    type: [String],
+    default: []
   },
   status: {
     type: String,
-    enum: ['pending', 'reviewed', 'rejected', 'accepted'],
-    default: 'pending'
+    enum: workflow.statuses,
+    default: workflow.initialStatus
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  screeningAnswers: {
+    type: [screeningAnswerSchema],
+    default: []
+  },
+  // Rejected automatically because a knockout answer did not qualify
+  knockedOut: {
+    type: Boolean,
+    default: false
   }
 }, { 
   timestamps: true 
 });
 
+/**
+ * Move the application to `status`, enforcing the workflow and recording
+ * the change. Throws InvalidTransitionError for illegal moves.
+ */
+applicationSchema.methods.transitionTo = function(status, { user, role, note, rejectionReason, visibleToApplicant } = {}) {
+  workflow.assertTransition(this.status, status, role);
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: user,
+    changedByRole: role,
+    note,
+    rejectionReason: status === 'rejected' ? rejectionReason : undefined,
+    visibleToApplicant: Boolean(visibleToApplicant)
+  });
+  this.status = status;
+};
+
+// The applicant's view of the history: no reviewer identities or internal notes
+applicationSchema.statics.applicantTimeline = function(history = []) {
+  return history.map(entry => ({
+    status: entry.to,
+    changedAt: entry.changedAt,
+    ...(entry.visibleToApplicant && entry.note ? { note: entry.note } : {}),
+    ...(entry.visibleToApplicant && entry.rejectionReason ? { rejectionReason: entry.rejectionReason } : {})
+  }));
+};
+
+// Compact view of the parsed resume for company application listings
+applicationSchema.statics.resumeSummary = function(analysis) {
+  if (!analysis || analysis.status !== 'completed' || !analysis.parsed) {
+    return { status: (analysis && analysis.status) || 'pending' };
+  }
+
+  const { contact = {}, skills = [], experience = [], education = [] } = analysis.parsed;
+  const latestRole = experience[0];
+  return {
+    status: 'completed',
+    name: contact.name,
+    emails: contact.emails,
+    phones: contact.phones,
+    links: contact.links,
+    skills,
+    latestRole: latestRole ? { title: latestRole.title, company: latestRole.company } : null,
+    education: education.map(({ degree, institution }) => ({ degree, institution }))
+  };
+};
+
+// Candidate search; one text index per collection, so every searchable field is here
+applicationSchema.index(
+  {
+    'resumeAnalysis.parsed.skills': 'text',
+    matchedSkills: 'text',
+    'resumeAnalysis.parsed.contact.name': 'text',
+    'resumeAnalysis.parsed.contact.emails': 'text',
+    coverLetter: 'text',
+    resumeText: 'text'
+  },
+  {
+    weights: {
+      'resumeAnalysis.parsed.skills': 10,
+      matchedSkills: 10,
+      'resumeAnalysis.parsed.contact.name': 5,
+      'resumeAnalysis.parsed.contact.emails': 5,
+      coverLetter: 2,
+      resumeText: 1
+    },
+    name: 'application_text_search'
+  }
+);
+
+applicationSchema.index({ job: 1, matchScore: -1 });
+applicationSchema.index({ job: 1, status: 1, createdAt: -1 });
+applicationSchema.index({ job: 1, knockedOut: 1, createdAt: -1 });
+// Also lets candidate search combine $text with an applicant match in one $or
+applicationSchema.index({ user: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Application', applicationSchema);
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'user.suspend',
+  'user.unsuspend',
+  'user.reactivate',
+  'user.delete',
+  'organization.verify',
+  'organization.unverify',
+  'job.takeDown',
+  'job.restore',
+  'report.resolve',
+  'report.dismiss'
+];
+const AUDIT_TARGET_TYPES = ['User', 'Organization', 'Job', 'JobReport'];
+
+// Append-only record of moderation actions, written before each action is
+// carried out. The actor's email and a label for the target are copied in
+// so entries stay readable after deletions.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorEmail: String,
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  targetLabel: String,
+  reason: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  ip: String,
+  userAgent: String,
+  // Set when the action failed after it was recorded
+  failedAt: {
+    type: Date,
+    default: undefined
+  },
+  failureReason: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.AUDIT_TARGET_TYPES = AUDIT_TARGET_TYPES;
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+const INTERVIEW_STATUSES = ['proposed', 'scheduled', 'declined', 'cancelled'];
+const INTERVIEW_MODES = ['video', 'phone', 'in-person'];
+const MAX_SLOTS = 10;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const slotSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: [true, 'Slot start time is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'Slot end time is required']
+  }
+});
+
+slotSchema.pre('validate', function(next) {
+  if (this.start && this.end && this.end <= this.start) {
+    this.invalidate('end', 'Slot must end after it starts', this.end);
+  }
+  next();
+});
+
+const interviewSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  interviewers: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    validate: [list => list.length > 0, 'At least one interviewer is required']
+  },
+  status: {
+    type: String,
+    enum: INTERVIEW_STATUSES,
+    default: 'proposed'
+  },
+  // Times on offer while the interview is `proposed`; the side that did not
+  // propose them picks one
+  slots: {
+    type: [slotSchema],
+    validate: [list => list.length <= MAX_SLOTS, `No more than ${MAX_SLOTS} slots can be proposed`]
+  },
+  proposedBy: {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String, enum: ['company', 'jobSeeker'] }
+  },
+  scheduledSlot: {
+    start: Date,
+    end: Date
+  },
+  // IANA zone the times are presented in, e.g. "Asia/Colombo"
+  timezone: {
+    type: String,
+    required: [true, 'Timezone is required'],
+    validate: [isValidTimezone, 'Invalid timezone']
+  },
+  mode: {
+    type: String,
+    enum: INTERVIEW_MODES,
+    default: 'video'
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+  videoLink: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: value => !value || validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true }),
+      message: 'Video link must be an http(s) URL'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  // Incremented on every change to a scheduled interview so calendar
+  // clients replace the earlier invite
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  declineReason: String,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelReason: String,
+  // Reminder windows (e.g. "24h") already sent for the scheduled slot
+  remindersSent: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+interviewSchema.pre('validate', function(next) {
+  if (this.status === 'proposed' && !this.slots.length) {
+    this.invalidate('slots', 'Propose at least one time slot');
+  }
+  if (this.mode === 'in-person' && !this.location) {
+    this.invalidate('location', 'A location is required for in-person interviews');
+  }
+  next();
+});
+
+/**
+ * Scheduled interviews of any of `userIds` (as interviewer) that overlap
+ * the given window, ignoring `excludeId`.
+ */
+interviewSchema.statics.findConflicts = function(userIds, start, end, excludeId) {
+  return this.find({
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    status: 'scheduled',
+    interviewers: { $in: userIds },
+    'scheduledSlot.start': { $lt: end },
+    'scheduledSlot.end': { $gt: start }
+  })
+    .select('interviewers scheduledSlot job')
+    .lean();
+};
+
+interviewSchema.index({ application: 1, createdAt: -1 });
+interviewSchema.index({ candidate: 1, status: 1, 'scheduledSlot.start': 1 });
+interviewSchema.index({ interviewers: 1, status: 1, 'scheduledSlot.start': 1 });
+interviewSchema.index({ status: 1, 'scheduledSlot.start': 1 });
+
+module.exports = mongoose.model('Interview', interviewSchema);
+module.exports.INTERVIEW_STATUSES = INTERVIEW_STATUSES;
+module.exports.INTERVIEW_MODES = INTERVIEW_MODES;
+module.exports.MAX_SLOTS = MAX_SLOTS;
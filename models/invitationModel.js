@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { ORGANIZATION_ROLES } = require('./organizationModel');
+
+// Pending invitation for an email address to join an organization. Only a
+// SHA-256 hash of the invitation token is stored.
+const invitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Invalid email format']
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES.filter(role => role !== 'owner'),
+    default: 'recruiter'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { 
+  timestamps: true 
+});
+
+invitationSchema.index({ organization: 1, email: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
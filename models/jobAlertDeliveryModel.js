@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A job that has been sent to a user in an alert. Unique per user, so a
+// job matching several of their saved searches is only ever sent once.
+const jobAlertDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch'
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobAlertDeliverySchema.index({ user: 1, job: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobAlertDelivery', jobAlertDeliverySchema);
@@ -1,4 +1,172 @@
 const mongoose = require('mongoose');
+const validator = require('validator');
+const { SALARY_PERIODS, annualRange } = require('../utils/salary');
+const { removeResumeFile } = require('../utils/resumeFiles');
+const { normalizeSkills } = require('../utils/skills');
+const JobView = require('./jobViewModel');
+const Message = require('./messageModel');
+const JobReport = require('./jobReportModel');
+const Interview = require('./interviewModel');
+const Notification = require('./notificationModel');
+
+const JOB_STATUSES = ['draft', 'open', 'closed', 'expired', 'removed'];
+const JOB_TYPES = ['full-time', 'part-time', 'contract', 'internship', 'remote'];
+const QUESTION_TYPES = ['text', 'multipleChoice', 'yesNo', 'number', 'file'];
+const MAX_SCREENING_QUESTIONS = 20;
+
+// Allowed status changes; expiry is applied by the scheduler and removal by
+// administrators, not by owners
+const JOB_STATUS_TRANSITIONS = {
+  draft: ['open'],
+  open: ['closed'],
+  closed: ['open'],
+  expired: ['open', 'closed']
+};
+
+const salarySchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    min: [0, 'Minimum salary cannot be negative']
+  },
+  max: {
+    type: Number,
+    min: [0, 'Maximum salary cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Salary currency is required'],
+    uppercase: true,
+    trim: true,
+    validate: {
+      validator: value => validator.isISO4217(value),
+      message: props => `${props.value} is not a valid ISO 4217 currency code`
+    }
+  },
+  period: {
+    type: String,
+    enum: SALARY_PERIODS,
+    default: 'yearly'
+  },
+  negotiable: {
+    type: Boolean,
+    default: false
+  },
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  // Normalized annual figures used for filtering and sorting; left unset
+  // for hidden salaries so they cannot be probed through range filters
+  annualMin: Number,
+  annualMax: Number
+}, { _id: false });
+
+salarySchema.pre('validate', function(next) {
+  if (this.min !== undefined && this.max !== undefined && this.min > this.max) {
+    this.invalidate('max', 'Maximum salary must be greater than or equal to minimum salary', this.max);
+  }
+
+  if (this.min === undefined && this.max === undefined && !this.negotiable) {
+    this.invalidate('min', 'Provide a salary amount or mark it as negotiable');
+  }
+
+  if (this.hidden) {
+    this.annualMin = undefined;
+    this.annualMax = undefined;
+  } else {
+    Object.assign(this, annualRange(this));
+  }
+
+  next();
+});
+
+// Screening question asked when applying. Knockout rules describe the
+// answers that qualify; any other answer rejects the application.
+const screeningQuestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, 'Question type is required']
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [500, 'Question text cannot exceed 500 characters']
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // multipleChoice
+  options: {
+    type: [{ type: String, trim: true }],
+    default: undefined
+  },
+  allowMultiple: {
+    type: Boolean,
+    default: false
+  },
+  // number
+  min: Number,
+  max: Number,
+  // text
+  maxLength: {
+    type: Number,
+    min: 1,
+    max: 5000,
+    default: 1000
+  },
+  knockout: {
+    enabled: { type: Boolean, default: false },
+    // yesNo: the answer that qualifies
+    expectedAnswer: Boolean,
+    // multipleChoice: at least one of these must be picked
+    acceptedOptions: {
+      type: [{ type: String, trim: true }],
+      default: undefined
+    },
+    // number: qualifying range
+    min: Number,
+    max: Number
+  }
+});
+
+screeningQuestionSchema.pre('validate', function(next) {
+  if (this.type === 'multipleChoice') {
+    const options = this.options || [];
+    if (options.length < 2) {
+      this.invalidate('options', 'Multiple choice questions need at least two options');
+    } else if (new Set(options).size !== options.length) {
+      this.invalidate('options', 'Multiple choice options must be unique');
+    }
+  }
+
+  if (this.type === 'number' && this.min !== undefined && this.max !== undefined && this.min > this.max) {
+    this.invalidate('max', 'Maximum must be greater than or equal to minimum', this.max);
+  }
+
+  const { knockout } = this;
+  if (knockout && knockout.enabled) {
+    // Knockout questions always need an answer to be judged
+    this.required = true;
+
+    if (this.type === 'yesNo' && typeof knockout.expectedAnswer !== 'boolean') {
+      this.invalidate('knockout.expectedAnswer', 'Yes/no knockout questions need an expected answer');
+    } else if (this.type === 'multipleChoice') {
+      const accepted = knockout.acceptedOptions || [];
+      if (!accepted.length || accepted.some(option => !(this.options || []).includes(option))) {
+        this.invalidate('knockout.acceptedOptions', 'Accepted options must be chosen from the question options');
+      }
+    } else if (this.type === 'number' && knockout.min === undefined && knockout.max === undefined) {
+      this.invalidate('knockout.min', 'Numeric knockout questions need a minimum or maximum');
+    } else if (['text', 'file'].includes(this.type)) {
+      this.invalidate('knockout.enabled', `${this.type} questions cannot be knockout questions`);
+    }
+  }
+
+  next();
+});
 
 const jobSchema = new mongoose.Schema({
   title: { 
@@ -14,9 +182,8 @@ const jobSchema = new mongoose.Schema({
     maxlength: [100, 'Company name cannot exceed 100 characters']
   },
   salary: { 
-    type: String, 
-    required: [true, 'Salary information is required'],
-    trim: true
+    type: salarySchema, 
+    required: [true, 'Salary information is required']
   },
   location: { 
     type: String, 
@@ -33,6 +200,12 @@ const jobSchema = new mongoose.Schema({
     ref: 'User', 
     required: true 
   },
+  // Employer that owns the posting; access is shared by its members
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   applicationCount: {
     type: Number,
     default: 0
@@ -41,19 +214,160 @@ const jobSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // Canonical form of skillsRequired, used for filtering and matching
+  normalizedSkills: {
+    type: [String],
+    default: []
+  },
   jobType: {
     type: String,
-    enum: ['full-time', 'part-time', 'contract', 'internship', 'remote'],
+    enum: JOB_TYPES,
     default: 'full-time'
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'open'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  // When the job last went open; a draft is published after it was created
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the job is taken down by an administrator; `previousStatus`
+  // is what a restore returns it to
+  moderation: {
+    removedAt: Date,
+    removedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    previousStatus: { type: String, enum: JOB_STATUSES }
+  },
+  screeningQuestions: {
+    type: [screeningQuestionSchema],
+    default: [],
+    validate: [
+      questions => questions.length <= MAX_SCREENING_QUESTIONS,
+      `A job can have at most ${MAX_SCREENING_QUESTIONS} screening questions`
+    ]
   }
 }, { 
   timestamps: true 
 });
 
-// Update application count when applications are deleted
-jobSchema.pre('remove', async function(next) {
-  await this.model('Application').deleteMany({ job: this._id });
+// Full-text search over the main descriptive fields
+jobSchema.index(
+  { title: 'text', company: 'text', description: 'text' },
+  { weights: { title: 10, company: 5, description: 1 }, name: 'job_text_search' }
+);
+
+// Public listings always filter on status, so it leads the compound indexes
+jobSchema.index({ status: 1, createdAt: -1 });
+jobSchema.index({ status: 1, publishedAt: -1 });
+jobSchema.index({ status: 1, jobType: 1, createdAt: -1 });
+jobSchema.index({ status: 1, location: 1, createdAt: -1 });
+jobSchema.index({ status: 1, normalizedSkills: 1, createdAt: -1 });
+jobSchema.index({ status: 1, applicationCount: -1, createdAt: -1 });
+jobSchema.index({ status: 1, 'salary.currency': 1, 'salary.annualMax': -1 });
+jobSchema.index({ status: 1, 'salary.annualMin': 1 });
+jobSchema.index({ status: 1, expiresAt: 1 });
+jobSchema.index({ postedBy: 1, status: 1, createdAt: -1 });
+jobSchema.index({ organization: 1, status: 1, createdAt: -1 });
+
+// Filter for jobs that are publicly visible and accepting applications
+jobSchema.statics.openFilter = function(now = new Date()) {
+  return {
+    status: 'open',
+    expiresAt: { $not: { $lte: now } }
+  };
+};
+
+// Flip open jobs past their expiry date to `expired`
+jobSchema.statics.expireDue = function(now = new Date()) {
+  return this.updateMany(
+    { status: 'open', expiresAt: { $ne: null, $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+jobSchema.methods.isAcceptingApplications = function(now = new Date()) {
+  return this.status === 'open' && !(this.expiresAt && this.expiresAt <= now);
+};
+
+jobSchema.methods.canTransitionTo = function(status) {
+  return (JOB_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Hide the job from everyone but its owners until an administrator restores it
+jobSchema.methods.takeDown = function(adminId, reason) {
+  this.moderation = { removedAt: new Date(), removedBy: adminId, reason, previousStatus: this.status };
+  this.status = 'removed';
+};
+
+jobSchema.methods.restore = function() {
+  this.status = (this.moderation && this.moderation.previousStatus) || 'closed';
+  this.moderation = undefined;
+};
+
+jobSchema.pre('save', function(next) {
+  if (this.isModified('skillsRequired') || this.isNew) {
+    this.normalizedSkills = normalizeSkills(this.skillsRequired);
+  }
+
+  if (this.status === 'open' && this.expiresAt && this.expiresAt <= new Date()) {
+    this.status = 'expired';
+  }
+
+  // Taking a job down and restoring it keeps its original close date
+  if (this.isModified('status') && !this.isModified('moderation')) {
+    this.closedAt = this.status === 'closed' ? new Date() : null;
+  }
+
+  // ...and its publication date, which job alerts match on
+  if ((this.isNew || this.isModified('status')) && this.status === 'open' && !this.isModified('moderation')) {
+    this.publishedAt = new Date();
+  }
+
   next();
 });
 
-module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
+// Cascade to applications and their resume and answer files, messages,
+// interviews and notifications about the job. Runs on
+// `job.deleteOne()`; the legacy `remove` hook no longer fires in Mongoose 8.
+jobSchema.pre('deleteOne', { document: true, query: false }, async function() {
+  const Application = this.model('Application');
+  const applications = await Application.find({ job: this._id }).select('resume screeningAnswers.file.filename').lean();
+
+  const applicationIds = applications.map(application => application._id);
+  const messages = await Message.find({ application: { $in: applicationIds }, 'attachments.0': { $exists: true } })
+    .select('attachments.filename')
+    .lean();
+
+  await Application.deleteMany({ job: this._id });
+  await JobView.deleteMany({ job: this._id });
+  await JobReport.deleteMany({ job: this._id });
+  await Message.deleteMany({ application: { $in: applicationIds } });
+  await Interview.deleteMany({ job: this._id });
+  await Notification.deleteMany({ 'data.job': this._id });
+  await Promise.all([
+    ...applications.map(application => removeResumeFile(application.resume)),
+    ...applications.flatMap(application => (application.screeningAnswers || [])
+      .filter(answer => answer.file && answer.file.filename)
+      .map(answer => removeResumeFile(answer.file.filename))),
+    ...messages.flatMap(message => message.attachments.map(attachment => removeResumeFile(attachment.filename)))
+  ]);
+});
+
+module.exports = mongoose.model('Job', jobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
+module.exports.MAX_SCREENING_QUESTIONS = MAX_SCREENING_QUESTIONS;
+module.exports.JOB_STATUS_TRANSITIONS = JOB_STATUS_TRANSITIONS;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'scam', 'misleading', 'offensive', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// A user's complaint about a job posting, queued for administrators
+const jobReportSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: REPORT_REASONS,
+      message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+    },
+    required: [true, 'A reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Resolution note cannot exceed 1000 characters']
+  }
+}, { 
+  timestamps: true 
+});
+
+jobReportSchema.pre('validate', function(next) {
+  if (this.reason === 'other' && !this.details) {
+    this.invalidate('details', 'Describe the problem when the reason is "other"');
+  }
+  next();
+});
+
+// One report per user per job; the queue is worked oldest first
+jobReportSchema.index({ job: 1, reporter: 1 }, { unique: true });
+jobReportSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('JobReport', jobReportSchema);
+module.exports.REPORT_REASONS = REPORT_REASONS;
+module.exports.REPORT_STATUSES = REPORT_STATUSES;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One row per time a job detail page is opened by someone other than the
+// posting company; analytics aggregate these instead of keeping counters
+const jobViewSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  viewerRole: String,
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobViewSchema.index({ job: 1, viewedAt: -1 });
+
+module.exports = mongoose.model('JobView', jobViewSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { LOGIN_LOCKOUT, lockoutDuration, failedLoginUpdate } = require('./userModel');
+
+// Failed sign-ins for emails that have no account, counted and locked out
+// exactly like an account's, so a locked account cannot be told apart from
+// an address that is not registered
+const loginFailureSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+});
+
+// Forgotten once they would no longer count towards a lockout
+loginFailureSchema.index({ lastFailedLoginAt: 1 }, { expireAfterSeconds: LOGIN_LOCKOUT.resetAfterMs / 1000 });
+
+// When sign-ins for `email` are locked until, or null
+loginFailureSchema.statics.lockedUntil = async function(email) {
+  const record = await this.findOne({ email }).select('lockedUntil').lean();
+  return record && record.lockedUntil > new Date() ? record.lockedUntil : null;
+};
+
+// Same as User.recordFailedLogin, keyed by email. Resolves to { attempts, lockedUntil }.
+loginFailureSchema.statics.recordFailedLogin = async function(email) {
+  const now = new Date();
+
+  const update = () => this.findOneAndUpdate({ email }, failedLoginUpdate(now), { new: true, upsert: true })
+    .select('failedLoginAttempts lockedUntil');
+
+  // Two first failures for the same email can race to insert the record;
+  // the loser finds it on a second try
+  let record;
+  try {
+    record = await update();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    record = await update();
+  }
+
+  const duration = lockoutDuration(record.failedLoginAttempts);
+  if (!duration) return { attempts: record.failedLoginAttempts, lockedUntil: record.lockedUntil };
+
+  const lockedUntil = new Date(now.getTime() + duration);
+  await this.updateOne({ email }, { $set: { lockedUntil } });
+  return { attempts: record.failedLoginAttempts, lockedUntil };
+};
+
+module.exports = mongoose.model('LoginFailure', loginFailureSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// File sent with a message; stored through the resume upload pipeline
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number
+});
+
+// A message in the thread between an applicant and the company, one thread
+// per application
+const messageSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['company', 'jobSeeker'],
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  // Read receipts; the sender never appears here
+  readBy: {
+    type: [{
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      readAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  }
+}, { 
+  timestamps: true 
+});
+
+messageSchema.pre('validate', function(next) {
+  if (!this.body && !this.attachments.length) {
+    this.invalidate('body', 'Message text or an attachment is required');
+  }
+  next();
+});
+
+// Messages in `applicationIds` sent by someone else and not yet read by `userId`
+messageSchema.statics.unreadFilter = function(applicationIds, userId) {
+  return {
+    application: { $in: applicationIds },
+    sender: { $ne: userId },
+    'readBy.user': { $ne: userId }
+  };
+};
+
+messageSchema.index({ application: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
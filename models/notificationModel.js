@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['applicationReceived', 'applicationStatusChanged', 'interviewUpdate'];
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // References the client can use to link to the relevant page
+  data: {
+    application: { type: mongoose.Schema.Types.ObjectId, ref: 'Application' },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    interview: { type: mongoose.Schema.Types.ObjectId, ref: 'Interview' }
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, { 
+  timestamps: true 
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const ORGANIZATION_ROLES = ['owner', 'admin', 'recruiter', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'recruiter'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  logo: {
+    type: String,
+    trim: true
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  // Set by administrators once the employer has been checked
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { 
+  timestamps: true 
+});
+
+organizationSchema.index({ 'members.user': 1 });
+
+organizationSchema.methods.memberRole = function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
+module.exports.ORGANIZATION_ROLES = ORGANIZATION_ROLES;
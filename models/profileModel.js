@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { SALARY_PERIODS } = require('../utils/salary');
+const { normalizeSkills } = require('../utils/skills');
+
+const experienceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Job title is required'],
+    trim: true,
+    maxlength: [100, 'Job title cannot exceed 100 characters']
+  },
+  company: {
+    type: String,
+    required: [true, 'Company is required'],
+    trim: true,
+    maxlength: [100, 'Company cannot exceed 100 characters']
+  },
+  location: { type: String, trim: true },
+  startDate: { type: Date, required: [true, 'Start date is required'] },
+  endDate: { type: Date, default: null },
+  current: { type: Boolean, default: false },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  }
+});
+
+const educationSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    required: [true, 'Institution is required'],
+    trim: true,
+    maxlength: [150, 'Institution cannot exceed 150 characters']
+  },
+  degree: { type: String, trim: true },
+  fieldOfStudy: { type: String, trim: true },
+  startDate: { type: Date },
+  endDate: { type: Date, default: null },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  }
+});
+
+const linkSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Link label is required'],
+    trim: true,
+    maxlength: [50, 'Link label cannot exceed 50 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Link URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'Links must be http(s) URLs']
+  }
+}, { _id: false });
+
+const profileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  headline: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Headline cannot exceed 150 characters']
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: [3000, 'Summary cannot exceed 3000 characters']
+  },
+  skills: {
+    type: [String],
+    default: []
+  },
+  // Canonical form of skills, used for matching against jobs
+  normalizedSkills: {
+    type: [String],
+    default: []
+  },
+  experience: {
+    type: [experienceSchema],
+    default: []
+  },
+  education: {
+    type: [educationSchema],
+    default: []
+  },
+  links: {
+    type: [linkSchema],
+    default: []
+  },
+  desiredJobTypes: {
+    type: [String],
+    enum: ['full-time', 'part-time', 'contract', 'internship', 'remote'],
+    default: []
+  },
+  desiredSalary: {
+    min: { type: Number, min: [0, 'Desired salary cannot be negative'] },
+    max: { type: Number, min: [0, 'Desired salary cannot be negative'] },
+    currency: { type: String, uppercase: true, trim: true },
+    period: { type: String, enum: SALARY_PERIODS, default: 'yearly' }
+  }
+}, { 
+  timestamps: true 
+});
+
+profileSchema.pre('validate', function(next) {
+  if (this.isModified('skills') || this.isNew) {
+    this.normalizedSkills = normalizeSkills(this.skills);
+  }
+
+  const { min, max } = this.desiredSalary || {};
+  if (min !== undefined && max !== undefined && min > max) {
+    this.invalidate('desiredSalary.max', 'Maximum desired salary must be greater than or equal to minimum');
+  }
+
+  this.experience.forEach((entry, index) => {
+    if (entry.endDate && entry.startDate && entry.endDate < entry.startDate) {
+      this.invalidate(`experience.${index}.endDate`, 'End date cannot be before start date');
+    }
+  });
+
+  next();
+});
+
+module.exports = mongoose.model('Profile', profileSchema);
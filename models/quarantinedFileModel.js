@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Record of an upload that was rejected by content inspection or the
+// virus scanner and moved to quarantine storage for review
+const quarantinedFileSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  reason: {
+    type: String,
+    enum: ['invalid-type', 'type-mismatch', 'unsafe-content', 'malware'],
+    required: true
+  },
+  detail: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String
+}, { 
+  timestamps: true 
+});
+
+module.exports = mongoose.model('QuarantinedFile', quarantinedFileSchema);
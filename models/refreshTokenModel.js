@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a SHA-256 hash of the
+// token is stored; tokens rotated from the same login share a `family`.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout-all', 'reuse-detected', 'suspended', 'deactivated', null],
+    default: null
+  },
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  createdByIp: String,
+  userAgent: String
+}, { 
+  timestamps: true 
+});
+
+// Let MongoDB purge tokens once they can no longer be used
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Text extraction and parsing results for a resume file, filled in by the
+// background resume processor
+const resumeAnalysisSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  error: String,
+  processedAt: Date,
+  parsed: {
+    contact: {
+      name: String,
+      emails: [String],
+      phones: [String],
+      links: [String]
+    },
+    skills: [String],
+    experience: [{
+      _id: false,
+      title: String,
+      company: String,
+      startDate: String,
+      endDate: String,
+      current: Boolean,
+      description: String
+    }],
+    education: [{
+      _id: false,
+      institution: String,
+      degree: String,
+      startDate: String,
+      endDate: String
+    }]
+  }
+}, { _id: false });
+
+// A resume in a job seeker's library, reusable across applications
+const resumeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  size: Number,
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Extracted plain text; large, so only loaded on request
+  text: {
+    type: String,
+    select: false
+  },
+  analysis: {
+    type: resumeAnalysisSchema,
+    default: () => ({})
+  }
+}, { 
+  timestamps: true 
+});
+
+resumeSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Resume', resumeSchema);
+module.exports.resumeAnalysisSchema = resumeAnalysisSchema;
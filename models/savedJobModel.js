@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A job bookmarked by a seeker
+const savedJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  }
+}, { 
+  timestamps: true 
+});
+
+savedJobSchema.index({ user: 1, job: 1 }, { unique: true });
+savedJobSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SavedJob', savedJobSchema);
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { JOB_TYPES } = require('./jobModel');
+const { SALARY_PERIODS } = require('../utils/salary');
+
+const ALERT_FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// Mirrors the GET /api/jobs query parameters so a search can be replayed
+// through buildJobFilter
+const criteriaSchema = new mongoose.Schema({
+  q: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Keywords cannot exceed 200 characters']
+  },
+  jobType: {
+    type: [{ type: String, enum: JOB_TYPES }],
+    default: undefined
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot exceed 100 characters']
+  },
+  skills: {
+    type: [{ type: String, trim: true }],
+    default: undefined
+  },
+  skillsMatch: {
+    type: String,
+    enum: ['any', 'all'],
+    default: 'any'
+  },
+  salaryMin: { type: Number, min: 0 },
+  salaryMax: { type: Number, min: 0 },
+  salaryPeriod: {
+    type: String,
+    enum: SALARY_PERIODS
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  }
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  criteria: {
+    type: criteriaSchema,
+    default: () => ({})
+  },
+  frequency: {
+    type: String,
+    enum: ALERT_FREQUENCIES,
+    default: 'daily'
+  },
+  // Alerts are only sent while active; unsubscribe links switch this off
+  active: {
+    type: Boolean,
+    default: true
+  },
+  unsubscribeToken: {
+    type: String,
+    default: () => crypto.randomBytes(24).toString('hex'),
+    select: false
+  },
+  // When the scheduler last evaluated this search
+  lastRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  }
+}, { 
+  timestamps: true 
+});
+
+savedSearchSchema.pre('validate', function(next) {
+  const { salaryMin, salaryMax } = this.criteria || {};
+  if (salaryMin !== undefined && salaryMax !== undefined && salaryMin > salaryMax) {
+    this.invalidate('criteria.salaryMax', 'Maximum salary must be greater than or equal to minimum salary', salaryMax);
+  }
+  next();
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ active: 1, frequency: 1, lastRunAt: 1 });
+savedSearchSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
+module.exports.ALERT_FREQUENCIES = ALERT_FREQUENCIES;
@@ -1,4 +1,53 @@
 const mongoose = require('mongoose');
+const { removeResumeFile } = require('../utils/resumeFiles');
+const Job = require('./jobModel');
+const Application = require('./applicationModel');
+const Organization = require('./organizationModel');
+const Invitation = require('./invitationModel');
+const Interview = require('./interviewModel');
+const Message = require('./messageModel');
+const Profile = require('./profileModel');
+const Resume = require('./resumeModel');
+const SavedJob = require('./savedJobModel');
+const SavedSearch = require('./savedSearchModel');
+const JobAlertDelivery = require('./jobAlertDeliveryModel');
+const Notification = require('./notificationModel');
+const RefreshToken = require('./refreshTokenModel');
+const VerificationToken = require('./verificationTokenModel');
+
+const USER_ROLES = ['jobSeeker', 'company', 'admin'];
+// Roles a visitor can pick at signup; admins are granted with `npm run admin:grant`
+const SIGNUP_ROLES = ['jobSeeker', 'company'];
+
+// Progressive lockout: from the `threshold`-th consecutive failed sign-in
+// the account is locked, for twice as long after every further failure.
+// Failures older than `resetAfterMs` no longer count.
+const LOGIN_LOCKOUT = {
+  threshold: 5,
+  baseMs: 60 * 1000,
+  maxMs: 60 * 60 * 1000,
+  resetAfterMs: 24 * 60 * 60 * 1000
+};
+
+// How long `attempts` consecutive failures lock the account for (0 = not locked)
+const lockoutDuration = (attempts) => (attempts < LOGIN_LOCKOUT.threshold
+  ? 0
+  : Math.min(LOGIN_LOCKOUT.baseMs * 2 ** (attempts - LOGIN_LOCKOUT.threshold), LOGIN_LOCKOUT.maxMs));
+
+// Pipeline update counting one more failed sign-in at `now`; failures older
+// than LOGIN_LOCKOUT.resetAfterMs are forgotten first
+const failedLoginUpdate = (now) => [{
+  $set: {
+    failedLoginAttempts: {
+      $cond: [
+        { $gt: ['$lastFailedLoginAt', new Date(now.getTime() - LOGIN_LOCKOUT.resetAfterMs)] },
+        { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+        1
+      ]
+    },
+    lastFailedLoginAt: now
+  }
+}];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,16 +64,214 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Invalid email format']
   },
+  // Accounts created through a sign-in provider have no password until
+  // they set one with a reset link
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.identities || !this.identities.length; }, 'Password is required'],
     select: false
   },
+  // Sign-in provider accounts (OpenID Connect or GitHub) linked to this user
+  identities: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String, lowercase: true, trim: true },
+    linkedAt: { type: Date, default: Date.now }
+  }],
   role: {
     type: String,
-    enum: ['jobSeeker', 'company'],
+    enum: USER_ROLES,
     default: 'jobSeeker'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Per-event opt-outs for in-app and email notifications
+  notificationPreferences: {
+    applicationReceived: {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: true }
+    },
+    applicationStatusChanged: {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: true }
+    },
+    interviewUpdate: {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: true }
+    }
+  },
+  // Access tokens issued before this instant are rejected by `protect`
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
+  // Set when the owner deactivates the account; it keeps its data but cannot
+  // sign in until an administrator reactivates it
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  // Set by an administrator; suspended accounts cannot sign in or use
+  // existing sessions until the suspension is lifted
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
+  // Consecutive failed sign-ins and the lock they put on the account
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
   }
 }, { timestamps: true });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// A provider account belongs to at most one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+userSchema.methods.invalidateTokens = function() {
+  this.tokensValidAfter = new Date();
+};
+
+// JWT `iat` has second precision, so a token dated to the second the
+// sessions ended in may predate that and counts as revoked (new tokens are
+// dated after it, see signAccessToken)
+userSchema.methods.isTokenRevoked = function(issuedAtSeconds) {
+  return Boolean(this.tokensValidAfter) && issuedAtSeconds <= Math.floor(this.tokensValidAfter.getTime() / 1000);
+};
+
+userSchema.methods.isLoginLocked = function() {
+  return Boolean(this.lockedUntil) && this.lockedUntil > new Date();
+};
+
+/**
+ * Count a failed sign-in, locking the account once it reaches the lockout
+ * threshold. Atomic, so parallel guesses cannot slip past the count.
+ * Resolves to { attempts, lockedUntil }.
+ */
+userSchema.statics.recordFailedLogin = async function(userId) {
+  const now = new Date();
+
+  const user = await this.findOneAndUpdate({ _id: userId }, failedLoginUpdate(now), { new: true })
+    .select('failedLoginAttempts lockedUntil');
+  if (!user) return { attempts: 0, lockedUntil: null };
+
+  const duration = lockoutDuration(user.failedLoginAttempts);
+  if (!duration) return { attempts: user.failedLoginAttempts, lockedUntil: user.lockedUntil };
+
+  const lockedUntil = new Date(now.getTime() + duration);
+  await this.updateOne({ _id: userId }, { $set: { lockedUntil } });
+  return { attempts: user.failedLoginAttempts, lockedUntil };
+};
+
+// Forget failed sign-ins after a successful one or a password reset
+userSchema.statics.clearFailedLogins = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null } }
+  );
+};
+
+// Changing the password, or disabling or suspending the account, ends every
+// existing session
+userSchema.pre('save', function(next) {
+  const closed = (path) => this.isModified(path) && this[path];
+  if (!this.isNew && (this.isModified('password') || closed('disabledAt') || closed('suspendedAt'))) {
+    this.invalidateTokens();
+  }
+  next();
+});
+
+// Remove the account and everything that only made sense with it: the
+// seeker's profile, resumes, applications and alerts, and the jobs of a
+// company user that no organization still owns. Callers must first make
+// sure the user is not the last owner of an organization with other members.
+// Runs on `user.deleteOne()`.
+userSchema.pre('deleteOne', { document: true, query: false }, async function() {
+  const userId = this._id;
+
+  // Organizations nobody else belongs to go with their jobs; the user is
+  // simply removed from the rest
+  const soleOrganizationIds = await Organization.find({ 'members.user': userId, members: { $size: 1 } }).distinct('_id');
+  const jobs = await Job.find({
+    $or: [
+      { postedBy: userId, organization: null },
+      { organization: { $in: soleOrganizationIds } }
+    ]
+  });
+  for (const job of jobs) {
+    // The job deleteOne hook cascades to its applications and files
+    await job.deleteOne();
+  }
+  await Invitation.deleteMany({ organization: { $in: soleOrganizationIds } });
+  await Organization.deleteMany({ _id: { $in: soleOrganizationIds } });
+  await Organization.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+
+  const applications = await Application.find({ user: userId }).select('resume screeningAnswers.file.filename').lean();
+  const applicationIds = applications.map(application => application._id);
+  const messages = await Message.find({ application: { $in: applicationIds }, 'attachments.0': { $exists: true } })
+    .select('attachments.filename')
+    .lean();
+  const resumes = await Resume.find({ user: userId }).select('filename').lean();
+
+  await Message.deleteMany({ application: { $in: applicationIds } });
+  await Interview.deleteMany({ application: { $in: applicationIds } });
+  await Interview.updateMany({ interviewers: userId }, { $pull: { interviewers: userId } });
+  await Application.deleteMany({ user: userId });
+  await Promise.all([
+    Profile.deleteMany({ user: userId }),
+    Resume.deleteMany({ user: userId }),
+    SavedJob.deleteMany({ user: userId }),
+    SavedSearch.deleteMany({ user: userId }),
+    JobAlertDelivery.deleteMany({ user: userId }),
+    Notification.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    VerificationToken.deleteMany({ user: userId })
+  ]);
+
+  await Promise.all([
+    ...applications.map(application => removeResumeFile(application.resume)),
+    ...applications.flatMap(application => (application.screeningAnswers || [])
+      .filter(answer => answer.file && answer.file.filename)
+      .map(answer => removeResumeFile(answer.file.filename))),
+    ...messages.flatMap(message => message.attachments.map(attachment => removeResumeFile(attachment.filename))),
+    ...resumes.map(resume => removeResumeFile(resume.filename))
+  ]);
+});
+
+module.exports = mongoose.model('User', userSchema);
+module.exports.USER_ROLES = USER_ROLES;
+module.exports.SIGNUP_ROLES = SIGNUP_ROLES;
+module.exports.LOGIN_LOCKOUT = LOGIN_LOCKOUT;
+module.exports.lockoutDuration = lockoutDuration;
+module.exports.failedLoginUpdate = failedLoginUpdate;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens for email verification and password reset. Only a
+// SHA-256 hash is stored; the raw token is sent to the user by email.
+const verificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email-verification', 'password-reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { 
+  timestamps: true 
+});
+
+verificationTokenSchema.index({ user: 1, purpose: 1 });
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VerificationToken', verificationTokenSchema);
@@ -0,0 +1,547 @@
+const express = require('express');
+const protect = require('../middleware/authMiddleware');
+const roleAuthorization = require('../middleware/roleMiddleware');
+const User = require('../models/userModel');
+const Organization = require('../models/organizationModel');
+const Job = require('../models/jobModel');
+const Application = require('../models/applicationModel');
+const JobReport = require('../models/jobReportModel');
+const AuditLog = require('../models/auditLogModel');
+const { withAudit } = require('../utils/auditLog');
+const { revokeAllForUser } = require('../utils/authTokens');
+const { escapeRegex, parsePagination } = require('../utils/jobSearch');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/adminValidators');
+const { ConflictError, ForbiddenError, NotFoundError, asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+const adminOnly = [protect, roleAuthorization(['admin'])];
+
+// Load the document with the :id param into `req.target`
+const loadTarget = (Model, label) => asyncHandler(async (req, res, next) => {
+  req.target = await Model.findById(req.params.id);
+  if (!req.target) {
+    throw new NotFoundError(`${label} not found`);
+  }
+  next();
+});
+
+// Moderators act on other accounts; admins are managed with `npm run admin:grant`
+const rejectAdminTarget = (req, res, next) => {
+  if (req.target._id.equals(req.user._id) || req.target.role === 'admin') {
+    throw new ForbiddenError('Administrator accounts cannot be suspended or deleted here');
+  }
+  next();
+};
+
+const paginated = (key, items, total, { page, limit }) => ({
+  success: true,
+  count: items.length,
+  total,
+  page,
+  limit,
+  totalPages: Math.ceil(total / limit),
+  [key]: items
+});
+
+const accountStatus = (user) => {
+  if (user.suspendedAt) return 'suspended';
+  if (user.disabledAt) return 'disabled';
+  return 'active';
+};
+
+// @desc    List and search user accounts
+// @route   GET /api/admin/users
+// @access  Private (admin)
+// @query   q (name or email), role, status (active|suspended|disabled), page, limit
+router.get('/users', adminOnly, validate(schemas.listUsers), asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  if (req.query.role && req.query.role.length) {
+    filter.role = { $in: req.query.role };
+  }
+
+  if (req.query.status) {
+    if (req.query.status === 'suspended') {
+      filter.suspendedAt = { $ne: null };
+    } else if (req.query.status === 'disabled') {
+      filter.disabledAt = { $ne: null };
+    } else {
+      filter.suspendedAt = null;
+      filter.disabledAt = null;
+    }
+  }
+
+  const pagination = parsePagination(req.query);
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select('name email role emailVerified disabledAt suspendedAt suspensionReason createdAt')
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .lean(),
+    User.countDocuments(filter)
+  ]);
+
+  res.json(paginated('users', users.map(user => ({ ...user, status: accountStatus(user) })), total, pagination));
+}));
+
+// @desc    Get a user account with its organizations and activity counts
+// @route   GET /api/admin/users/:id
+// @access  Private (admin)
+router.get('/users/:id', adminOnly, validate(schemas.userById), loadTarget(User, 'User'), asyncHandler(async (req, res) => {
+  const user = req.target;
+  const [organizations, jobsPosted, applications, reportsFiled] = await Promise.all([
+    Organization.find({ 'members.user': user._id }).select('name verified members').lean(),
+    Job.countDocuments({ postedBy: user._id }),
+    Application.countDocuments({ user: user._id }),
+    JobReport.countDocuments({ reporter: user._id })
+  ]);
+
+  await user.populate('suspendedBy', 'name email');
+
+  res.json({
+    success: true,
+    user: { ...user.toObject(), status: accountStatus(user) },
+    organizations: organizations.map(org => ({
+      _id: org._id,
+      name: org.name,
+      verified: org.verified,
+      role: org.members.find(member => member.user.equals(user._id)).role
+    })),
+    activity: { jobsPosted, applications, reportsFiled }
+  });
+}));
+
+// @desc    Suspend an account and end all of its sessions
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private (admin)
+// @body    reason
+router.post('/users/:id/suspend', adminOnly, validate(schemas.suspendUser), loadTarget(User, 'User'), rejectAdminTarget, asyncHandler(async (req, res) => {
+  const user = req.target;
+  if (user.suspendedAt) {
+    throw new ConflictError('User is already suspended');
+  }
+
+  user.suspendedAt = new Date();
+  user.suspendedBy = req.user._id;
+  user.suspensionReason = req.body.reason;
+
+  await withAudit(req, {
+    action: 'user.suspend',
+    targetType: 'User',
+    target: user._id,
+    targetLabel: user.email,
+    reason: req.body.reason
+  }, async () => {
+    // Saving a suspension invalidates outstanding access tokens
+    await user.save();
+    await revokeAllForUser(user._id, 'suspended');
+  });
+
+  res.json({
+    success: true,
+    message: 'User suspended',
+    user: { _id: user._id, status: accountStatus(user), suspendedAt: user.suspendedAt }
+  });
+}));
+
+// @desc    Lift a suspension
+// @route   POST /api/admin/users/:id/unsuspend
+// @access  Private (admin)
+// @body    reason (optional)
+router.post('/users/:id/unsuspend', adminOnly, validate(schemas.unsuspendUser), loadTarget(User, 'User'), asyncHandler(async (req, res) => {
+  const user = req.target;
+  if (!user.suspendedAt) {
+    throw new ConflictError('User is not suspended');
+  }
+
+  const { suspensionReason } = user;
+  user.suspendedAt = null;
+  user.suspendedBy = null;
+  user.suspensionReason = undefined;
+
+  await withAudit(req, {
+    action: 'user.unsuspend',
+    targetType: 'User',
+    target: user._id,
+    targetLabel: user.email,
+    reason: req.body.reason,
+    details: { suspensionReason }
+  }, async () => {
+    await user.save();
+  });
+
+  res.json({
+    success: true,
+    message: 'Suspension lifted',
+    user: { _id: user._id, status: accountStatus(user) }
+  });
+}));
+
+// @desc    Reactivate an account its owner deactivated
+// @route   POST /api/admin/users/:id/reactivate
+// @access  Private (admin)
+// @body    reason (optional)
+router.post('/users/:id/reactivate', adminOnly, validate(schemas.reactivateUser), loadTarget(User, 'User'), asyncHandler(async (req, res) => {
+  const user = req.target;
+  if (!user.disabledAt) {
+    throw new ConflictError('User is not deactivated');
+  }
+
+  const { disabledAt } = user;
+  user.disabledAt = null;
+
+  await withAudit(req, {
+    action: 'user.reactivate',
+    targetType: 'User',
+    target: user._id,
+    targetLabel: user.email,
+    reason: req.body.reason,
+    details: { disabledAt }
+  }, async () => {
+    await user.save();
+  });
+
+  res.json({
+    success: true,
+    message: 'Account reactivated',
+    user: { _id: user._id, status: accountStatus(user) }
+  });
+}));
+
+// @desc    Delete an account and its data
+// @route   DELETE /api/admin/users/:id
+// @access  Private (admin)
+// @body    reason
+router.delete('/users/:id', adminOnly, validate(schemas.deleteUser), loadTarget(User, 'User'), rejectAdminTarget, asyncHandler(async (req, res) => {
+  const user = req.target;
+
+  // Deleting the last owner would leave the other members with an
+  // organization nobody can administer
+  const organizations = await Organization.find({ 'members.user': user._id, 'members.1': { $exists: true } })
+    .select('name members')
+    .lean();
+  const ownedAlone = organizations.filter(org => {
+    const owners = org.members.filter(member => member.role === 'owner');
+    return owners.length === 1 && owners[0].user.equals(user._id);
+  });
+  if (ownedAlone.length) {
+    throw new ConflictError(`User is the only owner of ${ownedAlone.map(org => org.name).join(', ')}. Transfer ownership first`);
+  }
+
+  await withAudit(req, {
+    action: 'user.delete',
+    targetType: 'User',
+    target: user._id,
+    targetLabel: user.email,
+    reason: req.body.reason,
+    details: { role: user.role, name: user.name }
+  }, async () => {
+    // The document deleteOne hook cascades to the user's jobs, applications and files
+    await user.deleteOne();
+  });
+
+  res.json({
+    success: true,
+    message: 'User deleted'
+  });
+}));
+
+// @desc    List organizations for verification
+// @route   GET /api/admin/organizations
+// @access  Private (admin)
+// @query   q (name), verified (true|false), page, limit
+router.get('/organizations', adminOnly, validate(schemas.listOrganizations), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.q) {
+    filter.name = new RegExp(escapeRegex(req.query.q), 'i');
+  }
+  if (req.query.verified !== undefined) {
+    filter.verified = req.query.verified;
+  }
+
+  const pagination = parsePagination(req.query);
+  const [organizations, total] = await Promise.all([
+    Organization.find(filter)
+      .select('name logo website verified verifiedAt createdBy createdAt members')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .lean(),
+    Organization.countDocuments(filter)
+  ]);
+
+  res.json(paginated('organizations', organizations.map(({ members, ...org }) => ({
+    ...org,
+    memberCount: members.length
+  })), total, pagination));
+}));
+
+// Shared handler for granting and revoking the verified badge
+const setVerified = (verified) => asyncHandler(async (req, res) => {
+  const organization = req.target;
+  if (organization.verified === verified) {
+    throw new ConflictError(`Organization is already ${verified ? 'verified' : 'unverified'}`);
+  }
+
+  organization.verified = verified;
+  organization.verifiedAt = verified ? new Date() : null;
+  organization.verifiedBy = verified ? req.user._id : null;
+
+  await withAudit(req, {
+    action: verified ? 'organization.verify' : 'organization.unverify',
+    targetType: 'Organization',
+    target: organization._id,
+    targetLabel: organization.name,
+    reason: req.body.reason
+  }, async () => {
+    await organization.save();
+  });
+
+  res.json({
+    success: true,
+    message: verified ? 'Organization verified' : 'Verification removed',
+    organization: {
+      _id: organization._id,
+      name: organization.name,
+      verified: organization.verified,
+      verifiedAt: organization.verifiedAt
+    }
+  });
+});
+
+// @desc    Mark an organization as a verified employer
+// @route   POST /api/admin/organizations/:id/verify
+// @access  Private (admin)
+// @body    reason (optional)
+router.post('/organizations/:id/verify', adminOnly, validate(schemas.setVerified), loadTarget(Organization, 'Organization'), setVerified(true));
+
+// @desc    Remove an organization's verified status
+// @route   DELETE /api/admin/organizations/:id/verify
+// @access  Private (admin)
+// @body    reason (optional)
+router.delete('/organizations/:id/verify', adminOnly, validate(schemas.setVerified), loadTarget(Organization, 'Organization'), setVerified(false));
+
+// @desc    List jobs in any status, optionally only those with open reports
+// @route   GET /api/admin/jobs
+// @access  Private (admin)
+// @query   q (title or company), status, reported (true), page, limit
+router.get('/jobs', adminOnly, validate(schemas.listJobs), asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+    filter.$or = [{ title: pattern }, { company: pattern }];
+  }
+
+  if (req.query.status && req.query.status.length) {
+    filter.status = { $in: req.query.status };
+  }
+
+  if (req.query.reported) {
+    filter._id = { $in: await JobReport.find({ status: 'open' }).distinct('job') };
+  }
+
+  const pagination = parsePagination(req.query);
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .select('title company location status postedBy organization moderation createdAt')
+      .populate('postedBy', 'name email')
+      .populate('organization', 'name verified')
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .lean(),
+    Job.countDocuments(filter)
+  ]);
+
+  const reportCounts = await JobReport.aggregate([
+    { $match: { job: { $in: jobs.map(job => job._id) }, status: 'open' } },
+    { $group: { _id: '$job', count: { $sum: 1 } } }
+  ]);
+  const openReports = new Map(reportCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+  res.json(paginated('jobs', jobs.map(job => ({
+    ...job,
+    openReports: openReports.get(job._id.toString()) || 0
+  })), total, pagination));
+}));
+
+// @desc    Take a job down; its open reports are resolved with it
+// @route   POST /api/admin/jobs/:id/take-down
+// @access  Private (admin)
+// @body    reason
+router.post('/jobs/:id/take-down', adminOnly, validate(schemas.takeDownJob), loadTarget(Job, 'Job'), asyncHandler(async (req, res) => {
+  const job = req.target;
+  if (job.status === 'removed') {
+    throw new ConflictError('Job is already taken down');
+  }
+
+  const previousStatus = job.status;
+  job.takeDown(req.user._id, req.body.reason);
+
+  const { reportsResolved } = await withAudit(req, {
+    action: 'job.takeDown',
+    targetType: 'Job',
+    target: job._id,
+    targetLabel: `${job.title} (${job.company})`,
+    reason: req.body.reason,
+    details: { previousStatus }
+  }, async () => {
+    await job.save();
+    const { modifiedCount } = await JobReport.updateMany(
+      { job: job._id, status: 'open' },
+      { $set: { status: 'resolved', resolvedBy: req.user._id, resolvedAt: new Date(), resolutionNote: 'Job taken down' } }
+    );
+    return { reportsResolved: modifiedCount };
+  });
+
+  res.json({
+    success: true,
+    message: 'Job taken down',
+    job: { _id: job._id, status: job.status, moderation: job.moderation },
+    reportsResolved
+  });
+}));
+
+// @desc    Restore a job that was taken down to its previous status
+// @route   POST /api/admin/jobs/:id/restore
+// @access  Private (admin)
+// @body    reason (optional)
+router.post('/jobs/:id/restore', adminOnly, validate(schemas.restoreJob), loadTarget(Job, 'Job'), asyncHandler(async (req, res) => {
+  const job = req.target;
+  if (job.status !== 'removed') {
+    throw new ConflictError('Job is not taken down');
+  }
+
+  const removalReason = job.moderation && job.moderation.reason;
+  job.restore();
+
+  await withAudit(req, {
+    action: 'job.restore',
+    targetType: 'Job',
+    target: job._id,
+    targetLabel: `${job.title} (${job.company})`,
+    reason: req.body.reason,
+    details: { removalReason }
+  }, async () => {
+    // An open job whose expiry passed while it was down is saved as expired
+    await job.save();
+    return { restoredStatus: job.status };
+  });
+
+  res.json({
+    success: true,
+    message: 'Job restored',
+    job: { _id: job._id, status: job.status }
+  });
+}));
+
+// @desc    The job report queue, oldest first
+// @route   GET /api/admin/reports
+// @access  Private (admin)
+// @query   status (default open), reason, job, page, limit
+router.get('/reports', adminOnly, validate(schemas.listReports), asyncHandler(async (req, res) => {
+  const filter = { status: req.query.status };
+  if (req.query.reason) {
+    filter.reason = req.query.reason;
+  }
+  if (req.query.job) {
+    filter.job = req.query.job;
+  }
+
+  const pagination = parsePagination(req.query);
+  const [reports, total] = await Promise.all([
+    JobReport.find(filter)
+      .sort({ createdAt: 1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .populate('job', 'title company status postedBy organization')
+      .populate('reporter', 'name email role')
+      .populate('resolvedBy', 'name email')
+      .lean(),
+    JobReport.countDocuments(filter)
+  ]);
+
+  res.json(paginated('reports', reports, total, pagination));
+}));
+
+// @desc    Resolve or dismiss a report. Taking the job down is a separate
+//          action that resolves all of its reports at once.
+// @route   PUT /api/admin/reports/:id
+// @access  Private (admin)
+// @body    status (resolved|dismissed), note
+router.put('/reports/:id', adminOnly, validate(schemas.updateReport), loadTarget(JobReport, 'Report'), asyncHandler(async (req, res) => {
+  const report = req.target;
+  const { status } = req.body;
+
+  if (report.status !== 'open') {
+    throw new ConflictError(`Report is already ${report.status}`);
+  }
+
+  report.status = status;
+  report.resolvedBy = req.user._id;
+  report.resolvedAt = new Date();
+  report.resolutionNote = req.body.note;
+
+  await withAudit(req, {
+    action: status === 'resolved' ? 'report.resolve' : 'report.dismiss',
+    targetType: 'JobReport',
+    target: report._id,
+    reason: report.resolutionNote,
+    details: { job: report.job, reason: report.reason }
+  }, async () => {
+    await report.save();
+  });
+
+  res.json({
+    success: true,
+    message: `Report ${status}`,
+    report
+  });
+}));
+
+// @desc    Browse the moderation audit log, newest first
+// @route   GET /api/admin/audit-log
+// @access  Private (admin)
+// @query   action, actor, targetType, target, from, to (ISO dates), page, limit
+router.get('/audit-log', adminOnly, validate(schemas.auditLog), asyncHandler(async (req, res) => {
+  const filter = {};
+  const { from, to } = req.query;
+
+  if (req.query.action && req.query.action.length) {
+    filter.action = { $in: req.query.action };
+  }
+
+  for (const field of ['targetType', 'actor', 'target']) {
+    if (req.query[field]) filter[field] = req.query[field];
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const pagination = parsePagination(req.query);
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  res.json(paginated('entries', entries, total, pagination));
+}));
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const protect = require('../middleware/authMiddleware');
+const roleAuthorization = require('../middleware/roleMiddleware');
+const Job = require('../models/jobModel');
+const { canAccessJob, jobAccessFilter } = require('../utils/orgAccess');
+const { parseAnalyticsRange, buildJobAnalytics } = require('../utils/analytics');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/analyticsValidators');
+const { NotFoundError, asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+// @desc    Analytics across every job of the user's organizations
+// @route   GET /api/analytics/company
+// @access  Private (company)
+// @query   from, to (ISO dates, default last 30 days), interval (day|week|month)
+router.get('/company', protect, roleAuthorization(['company']), validate(schemas.companyAnalytics), asyncHandler(async (req, res) => {
+  const range = parseAnalyticsRange(req.query);
+  const jobs = await Job.find(await jobAccessFilter(req.user, 'view'))
+    .select('title status createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    analytics: await buildJobAnalytics(jobs, range, { perJob: true })
+  });
+}));
+
+// @desc    Analytics for a single job
+// @route   GET /api/analytics/jobs/:id
+// @access  Private (company)
+// @query   from, to (ISO dates, default last 30 days), interval (day|week|month)
+router.get('/jobs/:id', protect, roleAuthorization(['company']), validate(schemas.jobAnalytics), asyncHandler(async (req, res) => {
+  const range = parseAnalyticsRange(req.query);
+  const job = await Job.findById(req.params.id).select('title status postedBy organization createdAt').lean();
+
+  if (!job || !(await canAccessJob(req.user, job, 'view'))) {
+    throw new NotFoundError('Job not found or not authorized');
+  }
+
+  res.json({
+    success: true,
+    job: {
+      _id: job._id,
+      title: job.title,
+      status: job.status
+    },
+    analytics: await buildJobAnalytics([job], range)
+  });
+}));
+
+module.exports = router;
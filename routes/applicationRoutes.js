@@ -2,14 +2,42 @@ const express = require('express');
 const router = express.Router();
 const protect = require('../middleware/authMiddleware');
 const roleAuthorization = require('../middleware/roleMiddleware');
+const rateLimit = require('../middleware/rateLimit');
 const Application = require('../models/applicationModel');
 const Job = require('../models/jobModel');
 const User = require('../models/userModel');
-const upload = require('../middleware/fileUpload');
-const path = require('path');
-const fs = require('fs');
-const mongoose = require('mongoose');
-const multer = require('multer');
+const resumeUpload = require('../middleware/fileUpload');
+const Resume = require('../models/resumeModel');
+const Profile = require('../models/profileModel');
+const { presentSalary } = require('../utils/salary');
+const { copyResumeFile, sendResumeFile } = require('../utils/resumeFiles');
+const { EVENTS, emit } = require('../utils/events');
+const { workflow, InvalidTransitionError } = require('../utils/applicationWorkflow');
+const { jobAccessFilter, canAccessJob } = require('../utils/orgAccess');
+const { computeMatch } = require('../utils/matching');
+const { ANSWER_FILE_FIELD, evaluateAnswers, buildAnswerFilter } = require('../utils/screening');
+const { parsePagination } = require('../utils/jobSearch');
+const { getCandidateSearch } = require('../utils/candidateSearch');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/applicationValidators');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RequestValidationError,
+  asyncHandler
+} = require('../utils/errors');
+
+// Caps resume uploads per seeker and per address, checked before the file
+// is accepted
+const applyLimiter = rateLimit({
+  name: 'apply',
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  keyBy: ['user', 'ip'],
+  message: 'Too many applications submitted, please try again later'
+});
 
 // @desc    Apply for a job
 // @route   POST /api/applications
@@ -17,268 +45,345 @@ const multer = require('multer');
 router.post('/', 
   protect, 
   roleAuthorization(['jobSeeker']), 
-  (req, res, next) => {
-    upload.single('resume')(req, res, function(err) {
-      if (err instanceof multer.MulterError) {
-        return res.status(400).json({ 
-          success: false, 
-          message: err.message 
-        });
-      } else if (err) {
-        return res.status(400).json({ 
-          success: false, 
-          message: err.message 
-        });
-      }
-      next();
-    });
-  },
-  async (req, res) => {
-    try {
-      const { jobId, coverLetter } = req.body;
-      
-      // Validate required fields
-      if (!req.file) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Resume file is required' 
-        });
+  applyLimiter,
+  resumeUpload('resume', { extraFields: ANSWER_FILE_FIELD }),
+  validate(schemas.apply),
+  asyncHandler(async (req, res) => {
+    const { jobId, coverLetter, resumeId, answers } = req.body;
+    
+    // Use the uploaded file, else the chosen or default library resume
+    let storedResume = null;
+    if (!req.file) {
+      storedResume = await Resume.findOne(resumeId
+        ? { _id: resumeId, user: req.user._id }
+        : { user: req.user._id, isDefault: true });
+
+      if (!storedResume) {
+        throw new BadRequestError(resumeId
+          ? 'Resume not found in your library'
+          : 'Resume file is required: upload one or choose a stored resume');
       }
+    }
 
-      if (!jobId) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Job ID is required' 
-        });
-      }
+    // Check if job exists
+    const job = await Job.findById(jobId);
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
 
-      // Validate job ID format
-      if (!mongoose.Types.ObjectId.isValid(jobId)) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Invalid job ID format' 
-        });
-      }
+    if (!job.isAcceptingApplications()) {
+      throw new BadRequestError('This job is no longer accepting applications');
+    }
 
-      // Check if job exists
-      const job = await Job.findById(jobId);
-      if (!job) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'Job not found' 
-        });
-      }
+    // Check for existing application
+    const existingApplication = await Application.findOne({ 
+      job: jobId, 
+      user: req.user.id 
+    });
+    
+    if (existingApplication) {
+      throw new BadRequestError('You have already applied for this job');
+    }
 
-      // Check for existing application
-      const existingApplication = await Application.findOne({ 
-        job: jobId, 
-        user: req.user.id 
-      });
-      
-      if (existingApplication) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'You have already applied for this job' 
-        });
+    // Check screening answers before any resume file is copied
+    const screening = evaluateAnswers(job.screeningQuestions, answers, req.files);
+    if (screening.errors.length) {
+      throw new RequestValidationError(screening.errors.map(error => ({ location: 'body', ...error })));
+    }
+
+    // Snapshot the resume; library resumes are copied so the application
+    // keeps its file even if the seeker later replaces or deletes it
+    const resumeSnapshot = req.file
+      ? {
+        originalName: req.file.originalname,
+        filename: req.file.filename,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        capturedAt: new Date()
       }
+      : {
+        sourceResume: storedResume._id,
+        originalName: storedResume.originalName,
+        filename: await copyResumeFile(storedResume.filename),
+        mimeType: storedResume.mimeType,
+        size: storedResume.size,
+        capturedAt: new Date()
+      };
+
+    // Score the applicant against the job for company-side ranking
+    const profile = await Profile.findOne({ user: req.user._id }).lean();
+    const match = computeMatch(job, profile);
+
+    // Create new application
+    const application = new Application({
+      job: jobId,
+      user: req.user.id,
+      resume: resumeSnapshot.filename,
+      resumeSnapshot,
+      coverLetter: coverLetter || '',
+      matchScore: match.score,
+      matchedSkills: match.matchedSkills,
+      status: workflow.initialStatus,
+      statusHistory: [{
+        from: null,
+        to: workflow.initialStatus,
+        changedBy: req.user._id,
+        changedByRole: 'jobSeeker'
+      }],
+      screeningAnswers: screening.answers,
+      knockedOut: screening.knockedOut
+    });
 
-      // Create new application
-      const application = new Application({
-        job: jobId,
-        user: req.user.id,
-        resume: req.file.filename,
-        coverLetter: coverLetter || '',
-        status: 'pending'
+    // A failed knockout question rejects the application straight away
+    if (screening.knockedOut) {
+      application.statusHistory.push({
+        from: workflow.initialStatus,
+        to: 'rejected',
+        changedByRole: 'system',
+        note: 'Automatically rejected by knockout screening questions'
       });
+      application.status = 'rejected';
+    }
 
-      await application.save();
-      
-      // Increment application count on the job
-      await Job.findByIdAndUpdate(jobId, { $inc: { applicationCount: 1 } });
-
-      // Populate job details for response
-      const populatedApplication = await Application.findById(application._id)
-        .populate('job', 'title company')
-        .populate('user', 'name email');
-
-      res.status(201).json({
-        success: true,
-        message: 'Application submitted successfully',
-        application: {
-          _id: populatedApplication._id,
-          resume: populatedApplication.resume,
-          job: populatedApplication.job,
-          user: populatedApplication.user,
-          status: populatedApplication.status,
-          createdAt: populatedApplication.createdAt
-        }
-      });
+    await application.save();
+    
+    // Increment application count on the job
+    await Job.findByIdAndUpdate(jobId, { $inc: { applicationCount: 1 } });
 
-    } catch (error) {
-      console.error('Application submission error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Server error during application submission',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+    emit(EVENTS.APPLICATION_CREATED, { application, job, applicant: req.user });
+    if (application.knockedOut) {
+      emit(EVENTS.APPLICATION_STATUS_CHANGED, { application, job, status: application.status, previousStatus: workflow.initialStatus });
     }
-  }
+
+    // Populate job details for response
+    const populatedApplication = await Application.findById(application._id)
+      .populate('job', 'title company')
+      .populate('user', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted successfully',
+      application: {
+        _id: populatedApplication._id,
+        resume: populatedApplication.resume,
+        job: populatedApplication.job,
+        user: populatedApplication.user,
+        status: populatedApplication.status,
+        createdAt: populatedApplication.createdAt
+      }
+    });
+  })
 );
 
 // @desc    Get resume file
 // @route   GET /api/applications/resume/:filename
 // @access  Private (owner or company)
-router.get('/resume/:filename', protect, async (req, res) => {
-  try {
-    const { filename } = req.params;
-    const filePath = path.join(__dirname, '../../uploads', filename);
-
-    // Verify user has permission to access this file
-    const application = await Application.findOne({ 
-      resume: filename,
-      $or: [
-        { user: req.user.id }, // Applicant can view their own resume
-        { 
-          job: { 
-            $in: await Job.find({ postedBy: req.user.id }).distinct('_id') 
-          } 
-        } // Company can view resumes for their jobs
-      ]
-    }).populate('job', 'postedBy');
-
-    if (!application) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Not authorized to access this file' 
-      });
-    }
-
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Resume file not found' 
-      });
-    }
+router.get('/resume/:filename', protect, validate(schemas.resumeFile), asyncHandler(async (req, res) => {
+  const { filename } = req.params;
+
+  // Verify user has permission to access this file
+  const application = await Application.findOne({ 
+    resume: filename,
+    $or: [
+      { user: req.user.id }, // Applicant can view their own resume
+      { 
+        job: { 
+          $in: await Job.find(await jobAccessFilter(req.user, 'view')).distinct('_id') 
+        } 
+      } // Organization members can view resumes for their jobs
+    ]
+  }).populate('job', 'postedBy');
+
+  if (!application) {
+    throw new ForbiddenError('Not authorized to access this file');
+  }
 
-    // Determine content type based on file extension
-    const ext = path.extname(filename).toLowerCase();
-    let contentType = 'application/octet-stream';
-    
-    if (ext === '.pdf') {
-      contentType = 'application/pdf';
-    } else if (ext === '.doc') {
-      contentType = 'application/msword';
-    } else if (ext === '.docx') {
-      contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-    }
+  // Streams local files, or redirects to a signed URL for object storage
+  const sent = await sendResumeFile(res, application.resume, {
+    downloadName: application.resumeSnapshot && application.resumeSnapshot.originalName
+  });
 
-    // Set proper headers and send file
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
-    res.sendFile(filePath);
-
-  } catch (error) {
-    console.error('Resume download error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during resume download',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (!sent) {
+    throw new NotFoundError('Resume file not found');
   }
-});
+}));
 
 // @desc    Get applications for jobs posted by company
 // @route   GET /api/applications/company
 // @access  Private (company)
+// @query   knockedOut (true|false)
 router.get('/company', 
   protect, 
   roleAuthorization(['company']), 
-  async (req, res) => {
-    try {
-      // Find all jobs posted by this company
-      const jobs = await Job.find({ postedBy: req.user.id }).lean();
-      const jobIds = jobs.map(job => job._id);
-      
-      // Find all applications for these jobs
-      const applications = await Application.find({ job: { $in: jobIds } })
-        .populate('job', 'title company location')
-        .populate('user', 'name email')
-        .sort({ createdAt: -1 })
-        .lean();
-
-      res.json({
-        success: true,
-        count: applications.length,
-        applications
-      });
-    } catch (error) {
-      console.error('Error fetching company applications:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Server error fetching applications',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+  validate(schemas.companyApplications),
+  asyncHandler(async (req, res) => {
+    // Find all jobs of the user's organizations
+    const jobs = await Job.find(await jobAccessFilter(req.user, 'view')).lean();
+    const jobIds = jobs.map(job => job._id);
+    
+    // Find all applications for these jobs
+    const filter = { job: { $in: jobIds } };
+    if (req.query.knockedOut !== undefined) {
+      filter.knockedOut = req.query.knockedOut;
     }
-  }
+
+    const applications = await Application.find(filter)
+      .populate('job', 'title company location')
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: applications.length,
+      applications: applications.map(({ resumeAnalysis, ...app }) => ({
+        ...app,
+        resumeSummary: Application.resumeSummary(resumeAnalysis)
+      }))
+    });
+  })
 );
 
 // @desc    Get applications for a specific job
 // @route   GET /api/applications/job/:jobId
 // @access  Private (company)
+// @query   sort (newest|match), knockedOut (true|false),
+//          answer.<questionId>, answerMin.<questionId>, answerMax.<questionId>
 router.get('/job/:jobId', 
   protect, 
   roleAuthorization(['company']), 
-  async (req, res) => {
-    try {
-      const { jobId } = req.params;
-
-      // Validate job ID format
-      if (!mongoose.Types.ObjectId.isValid(jobId)) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Invalid job ID format' 
-        });
-      }
+  validate(schemas.jobApplications, { allowUnknown: ['query'] }),
+  asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+
+    // Verify job exists and belongs to one of the user's organizations
+    const job = await Job.findOne({ 
+      _id: jobId, 
+      ...(await jobAccessFilter(req.user, 'view'))
+    }).lean();
+
+    if (!job) {
+      throw new NotFoundError('Job not found or not authorized');
+    }
 
-      // Verify job exists and belongs to this company
-      const job = await Job.findOne({ 
-        _id: jobId, 
-        postedBy: req.user.id 
-      }).lean();
-
-      if (!job) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'Job not found or not authorized' 
-        });
-      }
+    // Narrow by knockout result and screening answers
+    const filter = { job: jobId };
+    if (req.query.knockedOut !== undefined) {
+      filter.knockedOut = req.query.knockedOut;
+    }
 
-      // Find all applications for this job
-      const applications = await Application.find({ job: jobId })
-        .populate('user', 'name email')
-        .sort({ createdAt: -1 })
-        .lean();
+    const answerFilter = buildAnswerFilter(job.screeningQuestions, req.query);
+    if (answerFilter.error) {
+      throw new RequestValidationError([{ location: 'query', field: answerFilter.field, message: answerFilter.error }]);
+    }
+    if (answerFilter.conditions.length) {
+      filter.$and = answerFilter.conditions;
+    }
 
-      res.json({
-        success: true,
-        job: {
-          _id: job._id,
-          title: job.title,
-          company: job.company
-        },
-        count: applications.length,
-        applications
-      });
-    } catch (error) {
-      console.error('Error fetching job applications:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Server error fetching applications',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    const applications = await Application.find(filter)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    // Score applications submitted before match scoring existed
+    const unscored = applications.filter(app => app.matchScore === null || app.matchScore === undefined);
+    if (unscored.length) {
+      const profiles = await Profile.find({ user: { $in: unscored.map(app => app.user._id) } }).lean();
+      const profileByUser = new Map(profiles.map(profile => [profile.user.toString(), profile]));
+      unscored.forEach(app => {
+        const match = computeMatch(job, profileByUser.get(app.user._id.toString()));
+        app.matchScore = match.score;
+        app.matchedSkills = match.matchedSkills;
       });
     }
-  }
+
+    if (req.query.sort === 'match') {
+      applications.sort((a, b) => b.matchScore - a.matchScore || b.createdAt - a.createdAt);
+    }
+
+    res.json({
+      success: true,
+      job: {
+        _id: job._id,
+        title: job.title,
+        company: job.company,
+        screeningQuestions: job.screeningQuestions
+      },
+      count: applications.length,
+      applications: applications.map(({ resumeAnalysis, ...app }) => ({
+        ...app,
+        resumeSummary: Application.resumeSummary(resumeAnalysis)
+      }))
+    });
+  })
+);
+
+// @desc    Search applicants across the company's jobs
+// @route   GET /api/applications/search
+// @access  Private (company)
+// @query   q, status, job, appliedAfter, appliedBefore, minScore, maxScore,
+//          sort (relevance|newest|oldest|match), page, limit
+router.get('/search', 
+  protect, 
+  roleAuthorization(['company']), 
+  validate(schemas.searchApplications),
+  asyncHandler(async (req, res) => {
+    const q = req.query.q || '';
+    const statuses = req.query.status || [];
+    const scores = {
+      minScore: req.query.minScore !== undefined ? req.query.minScore : null,
+      maxScore: req.query.maxScore !== undefined ? req.query.maxScore : null
+    };
+
+    // Relevance depends on the adapter and on there being a query
+    const searchAdapter = getCandidateSearch();
+    const sort = req.query.sort || (q ? 'relevance' : 'newest');
+    const sorts = searchAdapter.sorts(q);
+    if (!sorts.includes(sort)) {
+      throw new RequestValidationError([{
+        location: 'query',
+        field: 'sort',
+        message: `sort must be one of: ${sorts.join(', ')}`
+      }]);
+    }
+
+    // Only ever search applications to jobs the user can see
+    const jobFilter = await jobAccessFilter(req.user, 'view');
+    if (req.query.job) {
+      jobFilter._id = req.query.job;
+    }
+
+    const jobIds = await Job.find(jobFilter).distinct('_id');
+    if (req.query.job && !jobIds.length) {
+      throw new NotFoundError('Job not found or not authorized');
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const { applications, total } = await searchAdapter.search({
+      jobIds,
+      q,
+      statuses,
+      appliedAfter: req.query.appliedAfter,
+      appliedBefore: req.query.appliedBefore,
+      ...scores,
+      sort,
+      skip,
+      limit
+    });
+
+    res.json({
+      success: true,
+      count: applications.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      applications: applications.map(({ resumeAnalysis, ...app }) => ({
+        ...app,
+        resumeSummary: Application.resumeSummary(resumeAnalysis)
+      }))
+    });
+  })
 );
 
 // @desc    Get user's own applications
@@ -287,115 +392,169 @@ router.get('/job/:jobId',
 router.get('/my', 
   protect, 
   roleAuthorization(['jobSeeker']), 
-  async (req, res) => {
-    try {
-      const applications = await Application.find({ user: req.user.id })
-        .populate({
-          path: 'job',
-          select: 'title company location salary postedBy',
-          populate: {
-            path: 'postedBy',
-            select: 'name'
-          }
-        })
-        .sort({ createdAt: -1 })
-        .lean();
-
-      res.json({
-        success: true,
-        count: applications.length,
-        applications: applications.map(app => ({
-          _id: app._id,
-          job: app.job,
-          status: app.status,
-          resume: app.resume,
-          createdAt: app.createdAt,
-          updatedAt: app.updatedAt
-        }))
-      });
-    } catch (error) {
-      console.error('Error fetching user applications:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Server error fetching your applications',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
-    }
-  }
+  asyncHandler(async (req, res) => {
+    const applications = await Application.find({ user: req.user.id })
+      .populate({
+        path: 'job',
+        select: 'title company location salary postedBy',
+        populate: {
+          path: 'postedBy',
+          select: 'name'
+        }
+      })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: applications.length,
+      applications: applications.map(app => ({
+        _id: app._id,
+        job: app.job && { ...app.job, salary: presentSalary(app.job.salary) },
+        status: app.status,
+        timeline: Application.applicantTimeline(app.statusHistory),
+        resume: app.resume,
+        resumeSnapshot: app.resumeSnapshot,
+        screeningAnswers: (app.screeningAnswers || []).map(({ knockout, ...answer }) => answer),
+        createdAt: app.createdAt,
+        updatedAt: app.updatedAt
+      }))
+    });
+  })
 );
 
-// @desc    Update application status
+// @desc    Move an application through the hiring workflow
 // @route   PUT /api/applications/:id/status
-// @access  Private (company)
+// @access  Private (company; owner, admin or recruiter of the job's organization)
+// @body    status, note, rejectionReason, visibleToApplicant
 router.put('/:id/status', 
   protect, 
   roleAuthorization(['company']), 
-  async (req, res) => {
+  validate(schemas.updateStatus),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status, note, rejectionReason, visibleToApplicant } = req.body;
+
+    // Find application and verify it belongs to a job posted by this company
+    const application = await Application.findById(id)
+      .populate('job', 'postedBy organization title company');
+
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+
+    if (!(await canAccessJob(req.user, application.job, 'manage'))) {
+      throw new ForbiddenError('Not authorized to update this application');
+    }
+
+    // Update status
+    const previousStatus = application.status;
     try {
-      const { id } = req.params;
-      const { status } = req.body;
-      const validStatuses = ['pending', 'reviewed', 'rejected', 'accepted'];
-      
-      // Validate status value
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Invalid status value' 
-        });
+      application.transitionTo(status, {
+        user: req.user._id,
+        role: 'company',
+        note,
+        rejectionReason,
+        visibleToApplicant
+      });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        throw new ConflictError(error.message, { allowed: workflow.allowedTransitions(error.from, 'company') });
       }
+      throw error;
+    }
+    await application.save();
+
+    emit(EVENTS.APPLICATION_STATUS_CHANGED, { application, job: application.job, status, previousStatus });
 
-      // Validate application ID format
-      if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Invalid application ID format' 
-        });
+    res.json({
+      success: true,
+      message: 'Application status updated',
+      application: {
+        _id: application._id,
+        status: application.status,
+        statusHistory: application.statusHistory,
+        job: {
+          _id: application.job._id,
+          title: application.job.title
+        },
+        user: application.user
       }
+    });
+  })
+);
 
-      // Find application and verify it belongs to a job posted by this company
-      const application = await Application.findById(id)
-        .populate('job', 'postedBy');
+// @desc    Withdraw an application
+// @route   PUT /api/applications/:id/withdraw
+// @access  Private (jobSeeker, own application)
+// @body    note
+router.put('/:id/withdraw', 
+  protect, 
+  roleAuthorization(['jobSeeker']), 
+  validate(schemas.withdraw),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-      if (!application) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'Application not found' 
-        });
-      }
+    const application = await Application.findOne({ _id: id, user: req.user.id })
+      .populate('job', 'postedBy title company');
 
-      if (application.job.postedBy.toString() !== req.user.id) {
-        return res.status(403).json({ 
-          success: false, 
-          message: 'Not authorized to update this application' 
-        });
-      }
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
 
-      // Update status
-      application.status = status;
-      await application.save();
-
-      res.json({
-        success: true,
-        message: 'Application status updated',
-        application: {
-          _id: application._id,
-          status: application.status,
-          job: {
-            _id: application.job._id,
-            title: application.job.title
-          },
-          user: application.user
-        }
+    const previousStatus = application.status;
+    try {
+      application.transitionTo('withdrawn', {
+        user: req.user._id,
+        role: 'jobSeeker',
+        note: req.body.note,
+        visibleToApplicant: true
       });
     } catch (error) {
-      console.error('Error updating application status:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Server error updating application status',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      if (error instanceof InvalidTransitionError) {
+        throw new ConflictError(`An application that is ${error.from} can no longer be withdrawn`);
+      }
+      throw error;
     }
-  }
+    await application.save();
+
+    emit(EVENTS.APPLICATION_STATUS_CHANGED, { application, job: application.job, status: 'withdrawn', previousStatus });
+
+    res.json({
+      success: true,
+      message: 'Application withdrawn',
+      application: {
+        _id: application._id,
+        status: application.status,
+        timeline: Application.applicantTimeline(application.statusHistory)
+      }
+    });
+  })
 );
 
+// @desc    Download a file uploaded as the answer to a screening question
+// @route   GET /api/applications/:id/answers/:questionId/file
+// @access  Private (applicant or company members who can view the job)
+router.get('/:id/answers/:questionId/file', protect, validate(schemas.answerFile), asyncHandler(async (req, res) => {
+  const { id, questionId } = req.params;
+
+  const application = await Application.findById(id)
+    .select('user job screeningAnswers')
+    .populate('job', 'postedBy organization');
+
+  const authorized = application && (
+    application.user.toString() === req.user._id.toString() ||
+    (req.user.role === 'company' && await canAccessJob(req.user, application.job, 'view'))
+  );
+  const answer = authorized && application.screeningAnswers
+    .find(item => item.question.toString() === questionId && item.file && item.file.filename);
+
+  if (!answer || !(await sendResumeFile(res, answer.file.filename, {
+    downloadName: answer.file.originalName,
+    disposition: 'attachment'
+  }))) {
+    throw new NotFoundError('Answer file not found');
+  }
+}));
+
 module.exports = router;
\ No newline at end of file
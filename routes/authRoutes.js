@@ -1,193 +1,372 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
-const dotenv = require('dotenv');
+const LoginFailure = require('../models/loginFailureModel');
 const protect = require('../middleware/authMiddleware');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/authValidators');
+const logger = require('../utils/logger');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  asyncHandler
+} = require('../utils/errors');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  RefreshTokenError,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshToken
+} = require('../utils/authTokens');
+const { createVerificationToken, consumeVerificationToken } = require('../utils/verificationTokens');
+const { sendMail } = require('../utils/mailer');
+const templates = require('../utils/mailer/templates');
 
-dotenv.config();
 const router = express.Router();
 
-// Input validation middleware
-const validateSignup = (req, res, next) => {
-  const { name, email, password } = req.body;
-  
-  if (!name || !email || !password) {
-    return res.status(400).json({ 
-      success: false, 
-      message: 'All fields are required' 
-    });
-  }
+// Per-IP throttles against credential stuffing and mass signups; repeated
+// failures on one email are handled by the lockout on the User (or the
+// LoginFailure record for an email without an account)
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many login attempts, please try again later'
+});
+const signupLimiter = rateLimit({
+  name: 'signup',
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many accounts created from this address, please try again later'
+});
 
-  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-    return res.status(400).json({ 
-      success: false, 
-      message: 'Invalid email format' 
-    });
-  }
+// Reset requests are throttled per address and per email, so nobody can
+// flood an inbox with reset mails
+const forgotPasswordLimiter = rateLimit({
+  name: 'forgotPassword',
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many password reset requests, please try again later'
+});
+const forgotPasswordEmailLimiter = rateLimit({
+  name: 'forgotPasswordEmail',
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyBy: req => `email:${req.body.email}`,
+  message: 'Too many password reset requests, please try again later'
+});
+
+// Compared against when the email has no password to check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('no account with this email', 10);
 
-  if (password.length < 6) {
-    return res.status(400).json({ 
-      success: false, 
-      message: 'Password must be at least 6 characters' 
-    });
+// Email a fresh verification link; failures are logged, not surfaced,
+// so a mail outage never blocks signup
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await createVerificationToken(user._id, 'email-verification');
+    await sendMail({ to: user.email, ...templates.emailVerification({ name: user.name, token }) });
+  } catch (error) {
+    logger.error('Failed to send verification email', { error, userId: user._id.toString() });
   }
+};
 
-  next();
+// Email a password reset link; failures are logged, not surfaced
+const sendPasswordResetEmail = async (user) => {
+  try {
+    const token = await createVerificationToken(user._id, 'password-reset');
+    await sendMail({ to: user.email, ...templates.passwordReset({ name: user.name, token }) });
+  } catch (error) {
+    logger.error('Failed to send password reset email', { error, userId: user._id.toString() });
+  }
 };
 
 // Signup Route
-router.post('/signup', validateSignup, async (req, res) => {
-  try {
-    let { name, email, password, role } = req.body;
-    
-    // Sanitize inputs
-    name = name.trim();
-    email = email.trim().toLowerCase();
-    password = password.trim();
-    role = (role || 'jobSeeker').trim();
-
-    // Check existing user
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Email already registered' 
-      });
-    }
+router.post('/signup', signupLimiter, validate(schemas.signup), asyncHandler(async (req, res) => {
+  // Trimmed, lowercased and defaulted by the signup schema
+  const { name, email, password, role } = req.body;
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create user
-    const newUser = await User.create({
-      name,
-      email,
-      password: hashedPassword,
-      role
-    });
-
-    // Generate JWT
-    const token = jwt.sign(
-      { id: newUser._id, role: newUser.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-    );
+  // Check existing user
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new BadRequestError('Email already registered');
+  }
+
+  // Hash password
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  // Create user
+  const newUser = await User.create({
+    name,
+    email,
+    password: hashedPassword,
+    role
+  });
+
+  await sendVerificationEmail(newUser);
 
-    res.status(201).json({
-      success: true,
-      token,
+  // Issue a short-lived access token and a rotating refresh token
+  const { accessToken, refreshToken } = await issueSession(newUser, req, res);
+
+  res.status(201).json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    role: newUser.role,
+    user: {
+      id: newUser._id,
+      name: newUser.name,
+      email: newUser.email,
       role: newUser.role,
-      user: {
-        id: newUser._id,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role
-      },
-      message: 'Registration successful'
-    });
+      emailVerified: newUser.emailVerified
+    },
+    message: 'Registration successful'
+  });
+}));
 
-  } catch (error) {
-    console.error('Signup Error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during registration',
-      error: error.message
-    });
+// Login Route
+router.post('/login', loginLimiter, validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Find user with password
+  const user = await User.findOne({ email }).select('+password');
+
+  // A locked account rejects even the right password until the lock expires.
+  // Failures for unregistered emails lock out the same way, so the lockout
+  // does not reveal which emails have accounts.
+  const lockedUntil = user
+    ? (user.isLoginLocked() && user.lockedUntil)
+    : await LoginFailure.lockedUntil(email);
+  if (lockedUntil) {
+    throw new TooManyRequestsError(
+      'Too many failed login attempts. Try again later',
+      Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+    );
   }
-});
 
-// Login Route
-router.post('/login', async (req, res) => {
-  try {
-    let { email, password } = req.body;
-    email = email?.trim().toLowerCase();
-    password = password?.trim();
-
-    // Basic validation
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Email and password required' 
-      });
-    }
+  // Verify password; without an account to check, compare against a dummy
+  // hash so the response takes as long
+  const isMatch = await bcrypt.compare(password, (user && user.password) || DUMMY_PASSWORD_HASH);
+  if (!user || !user.password || !isMatch) {
+    await (user ? User.recordFailedLogin(user._id) : LoginFailure.recordFailedLogin(email));
+    throw new BadRequestError('Invalid credentials');
+  }
 
-    // Find user with password
-    const user = await User.findOne({ email }).select('+password');
-    
-    if (!user || !user.password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid credentials' 
-      });
-    }
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await User.clearFailedLogins(user._id);
+  }
 
-    // Verify password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid credentials' 
-      });
-    }
+  if (user.disabledAt) {
+    throw new ForbiddenError('This account has been deactivated');
+  }
+  if (user.suspendedAt) {
+    throw new ForbiddenError('This account has been suspended');
+  }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-    );
+  // Issue a short-lived access token and a rotating refresh token
+  const { accessToken, refreshToken } = await issueSession(user, req, res);
 
-    res.json({
-      success: true,
-      token,
+  res.json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    role: user.role,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
       role: user.role,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      },
-      message: 'Login successful'
-    });
+      emailVerified: user.emailVerified
+    },
+    message: 'Login successful'
+  });
+}));
 
-  } catch (error) {
-    console.error('Login Error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during login',
-      error: error.message
-    });
+// Get current user data
+router.get('/me', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id)
+    .select('-password')
+    .lean();
+
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-});
 
-// Get current user data
-router.get('/me', protect, async (req, res) => {
+  res.json({
+    success: true,
+    user
+  });
+}));
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', validate(schemas.refresh), asyncHandler(async (req, res) => {
+  const token = readRefreshToken(req);
+  if (!token) {
+    throw new UnauthorizedError('Refresh token required');
+  }
+
+  let session;
   try {
-    const user = await User.findById(req.user.id)
-      .select('-password')
-      .lean();
-
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
+    session = await rotateRefreshToken(token, req);
+  } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      clearRefreshCookie(res);
+      throw new UnauthorizedError(error.message);
     }
+    throw error;
+  }
 
-    res.json({
-      success: true,
-      user
-    });
-  } catch (error) {
-    console.error('Error fetching user data:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching user data',
-      error: error.message
-    });
+  const { user, accessToken, refreshToken } = session;
+  setRefreshCookie(res, refreshToken);
+
+  res.json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    role: user.role
+  });
+}));
+
+// Log out of the current device by revoking its refresh token family
+router.post('/logout', validate(schemas.logout), asyncHandler(async (req, res) => {
+  const token = readRefreshToken(req);
+  if (token) {
+    await revokeRefreshToken(token);
   }
-});
 
-module.exports = router;
\ No newline at end of file
+  clearRefreshCookie(res);
+  res.json({
+    success: true,
+    message: 'Logged out'
+  });
+}));
+
+// Log out of all devices: revoke every refresh token and outstanding access token
+router.post('/logout-all', protect, asyncHandler(async (req, res) => {
+  req.user.invalidateTokens();
+  await req.user.save();
+  await revokeAllForUser(req.user._id);
+
+  clearRefreshCookie(res);
+  res.json({
+    success: true,
+    message: 'Logged out of all devices'
+  });
+}));
+
+// Deactivate the signed-in account: it keeps its data, every session ends
+// and it cannot sign in again until an administrator reactivates it
+router.post('/deactivate', protect, validate(schemas.deactivate), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (user.password) {
+    if (!req.body.password || !(await bcrypt.compare(req.body.password, user.password))) {
+      throw new UnauthorizedError('Password is incorrect');
+    }
+  }
+
+  // Saving the deactivation invalidates outstanding access tokens
+  user.disabledAt = new Date();
+  await user.save();
+  await revokeAllForUser(user._id, 'deactivated');
+
+  clearRefreshCookie(res);
+  res.json({
+    success: true,
+    message: 'Account deactivated'
+  });
+}));
+
+// Request a password reset link. The response is the same, and sent as
+// soon, whether or not the email is registered so accounts cannot be
+// enumerated; the mail goes out in the background.
+router.post('/forgot-password', forgotPasswordLimiter, validate(schemas.forgotPassword), forgotPasswordEmailLimiter, asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const user = await User.findOne({ email });
+  if (user && !user.disabledAt) {
+    sendPasswordResetEmail(user);
+  }
+
+  res.json({
+    success: true,
+    message: 'If that email is registered, a reset link has been sent'
+  });
+}));
+
+// Set a new password using a reset token
+router.post('/reset-password', validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  const record = await consumeVerificationToken(token, 'password-reset');
+  const user = record && await User.findById(record.user);
+  if (!user) {
+    throw new BadRequestError('Invalid or expired reset token');
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+
+  // A new password lifts any lockout from failed logins
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockedUntil = null;
+
+  // Receiving the reset link proves ownership of the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  // Saving a new password invalidates outstanding access tokens
+  await user.save();
+  await revokeAllForUser(user._id, 'logout-all');
+
+  clearRefreshCookie(res);
+  res.json({
+    success: true,
+    message: 'Password has been reset. Please log in again'
+  });
+}));
+
+// Confirm an email address using a verification token
+router.post('/verify-email', validate(schemas.verifyEmail), asyncHandler(async (req, res) => {
+  const record = await consumeVerificationToken(req.body.token, 'email-verification');
+  if (!record) {
+    throw new BadRequestError('Invalid or expired verification token');
+  }
+
+  await User.updateOne(
+    { _id: record.user },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+
+  res.json({
+    success: true,
+    message: 'Email verified'
+  });
+}));
+
+// Send a new verification email to the logged-in user
+router.post('/resend-verification', protect, asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    throw new BadRequestError('Email is already verified');
+  }
+
+  await sendVerificationEmail(req.user);
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+}));
+
+module.exports = router;
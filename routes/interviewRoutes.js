@@ -0,0 +1,356 @@
+const express = require('express');
+const protect = require('../middleware/authMiddleware');
+const roleAuthorization = require('../middleware/roleMiddleware');
+const Interview = require('../models/interviewModel');
+const Application = require('../models/applicationModel');
+const Job = require('../models/jobModel');
+const { workflow } = require('../utils/applicationWorkflow');
+const { canAccessJob, jobAccessFilter } = require('../utils/orgAccess');
+const { interviewCalendar } = require('../utils/interviews');
+const { EVENTS, emit } = require('../utils/events');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/interviewValidators');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  RequestValidationError,
+  asyncHandler
+} = require('../utils/errors');
+
+const router = express.Router();
+
+// Fields a company may set when proposing an interview
+const DETAIL_FIELDS = ['timezone', 'mode', 'location', 'videoLink', 'notes'];
+
+// Slots that overlap another scheduled interview of one of the interviewers
+const findSlotConflicts = async (interviewerIds, slots, excludeId) => {
+  const conflicts = [];
+  for (const slot of slots) {
+    const overlapping = await Interview.findConflicts(interviewerIds, slot.start, slot.end, excludeId);
+    if (overlapping.length) {
+      conflicts.push({
+        slot: { start: slot.start, end: slot.end },
+        interviews: overlapping.map(interview => ({
+          _id: interview._id,
+          start: interview.scheduledSlot.start,
+          end: interview.scheduledSlot.end,
+          interviewers: interview.interviewers.filter(id => interviewerIds.some(other => other.toString() === id.toString()))
+        }))
+      });
+    }
+  }
+  return conflicts;
+};
+
+const slotConflictError = (conflicts) => new ConflictError(
+  'An interviewer already has an interview at this time',
+  { conflicts }
+);
+
+// Load the interview from :id and work out how the caller is involved:
+// the candidate, a company member who can manage the job, or an interviewer
+const loadInterview = asyncHandler(async (req, res, next) => {
+  const interview = await Interview.findById(req.params.id);
+  if (!interview) {
+    throw new NotFoundError('Interview not found');
+  }
+
+  const userId = req.user._id.toString();
+  const isCandidate = interview.candidate.toString() === userId;
+  let canManage = false;
+  let isInterviewer = false;
+
+  if (!isCandidate && req.user.role === 'company') {
+    const job = await Job.findById(interview.job).select('postedBy organization').lean();
+    canManage = await canAccessJob(req.user, job, 'manage');
+    isInterviewer = interview.interviewers.some(id => id.toString() === userId);
+  }
+
+  if (!isCandidate && !canManage && !isInterviewer) {
+    throw new NotFoundError('Interview not found');
+  }
+
+  req.interview = interview;
+  req.participant = { isCandidate, canManage, isInterviewer, role: isCandidate ? 'jobSeeker' : 'company' };
+  next();
+});
+
+const populateInterview = (query) => query
+  .populate('job', 'title company')
+  .populate('candidate', 'name email')
+  .populate('interviewers', 'name email');
+
+// @desc    Propose interview times for an application
+// @route   POST /api/interviews
+// @access  Private (company)
+// @body    applicationId, slots [{ start, end }], timezone,
+//          mode (video|phone|in-person), location, videoLink, interviewers, notes
+router.post('/', protect, roleAuthorization(['company']), validate(schemas.proposeInterview), asyncHandler(async (req, res) => {
+  const { applicationId, slots } = req.body;
+
+  const application = await Application.findById(applicationId).populate('job');
+  if (!application || !(await canAccessJob(req.user, application.job, 'manage'))) {
+    throw new NotFoundError('Application not found or not authorized');
+  }
+
+  if (workflow.finalStatuses.includes(application.status)) {
+    throw new BadRequestError(`Cannot schedule an interview for a ${application.status} application`);
+  }
+
+  const active = await Interview.exists({ application: application._id, status: { $in: ['proposed', 'scheduled'] } });
+  if (active) {
+    throw new ConflictError('This application already has an interview in progress. Reschedule or cancel it instead.');
+  }
+
+  // Interviewers must be able to see the job; default to the caller
+  const requested = req.body.interviewers && req.body.interviewers.length
+    ? req.body.interviewers
+    : [req.user._id];
+  const interviewerIds = [...new Set(requested.map(String))];
+  for (const id of interviewerIds) {
+    if (!(await canAccessJob({ _id: id }, application.job, 'view'))) {
+      throw new BadRequestError(`User ${id} cannot interview for this job`);
+    }
+  }
+
+  const conflicts = await findSlotConflicts(interviewerIds, slots);
+  if (conflicts.length) {
+    throw slotConflictError(conflicts);
+  }
+
+  const interview = new Interview({
+    application: application._id,
+    job: application.job._id,
+    candidate: application.user,
+    interviewers: interviewerIds,
+    slots,
+    proposedBy: { user: req.user._id, role: 'company' }
+  });
+  DETAIL_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) interview[field] = req.body[field];
+  });
+
+  await interview.save();
+  emit(EVENTS.INTERVIEW_UPDATED, { interview, action: 'proposed', actor: req.user });
+
+  res.status(201).json({
+    success: true,
+    message: 'Interview times proposed',
+    interview
+  });
+}));
+
+// @desc    List interviews the user takes part in
+// @route   GET /api/interviews/mine
+// @access  Private
+// @query   status, upcoming (true for scheduled interviews that have not started)
+router.get('/mine', protect, validate(schemas.myInterviews), asyncHandler(async (req, res) => {
+  let filter;
+  if (req.user.role === 'company') {
+    const jobIds = await Job.find(await jobAccessFilter(req.user, 'manage')).distinct('_id');
+    filter = { $or: [{ job: { $in: jobIds } }, { interviewers: req.user._id }] };
+  } else {
+    filter = { candidate: req.user._id };
+  }
+
+  if (req.query.upcoming) {
+    filter.status = 'scheduled';
+    filter['scheduledSlot.start'] = { $gt: new Date() };
+  } else if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const interviews = await populateInterview(Interview.find(filter))
+    .sort({ 'scheduledSlot.start': 1, createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    count: interviews.length,
+    interviews
+  });
+}));
+
+// @desc    Get an interview
+// @route   GET /api/interviews/:id
+// @access  Private (candidate, interviewers, job managers)
+router.get('/:id', protect, validate(schemas.interviewById), loadInterview, asyncHandler(async (req, res) => {
+  const interview = await populateInterview(Interview.findById(req.interview._id)).lean();
+
+  res.json({
+    success: true,
+    interview
+  });
+}));
+
+// @desc    Download the calendar invite for a scheduled interview
+// @route   GET /api/interviews/:id/calendar.ics
+// @access  Private (candidate, interviewers, job managers)
+router.get('/:id/calendar.ics', protect, validate(schemas.interviewById), loadInterview, asyncHandler(async (req, res) => {
+  if (req.interview.status !== 'scheduled') {
+    throw new ConflictError('Only scheduled interviews have a calendar invite');
+  }
+
+  const interview = await populateInterview(Interview.findById(req.interview._id)).lean();
+  const { content, contentType, filename } = interviewCalendar(interview);
+
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(content);
+}));
+
+// @desc    Pick one of the proposed slots
+// @route   POST /api/interviews/:id/accept
+// @access  Private (the side that did not propose the slots)
+// @body    slotId
+router.post('/:id/accept', protect, validate(schemas.acceptInterview), loadInterview, asyncHandler(async (req, res) => {
+  const { interview, participant } = req;
+
+  if (interview.status !== 'proposed') {
+    throw new ConflictError(`Cannot accept a ${interview.status} interview`);
+  }
+
+  // The candidate answers the company's proposal and vice versa
+  const mayAccept = interview.proposedBy.role === 'company' ? participant.isCandidate : participant.canManage;
+  if (!mayAccept) {
+    throw new ForbiddenError('Waiting for the other side to pick a time');
+  }
+
+  const slot = interview.slots.id(req.body.slotId);
+  if (!slot) {
+    throw new RequestValidationError([{ location: 'body', field: 'slotId', message: 'Pick one of the proposed slots' }]);
+  }
+  if (slot.start <= new Date()) {
+    throw new BadRequestError('This slot has already passed');
+  }
+
+  const conflicts = await findSlotConflicts(interview.interviewers, [slot], interview._id);
+  if (conflicts.length) {
+    throw slotConflictError(conflicts);
+  }
+
+  if (interview.scheduledSlot && interview.scheduledSlot.start) {
+    interview.sequence += 1;
+  }
+  interview.scheduledSlot = { start: slot.start, end: slot.end };
+  interview.status = 'scheduled';
+  interview.slots = [];
+  interview.remindersSent = [];
+  await interview.save();
+
+  emit(EVENTS.INTERVIEW_UPDATED, { interview, action: 'scheduled', actor: req.user });
+
+  res.json({
+    success: true,
+    message: 'Interview scheduled',
+    interview
+  });
+}));
+
+// @desc    Decline the proposed interview times
+// @route   POST /api/interviews/:id/decline
+// @access  Private (candidate)
+// @body    reason
+router.post('/:id/decline', protect, validate(schemas.declineInterview), loadInterview, asyncHandler(async (req, res) => {
+  const { interview, participant } = req;
+
+  if (!participant.isCandidate) {
+    throw new ForbiddenError('Only the candidate can decline an interview');
+  }
+  if (interview.status !== 'proposed') {
+    throw new ConflictError(`Cannot decline a ${interview.status} interview`);
+  }
+
+  interview.status = 'declined';
+  interview.declineReason = req.body.reason;
+  await interview.save();
+
+  emit(EVENTS.INTERVIEW_UPDATED, { interview, action: 'declined', actor: req.user });
+
+  res.json({
+    success: true,
+    message: 'Interview declined',
+    interview
+  });
+}));
+
+// @desc    Propose new times for a proposed or scheduled interview
+// @route   POST /api/interviews/:id/reschedule
+// @access  Private (candidate or job managers)
+// @body    slots [{ start, end }], timezone
+router.post('/:id/reschedule', protect, validate(schemas.rescheduleInterview), loadInterview, asyncHandler(async (req, res) => {
+  const { interview, participant } = req;
+
+  if (!participant.isCandidate && !participant.canManage) {
+    throw new ForbiddenError('Not authorized to reschedule this interview');
+  }
+  if (!['proposed', 'scheduled'].includes(interview.status)) {
+    throw new ConflictError(`Cannot reschedule a ${interview.status} interview`);
+  }
+
+  const { slots } = req.body;
+  const conflicts = await findSlotConflicts(interview.interviewers, slots, interview._id);
+  if (conflicts.length) {
+    throw slotConflictError(conflicts);
+  }
+
+  const previousSlot = interview.status === 'scheduled'
+    ? { start: interview.scheduledSlot.start, end: interview.scheduledSlot.end }
+    : undefined;
+  if (previousSlot) {
+    interview.sequence += 1;
+  }
+
+  interview.status = 'proposed';
+  interview.slots = slots;
+  interview.proposedBy = { user: req.user._id, role: participant.role };
+  if (req.body.timezone !== undefined) interview.timezone = req.body.timezone;
+  await interview.save();
+
+  emit(EVENTS.INTERVIEW_UPDATED, { interview, action: 'proposed', actor: req.user, previousSlot });
+
+  res.json({
+    success: true,
+    message: 'New interview times proposed',
+    interview
+  });
+}));
+
+// @desc    Cancel an interview
+// @route   POST /api/interviews/:id/cancel
+// @access  Private (candidate or job managers)
+// @body    reason
+router.post('/:id/cancel', protect, validate(schemas.cancelInterview), loadInterview, asyncHandler(async (req, res) => {
+  const { interview, participant } = req;
+
+  if (!participant.isCandidate && !participant.canManage) {
+    throw new ForbiddenError('Not authorized to cancel this interview');
+  }
+  if (!['proposed', 'scheduled'].includes(interview.status)) {
+    throw new ConflictError(`Cannot cancel a ${interview.status} interview`);
+  }
+
+  const previousSlot = interview.status === 'scheduled'
+    ? { start: interview.scheduledSlot.start, end: interview.scheduledSlot.end }
+    : undefined;
+  if (previousSlot) {
+    interview.sequence += 1;
+  }
+
+  interview.status = 'cancelled';
+  interview.cancelledBy = req.user._id;
+  interview.cancelReason = req.body.reason;
+  await interview.save();
+
+  emit(EVENTS.INTERVIEW_UPDATED, { interview, action: 'cancelled', actor: req.user, previousSlot });
+
+  res.json({
+    success: true,
+    message: 'Interview cancelled',
+    interview
+  });
+}));
+
+module.exports = router;
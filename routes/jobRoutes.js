@@ -2,113 +2,419 @@ const express = require('express');
 const Job = require('../models/jobModel');
 const protect = require('../middleware/authMiddleware');
 const roleAuthorization = require('../middleware/roleMiddleware');
+const requireVerifiedCompany = require('../middleware/verifiedMiddleware');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/jobValidators');
+const Organization = require('../models/organizationModel');
+const Profile = require('../models/profileModel');
+const Application = require('../models/applicationModel');
+const JobView = require('../models/jobViewModel');
+const JobReport = require('../models/jobReportModel');
+const { computeMatch } = require('../utils/matching');
+const { canAccessJob, hasPermission, jobAccessFilter, organizationIdsFor } = require('../utils/orgAccess');
+const { normalizeSalaryInput, presentSalary } = require('../utils/salary');
+const { presentQuestions } = require('../utils/screening');
+const { buildJobFilter, buildJobSort, parsePagination } = require('../utils/jobSearch');
+const { EVENTS, emit } = require('../utils/events');
+const logger = require('../utils/logger');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RequestValidationError,
+  asyncHandler
+} = require('../utils/errors');
 
 const router = express.Router();
 
-// GET all jobs
-router.get('/', async (req, res) => {
-  try {
-    const jobs = await Job.find().populate('postedBy', 'name email');
-    res.json({ 
-      success: true,
-      jobs 
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false,
-      message: 'Error fetching jobs',
-      error: error.message 
-    });
+// Upper bound on jobs scored per recommendation request
+const MAX_RECOMMENDATION_CANDIDATES = 500;
+
+// Fields a company may set when creating or editing a posting
+const EDITABLE_FIELDS = [
+  'title', 'company', 'salary', 'location', 'description',
+  'skillsRequired', 'jobType', 'expiresAt', 'screeningQuestions'
+];
+
+// Load the job from :id and make sure the logged-in user may manage it,
+// either as a member of the owning organization or as its original poster
+const loadOwnedJob = asyncHandler(async (req, res, next) => {
+  const job = await Job.findById(req.params.id);
+  if (!job) {
+    throw new NotFoundError('Job not found');
   }
+
+  if (!(await canAccessJob(req.user, job, 'manage'))) {
+    throw new ForbiddenError('Not authorized to modify this job');
+  }
+
+  req.job = job;
+  next();
 });
 
-// POST a new job (only companies)
+// Owners can still see and delete a job taken down by an administrator,
+// but not edit or republish it
+const blockRemovedJob = (req, res, next) => {
+  if (req.job.status === 'removed') {
+    throw new ForbiddenError('This job was taken down by a moderator and cannot be changed');
+  }
+  next();
+};
+
+// Legacy clients still send salary as free text; it is parsed into the
+// structured shape so it can be filtered and sorted
+const pickEditableFields = (body) => {
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) updates[field] = body[field];
+  });
+  if (updates.salary !== undefined) {
+    updates.salary = normalizeSalaryInput(updates.salary);
+  }
+  if (typeof body.salary === 'string' && !updates.salary) {
+    throw new RequestValidationError([{
+      location: 'body',
+      field: 'salary',
+      message: 'Could not parse salary. Send { min, max, currency, period } instead'
+    }]);
+  }
+  return updates;
+};
+
+// @desc    Search, filter, sort and paginate jobs
+// @route   GET /api/jobs
+// @access  Public
+// @query   q, jobType, location, skills, skillsMatch (any|all),
+//          postedAfter, postedBefore, postedWithin (days),
+//          salaryMin, salaryMax, salaryPeriod (hourly|monthly|yearly), currency,
+//          sort (relevance|newest|oldest|applications|salary), page, limit
+router.get('/', validate(schemas.listJobs), asyncHandler(async (req, res) => {
+  // Only open, unexpired postings are listed publicly
+  const filter = { ...buildJobFilter(req.query), ...Job.openFilter() };
+  const sort = buildJobSort(req.query, filter);
+  const { page, limit, skip } = parsePagination(req.query);
+  const projection = filter.$text ? { score: { $meta: 'textScore' } } : {};
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter, projection)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate('postedBy', 'name email')
+      .populate('organization', 'name logo verified')
+      .lean(),
+    Job.countDocuments(filter)
+  ]);
+
+  res.json({ 
+    success: true,
+    count: jobs.length,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    jobs: jobs.map(job => ({
+      ...job,
+      salary: presentSalary(job.salary),
+      screeningQuestions: presentQuestions(job.screeningQuestions)
+    }))
+  });
+}));
+
+// @desc    Post a new job, optionally as a draft
+// @route   POST /api/jobs
+// @access  Private (company)
 router.post('/', 
   protect, 
   roleAuthorization(['company']), 
-  async (req, res) => {
-    try {
-      const job = new Job({
-        ...req.body,
-        postedBy: req.user.id
-      });
-      
-      await job.save();
-      
-      res.status(201).json({
-        success: true,
-        message: 'Job posted successfully',
-        job
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Error posting job',
-        error: error.message
-      });
+  requireVerifiedCompany, 
+  validate(schemas.createJob), 
+  asyncHandler(async (req, res) => {
+    const { status } = req.body;
+    const updates = pickEditableFields(req.body);
+
+    // Post on behalf of the requested organization, or the only one the
+    // user can post for; users without an organization post as themselves
+    let organization = null;
+    if (req.body.organization) {
+      organization = await Organization.findById(req.body.organization);
+      if (!organization || !hasPermission(organization.memberRole(req.user._id), 'manage')) {
+        throw new ForbiddenError('Not authorized to post jobs for this organization');
+      }
+    } else {
+      const organizationIds = await organizationIdsFor(req.user._id, 'manage');
+      if (organizationIds.length === 1) {
+        organization = await Organization.findById(organizationIds[0]);
+      }
     }
-  }
+
+    const job = new Job({
+      ...updates,
+      company: updates.company || (organization && organization.name),
+      organization: organization && organization._id,
+      status,
+      postedBy: req.user.id
+    });
+    
+    await job.save();
+    
+    res.status(201).json({
+      success: true,
+      message: status === 'draft' ? 'Job saved as draft' : 'Job posted successfully',
+      job
+    });
+  })
 );
 
-// Add this route before your existing routes
-router.get('/:id', protect, async (req, res) => {
-  try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid job ID format'
-      });
+// @desc    Get jobs of the logged-in user's organizations, in any status
+// @route   GET /api/jobs/my
+// @access  Private (company)
+router.get('/my', protect, roleAuthorization(['company']), validate(schemas.myJobs), asyncHandler(async (req, res) => {
+  const filter = await jobAccessFilter(req.user, 'view');
+  if (req.query.status && req.query.status.length) {
+    filter.status = { $in: req.query.status };
+  }
+
+  const jobs = await Job.find(filter)
+    .populate('organization', 'name logo verified')
+    .populate('postedBy', 'name email')
+    .sort({ createdAt: -1 });
+  res.json({
+    success: true,
+    jobs
+  });
+}));
+
+// @desc    Open jobs ranked by fit with the seeker's profile
+// @route   GET /api/jobs/recommended
+// @access  Private (jobSeeker)
+// @query   minScore, page, limit
+router.get('/recommended', protect, roleAuthorization(['jobSeeker']), validate(schemas.recommendedJobs), asyncHandler(async (req, res) => {
+  const profile = await Profile.findOne({ user: req.user._id }).lean();
+  if (!profile || (!profile.normalizedSkills.length && !profile.desiredJobTypes.length)) {
+    return res.json({
+      success: true,
+      message: 'Add skills or preferred job types to your profile to get recommendations',
+      count: 0,
+      total: 0,
+      jobs: []
+    });
+  }
+
+  // Candidates share at least one skill or a preferred job type; jobs the
+  // seeker already applied to are left out
+  const appliedJobIds = await Application.find({ user: req.user._id }).distinct('job');
+  const candidates = await Job.find({
+    ...Job.openFilter(),
+    _id: { $nin: appliedJobIds },
+    $or: [
+      { normalizedSkills: { $in: profile.normalizedSkills } },
+      { jobType: { $in: profile.desiredJobTypes } }
+    ]
+  })
+    .sort({ createdAt: -1 })
+    .limit(MAX_RECOMMENDATION_CANDIDATES)
+    .populate('organization', 'name logo verified')
+    .lean();
+
+  const minScore = req.query.minScore || 0;
+  const ranked = candidates
+    .map(job => ({ job, match: computeMatch(job, profile) }))
+    .filter(({ match }) => match.score > 0 && match.score >= minScore)
+    .sort((a, b) => b.match.score - a.match.score || b.job.createdAt - a.job.createdAt);
+
+  const { page, limit, skip } = parsePagination(req.query);
+  const jobs = ranked.slice(skip, skip + limit).map(({ job, match }) => ({
+    ...job,
+    salary: presentSalary(job.salary),
+    screeningQuestions: presentQuestions(job.screeningQuestions),
+    match
+  }));
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    total: ranked.length,
+    page,
+    limit,
+    totalPages: Math.ceil(ranked.length / limit),
+    jobs
+  });
+}));
+
+// @desc    Get a single job
+// @route   GET /api/jobs/:id
+// @access  Private
+router.get('/:id', protect, validate(schemas.jobById), asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id)
+    .populate('postedBy', 'name email')
+    .populate('organization', 'name logo website verified')
+    .lean();
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  // Drafts and jobs taken down by moderators are only visible to the
+  // company that owns them
+  const isOwner = req.user.role === 'company' && await canAccessJob(req.user, job, 'view');
+  if (['draft', 'removed'].includes(job.status) && !isOwner) {
+    throw new NotFoundError('Job not found');
+  }
+
+  // Optionally, verify the user has permission to view this job
+  if (req.user.role === 'company' && !isOwner) {
+    throw new ForbiddenError('Not authorized to view this job');
+  }
+
+  // Count the view for analytics; the owning company's own views are ignored
+  // and a failed write must not hold up the response
+  if (!isOwner) {
+    JobView.create({ job: job._id, viewer: req.user._id, viewerRole: req.user.role })
+      .catch(error => logger.error('Error recording job view', { error }));
+  }
+
+  res.json({
+    success: true,
+    job: {
+      ...job,
+      salary: isOwner ? job.salary : presentSalary(job.salary),
+      screeningQuestions: isOwner ? job.screeningQuestions : presentQuestions(job.screeningQuestions)
     }
+  });
+}));
 
-    const job = await Job.findById(req.params.id)
-      .populate('postedBy', 'name email')
-      .lean();
+// Shared handler for full (PUT) and partial (PATCH) edits
+const updateJob = (replace) => asyncHandler(async (req, res) => {
+  const updates = pickEditableFields(req.body);
+  if (!Object.keys(updates).length) {
+    throw new BadRequestError(`No editable fields provided. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const { job } = req;
+  if (replace) {
+    // PUT replaces the editable representation; omitted fields are reset
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] === undefined) job.set(field, undefined);
+    });
+  }
+  job.set(updates);
+
+  // Moving the expiry of an expired job does not reopen it; that goes
+  // through PUT /:id/status
+  await job.save();
+
+  res.json({
+    success: true,
+    message: 'Job updated successfully',
+    job
+  });
+});
+
+// @desc    Replace a job's editable fields
+// @route   PUT /api/jobs/:id
+// @access  Private (company; owner, admin or recruiter of the job's organization)
+router.put('/:id', protect, roleAuthorization(['company']), validate(schemas.updateJob), loadOwnedJob, blockRemovedJob, updateJob(true));
+
+// @desc    Update some of a job's editable fields
+// @route   PATCH /api/jobs/:id
+// @access  Private (company; owner, admin or recruiter of the job's organization)
+router.patch('/:id', protect, roleAuthorization(['company']), validate(schemas.updateJob), loadOwnedJob, blockRemovedJob, updateJob(false));
+
+// @desc    Publish, close or reopen a job
+// @route   PUT /api/jobs/:id/status
+// @access  Private (company; owner, admin or recruiter of the job's organization)
+router.put('/:id/status', 
+  protect, 
+  roleAuthorization(['company']), 
+  validate(schemas.updateJobStatus), 
+  loadOwnedJob, 
+  blockRemovedJob, 
+  asyncHandler(async (req, res) => {
+    const { job } = req;
+    const { status, expiresAt } = req.body;
+
+    if (!job.canTransitionTo(status)) {
+      throw new BadRequestError(`Cannot change job status from ${job.status} to ${status}`);
+    }
 
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
+    if (expiresAt !== undefined) {
+      job.expiresAt = expiresAt;
     }
+    job.status = status;
 
-    // Optionally, verify the user has permission to view this job
-    if (req.user.role === 'company' && job.postedBy._id.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view this job'
-      });
+    // Reopening needs an expiry in the future (or none at all)
+    if (status === 'open' && !job.isAcceptingApplications()) {
+      throw new BadRequestError('Set a future expiresAt (or null) to reopen this job');
+    }
+
+    await job.save();
+
+    if (status === 'closed') {
+      emit(EVENTS.JOB_CLOSED, { job, actor: req.user });
     }
 
     res.json({
       success: true,
+      message: `Job ${status === 'open' ? 'opened' : status}`,
       job
     });
+  })
+);
 
-  } catch (error) {
-    console.error('Error fetching job:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching job',
-      error: error.message
-    });
+// @desc    Report a job as spam, a scam or otherwise inappropriate
+// @route   POST /api/jobs/:id/report
+// @access  Private
+// @body    reason (spam|scam|misleading|offensive|other), details
+router.post('/:id/report', protect, validate(schemas.reportJob), asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id).select('status postedBy organization');
+  if (!job || ['draft', 'removed'].includes(job.status)) {
+    throw new NotFoundError('Job not found');
   }
-});
 
-// GET jobs posted by the logged-in user (only companies)
-router.get('/my', protect, roleAuthorization(['company']), async (req, res) => {
-  try {
-    const jobs = await Job.find({ postedBy: req.user.id });
+  if (req.user.role === 'company' && await canAccessJob(req.user, job, 'view')) {
+    throw new BadRequestError('You cannot report your own job');
+  }
+
+  const report = await JobReport.create({
+    job: job._id,
+    reporter: req.user._id,
+    reason: req.body.reason,
+    details: req.body.details
+  }).catch(error => {
+    throw error.code === 11000 ? new ConflictError('You have already reported this job') : error;
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks, the job has been reported for review',
+    report: {
+      _id: report._id,
+      reason: report.reason,
+      status: report.status,
+      createdAt: report.createdAt
+    }
+  });
+}));
+
+// @desc    Delete a job along with its applications
+// @route   DELETE /api/jobs/:id
+// @access  Private (company; owner, admin or recruiter of the job's organization)
+router.delete('/:id', 
+  protect, 
+  roleAuthorization(['company']), 
+  validate(schemas.jobById), 
+  loadOwnedJob, 
+  asyncHandler(async (req, res) => {
+    // The document deleteOne hook cascades to applications and resumes
+    await req.job.deleteOne();
+
     res.json({
       success: true,
-      jobs
+      message: 'Job deleted successfully'
     });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching your jobs',
-      error: error.message
-    });
-  }
-});
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const protect = require('../middleware/authMiddleware');
+const resumeUpload = require('../middleware/fileUpload');
+const Message = require('../models/messageModel');
+const Application = require('../models/applicationModel');
+const Job = require('../models/jobModel');
+const { canAccessJob, jobAccessFilter } = require('../utils/orgAccess');
+const { sendResumeFile } = require('../utils/resumeFiles');
+const { openStream } = require('../utils/messageStream');
+const { EVENTS, emit } = require('../utils/events');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/messageValidators');
+const { ForbiddenError, NotFoundError, asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Applications whose threads the user can see: their own as an applicant,
+// or those to jobs they can view as a company member
+const accessibleApplicationIds = async (user) => {
+  if (user.role === 'company') {
+    const jobIds = await Job.find(await jobAccessFilter(user, 'view')).distinct('_id');
+    return Application.find({ job: { $in: jobIds } }).distinct('_id');
+  }
+  return Application.find({ user: user._id }).distinct('_id');
+};
+
+// Load the application from :applicationId and check the caller is its
+// applicant or a member of the company that owns the job
+const loadThread = asyncHandler(async (req, res, next) => {
+  const application = await Application.findById(req.params.applicationId)
+    .select('user job status')
+    .populate('job', 'title company postedBy organization');
+
+  let role = null;
+  if (application && application.user.toString() === req.user._id.toString()) {
+    role = 'jobSeeker';
+  } else if (application && req.user.role === 'company' && await canAccessJob(req.user, application.job, 'view')) {
+    role = 'company';
+  }
+
+  if (!role) {
+    throw new NotFoundError('Application not found or not authorized');
+  }
+
+  req.application = application;
+  req.threadRole = role;
+  next();
+});
+
+// Company members need manage access to the job to write in its threads;
+// checked before an attachment is inspected, scanned and stored
+const canSendMessage = asyncHandler(async (req, res, next) => {
+  if (req.threadRole === 'company' && !(await canAccessJob(req.user, req.application.job, 'manage'))) {
+    throw new ForbiddenError('Not authorized to send messages for this job');
+  }
+  next();
+});
+
+// EventSource cannot send headers, so the stream also accepts the access
+// token as a query parameter
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// @desc    Live message and read-receipt events over Server-Sent Events.
+//          The stream ends with an `end` event when the access token expires
+//          or the user's sessions are revoked; reconnect with a fresh token.
+//          Clients that cannot keep a stream open poll GET /api/messages/:applicationId?after=
+// @route   GET /api/messages/stream
+// @access  Private
+// @query   access_token (when the Authorization header cannot be set)
+router.get('/stream', tokenFromQuery, protect, (req, res) => {
+  openStream(req, res, { userId: req.user._id, expiresAt: req.tokenExpiresAt });
+});
+
+// @desc    Count unread messages, in total and per thread
+// @route   GET /api/messages/unread-count
+// @access  Private
+router.get('/unread-count', protect, asyncHandler(async (req, res) => {
+  const applicationIds = await accessibleApplicationIds(req.user);
+  const threads = await Message.aggregate([
+    { $match: Message.unreadFilter(applicationIds, req.user._id) },
+    { $group: { _id: '$application', unread: { $sum: 1 } } }
+  ]);
+
+  res.json({
+    success: true,
+    unreadCount: threads.reduce((sum, thread) => sum + thread.unread, 0),
+    threads: threads.map(thread => ({ application: thread._id, unread: thread.unread }))
+  });
+}));
+
+// @desc    List the user's message threads, most recent activity first
+// @route   GET /api/messages/threads
+// @access  Private
+router.get('/threads', protect, asyncHandler(async (req, res) => {
+  const applicationIds = await accessibleApplicationIds(req.user);
+  const threads = await Message.aggregate([
+    { $match: { application: { $in: applicationIds } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$application',
+        lastMessage: { $first: '$$ROOT' },
+        messageCount: { $sum: 1 },
+        unread: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $ne: ['$sender', req.user._id] },
+                  { $not: [{ $in: [req.user._id, '$readBy.user'] }] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { 'lastMessage.createdAt': -1 } }
+  ]);
+
+  const applications = await Application.find({ _id: { $in: threads.map(thread => thread._id) } })
+    .select('job user status')
+    .populate('job', 'title company')
+    .populate('user', 'name email')
+    .lean();
+  const applicationById = new Map(applications.map(application => [application._id.toString(), application]));
+
+  res.json({
+    success: true,
+    count: threads.length,
+    threads: threads.map(({ _id, lastMessage, messageCount, unread }) => ({
+      application: applicationById.get(_id.toString()),
+      lastMessage,
+      messageCount,
+      unread
+    }))
+  });
+}));
+
+// @desc    Get messages in an application's thread, oldest first
+// @route   GET /api/messages/:applicationId
+// @access  Private (applicant or owning company)
+// @query   after (ISO date; only newer messages, for polling),
+//          before (ISO date; older messages, for paging back), limit
+router.get('/:applicationId', protect, validate(schemas.listMessages), loadThread, asyncHandler(async (req, res) => {
+  const filter = { application: req.application._id };
+  const { after, before } = req.query;
+
+  if (after || before) {
+    filter.createdAt = {};
+    if (after) filter.createdAt.$gt = after;
+    if (before) filter.createdAt.$lt = before;
+  }
+
+  const limit = Math.min(req.query.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  // Polling walks forward from `after`; otherwise return the latest page
+  const messages = await Message.find(filter)
+    .sort({ createdAt: after ? 1 : -1 })
+    .limit(limit)
+    .populate('sender', 'name')
+    .lean();
+  if (!after) messages.reverse();
+
+  const unreadCount = await Message.countDocuments(Message.unreadFilter([req.application._id], req.user._id));
+
+  res.json({
+    success: true,
+    count: messages.length,
+    unreadCount,
+    application: {
+      _id: req.application._id,
+      status: req.application.status,
+      job: { _id: req.application.job._id, title: req.application.job.title, company: req.application.job.company }
+    },
+    messages
+  });
+}));
+
+// @desc    Send a message, optionally with one PDF/DOC/DOCX attachment
+// @route   POST /api/messages/:applicationId
+// @access  Private (applicant or company members who can manage the job)
+// @body    body (text), attachment (multipart file)
+router.post('/:applicationId', protect, validate(schemas.thread), loadThread, canSendMessage, resumeUpload('attachment'),
+  validate(schemas.sendMessage), asyncHandler(async (req, res) => {
+  const message = await Message.create({
+    application: req.application._id,
+    sender: req.user._id,
+    senderRole: req.threadRole,
+    body: req.body.body,
+    attachments: req.file ? [{
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size
+    }] : []
+  });
+
+  const populated = await Message.findById(message._id).populate('sender', 'name').lean();
+  emit(EVENTS.MESSAGE_CREATED, { message: populated });
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent',
+    data: populated
+  });
+}));
+
+// @desc    Mark every message from the other side of the thread as read
+// @route   PATCH /api/messages/:applicationId/read
+// @access  Private (applicant or owning company)
+router.patch('/:applicationId/read', protect, validate(schemas.thread), loadThread, asyncHandler(async (req, res) => {
+  const readAt = new Date();
+  const result = await Message.updateMany(
+    Message.unreadFilter([req.application._id], req.user._id),
+    { $push: { readBy: { user: req.user._id, readAt } } }
+  );
+
+  if (result.modifiedCount) {
+    emit(EVENTS.MESSAGES_READ, {
+      application: req.application._id,
+      reader: req.user._id,
+      readAt,
+      count: result.modifiedCount
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Messages marked as read',
+    modifiedCount: result.modifiedCount
+  });
+}));
+
+// @desc    Download a message attachment
+// @route   GET /api/messages/:applicationId/attachments/:attachmentId
+// @access  Private (applicant or owning company)
+router.get('/:applicationId/attachments/:attachmentId', protect, validate(schemas.attachment), loadThread, asyncHandler(async (req, res) => {
+  const { attachmentId } = req.params;
+  const message = await Message.findOne({
+    application: req.application._id,
+    'attachments._id': attachmentId
+  }).lean();
+  const attachment = message && message.attachments.find(item => item._id.toString() === attachmentId);
+
+  if (!attachment || !(await sendResumeFile(res, attachment.filename, {
+    downloadName: attachment.originalName,
+    disposition: 'attachment'
+  }))) {
+    throw new NotFoundError('Attachment not found');
+  }
+}));
+
+module.exports = router;
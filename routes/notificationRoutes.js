@@ -0,0 +1,124 @@
+const express = require('express');
+const protect = require('../middleware/authMiddleware');
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const { parsePagination } = require('../utils/jobSearch');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/notificationValidators');
+const { NotFoundError, asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+// @desc    List the logged-in user's notifications
+// @route   GET /api/notifications
+// @access  Private
+// @query   unread (true to only list unread), page, limit
+router.get('/', protect, validate(schemas.listNotifications), asyncHandler(async (req, res) => {
+  const filter = { user: req.user._id };
+  if (req.query.unread) {
+    filter.readAt = null;
+  }
+
+  const { page, limit, skip } = parsePagination(req.query);
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ user: req.user._id, readAt: null })
+  ]);
+
+  res.json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    notifications
+  });
+}));
+
+// @desc    Get the number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+  res.json({
+    success: true,
+    unreadCount
+  });
+}));
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+router.patch('/read-all', protect, asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    updated: result.modifiedCount
+  });
+}));
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+  res.json({
+    success: true,
+    preferences: req.user.notificationPreferences
+  });
+});
+
+// @desc    Opt in or out of notifications per event type and channel
+// @route   PUT /api/notifications/preferences
+// @access  Private
+// @body    { applicationReceived: { inApp, email }, applicationStatusChanged: { inApp, email } }
+router.put('/preferences', protect, validate(schemas.updatePreferences), asyncHandler(async (req, res) => {
+  const updates = {};
+
+  for (const [type, channels] of Object.entries(req.body)) {
+    for (const [channel, enabled] of Object.entries(channels)) {
+      updates[`notificationPreferences.${type}.${channel}`] = enabled;
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: updates },
+    { new: true }
+  ).select('notificationPreferences');
+
+  res.json({
+    success: true,
+    message: 'Notification preferences updated',
+    preferences: user.notificationPreferences
+  });
+}));
+
+// @desc    Mark one notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+router.patch('/:id/read', protect, validate(schemas.notificationById), asyncHandler(async (req, res) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    { $set: { readAt: new Date() } },
+    { new: true }
+  );
+
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  res.json({
+    success: true,
+    notification
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/authValidators');
+const logger = require('../utils/logger');
+const {
+  HttpError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  asyncHandler
+} = require('../utils/errors');
+const { ACCESS_TOKEN_EXPIRES_IN, issueSession, revokeAllForUser } = require('../utils/authTokens');
+const { OidcError, createTransaction, listProviders, getProvider } = require('../utils/oidc');
+const { CLIENT_URL } = require('../utils/mailer/templates');
+
+const router = express.Router();
+
+const TRANSACTION_COOKIE = 'oidcTransaction';
+const TRANSACTION_TTL_SECONDS = 10 * 60;
+const SIGNUP_TOKEN_EXPIRES_IN = '15m';
+
+const oidcLimiter = rateLimit({
+  name: 'oidc',
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many sign-in attempts, please try again later'
+});
+
+// The cookie has to come back on the provider's cross-site redirect to the
+// callback, so it is Lax rather than Strict
+const transactionCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+});
+
+// The state, nonce and PKCE verifier of the sign-in in progress, signed so
+// they cannot be tampered with; null when missing, expired or for another provider
+const readTransaction = (req, provider) => {
+  try {
+    const transaction = jwt.verify(req.cookies[TRANSACTION_COOKIE], process.env.JWT_SECRET);
+    return transaction.purpose === 'oidc-transaction' && transaction.provider === provider ? transaction : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Send the browser back to the web client. Results travel in the URL
+// fragment, which is neither sent to servers nor leaked in Referer headers.
+const redirectToClient = (res, params) => {
+  const url = new URL(process.env.OIDC_CLIENT_CALLBACK_PATH || '/oauth/callback', CLIENT_URL);
+  url.hash = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+  res.redirect(url.toString());
+};
+
+const displayName = (claims, email) => (
+  claims.name ||
+  [claims.given_name, claims.family_name].filter(Boolean).join(' ') ||
+  email.split('@')[0]
+).trim().slice(0, 50);
+
+/**
+ * Find the user for a provider identity. An identity seen for the first
+ * time is linked to the account with the same email, but only when the
+ * provider has verified that address. Returns { user }, or { signup } with
+ * the details for a new account whose role the user still has to pick.
+ */
+const resolveIdentity = async (provider, claims) => {
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : '';
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  let user = await User.findByIdentity(provider.id, claims.sub);
+
+  if (!user) {
+    if (!email || !emailVerified) {
+      throw new OidcError(`Your ${provider.name} account has no verified email address`);
+    }
+
+    user = await User.findOne({ email });
+    if (!user) {
+      return {
+        signup: { provider: provider.id, subject: claims.sub, email, name: displayName(claims, email) }
+      };
+    }
+
+    user.identities.push({ provider: provider.id, subject: claims.sub, email });
+    if (!user.emailVerified) {
+      // Whoever set the password never proved they own the address, so it
+      // and any sessions it opened go
+      user.password = undefined;
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await revokeAllForUser(user._id);
+    }
+    await user.save();
+    logger.info('Linked sign-in provider to account', { provider: provider.id, userId: user._id.toString() });
+  }
+
+  if (user.disabledAt) {
+    throw new ForbiddenError('This account has been deactivated');
+  }
+  if (user.suspendedAt) {
+    throw new ForbiddenError('This account has been suspended');
+  }
+  return { user };
+};
+
+// @desc    List the sign-in providers that are enabled
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: listProviders()
+  });
+});
+
+// @desc    Start signing in with a provider: redirects the browser to it
+// @route   GET /api/auth/oidc/:provider
+// @access  Public
+// @query   returnTo (path of the web client to come back to)
+router.get('/:provider', oidcLimiter, validate(schemas.oidcAuthorize), asyncHandler(async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    throw new NotFoundError('Sign-in provider not found');
+  }
+
+  const { state, nonce, codeVerifier, codeChallenge } = createTransaction();
+  const url = await provider.client.authorizationUrl({ state, nonce, codeChallenge });
+
+  res.cookie(TRANSACTION_COOKIE, jwt.sign(
+    { purpose: 'oidc-transaction', provider: provider.id, state, nonce, codeVerifier, returnTo: req.query.returnTo },
+    process.env.JWT_SECRET,
+    { expiresIn: TRANSACTION_TTL_SECONDS }
+  ), { ...transactionCookieOptions(), maxAge: TRANSACTION_TTL_SECONDS * 1000 });
+  res.redirect(url);
+}));
+
+// @desc    Provider callback. Signs in known users (the refresh cookie is set
+//          and the client calls POST /api/auth/refresh) or hands new users a
+//          sign-up token to finish with POST /api/auth/oidc/complete
+// @route   GET /api/auth/oidc/:provider/callback
+// @access  Public
+router.get('/:provider/callback', oidcLimiter, validate(schemas.oidcCallback), asyncHandler(async (req, res) => {
+  const transaction = readTransaction(req, req.params.provider);
+  res.clearCookie(TRANSACTION_COOKIE, transactionCookieOptions());
+  const returnTo = transaction && transaction.returnTo;
+
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      throw new OidcError('Sign-in provider not found');
+    }
+    if (req.query.error) {
+      throw new OidcError(req.query.error === 'access_denied'
+        ? 'Sign-in was cancelled'
+        : `${provider.name} sign-in failed: ${req.query.error_description || req.query.error}`);
+    }
+    if (!transaction || !req.query.state || req.query.state !== transaction.state) {
+      throw new OidcError('This sign-in has expired or was started elsewhere. Please try again');
+    }
+    if (!req.query.code) {
+      throw new OidcError(`${provider.name} did not return an authorization code`);
+    }
+
+    const claims = await provider.client.redeemCode(req.query.code, {
+      codeVerifier: transaction.codeVerifier,
+      nonce: transaction.nonce
+    });
+
+    const { user, signup } = await resolveIdentity(provider, claims);
+
+    if (signup) {
+      const signupToken = jwt.sign({ purpose: 'oidc-signup', ...signup }, process.env.JWT_SECRET, {
+        expiresIn: SIGNUP_TOKEN_EXPIRES_IN
+      });
+      return redirectToClient(res, { status: 'signup', signupToken, email: signup.email, name: signup.name, returnTo });
+    }
+
+    await issueSession(user, req, res);
+    redirectToClient(res, { status: 'success', returnTo });
+  } catch (error) {
+    if (error instanceof OidcError || error instanceof HttpError) {
+      logger.warn('Provider sign-in failed', { provider: req.params.provider, reason: error.message });
+      return redirectToClient(res, { status: 'error', message: error.message, returnTo });
+    }
+    logger.error('Provider sign-in error', { error, provider: req.params.provider });
+    redirectToClient(res, { status: 'error', message: 'Sign-in failed. Please try again', returnTo });
+  }
+}));
+
+// @desc    Finish a first provider sign-in by choosing a role
+// @route   POST /api/auth/oidc/complete
+// @access  Public
+// @body    signupToken, role (jobSeeker|company)
+router.post('/complete', oidcLimiter, validate(schemas.oidcComplete), asyncHandler(async (req, res) => {
+  let pending = null;
+  try {
+    pending = jwt.verify(req.body.signupToken, process.env.JWT_SECRET);
+  } catch (error) {
+    pending = null;
+  }
+  if (!pending || pending.purpose !== 'oidc-signup') {
+    throw new BadRequestError('Invalid or expired sign-up token');
+  }
+
+  if (await User.findByIdentity(pending.provider, pending.subject)) {
+    throw new ConflictError('This account already exists. Sign in again to continue');
+  }
+  if (await User.exists({ email: pending.email })) {
+    throw new ConflictError('Email already registered');
+  }
+
+  // The provider verified the address, and the account has no password
+  const user = await User.create({
+    name: pending.name,
+    email: pending.email,
+    role: req.body.role,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    identities: [{ provider: pending.provider, subject: pending.subject, email: pending.email }]
+  });
+
+  const { accessToken, refreshToken } = await issueSession(user, req, res);
+
+  res.status(201).json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    role: user.role,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified
+    },
+    message: 'Registration successful'
+  });
+}));
+
+module.exports = router;
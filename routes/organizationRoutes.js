@@ -0,0 +1,336 @@
+const express = require('express');
+const crypto = require('crypto');
+const protect = require('../middleware/authMiddleware');
+const roleAuthorization = require('../middleware/roleMiddleware');
+const Organization = require('../models/organizationModel');
+const Invitation = require('../models/invitationModel');
+const User = require('../models/userModel');
+const { hasPermission } = require('../utils/orgAccess');
+const { hashToken } = require('../utils/tokenHash');
+const { sendMail } = require('../utils/mailer');
+const templates = require('../utils/mailer/templates');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/organizationValidators');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  RequestValidationError,
+  asyncHandler
+} = require('../utils/errors');
+
+const router = express.Router();
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const PROFILE_FIELDS = ['name', 'logo', 'website', 'description'];
+
+// Public view of an organization, without its member list
+const publicProfile = (org) => ({
+  _id: org._id,
+  name: org.name,
+  logo: org.logo,
+  website: org.website,
+  description: org.description,
+  verified: org.verified
+});
+
+// Load the organization from :id and require `permission` for the caller
+const loadOrganization = (permission) => asyncHandler(async (req, res, next) => {
+  const organization = await Organization.findById(req.params.id);
+  if (!organization) {
+    throw new NotFoundError('Organization not found');
+  }
+
+  const role = organization.memberRole(req.user._id);
+  if (!hasPermission(role, permission)) {
+    throw new ForbiddenError('Not authorized for this organization');
+  }
+
+  req.organization = organization;
+  req.organizationRole = role;
+  next();
+});
+
+// @desc    Create an organization; the creator becomes its owner
+// @route   POST /api/organizations
+// @access  Private (company)
+router.post('/', protect, roleAuthorization(['company']), validate(schemas.createOrganization), asyncHandler(async (req, res) => {
+  const profile = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) profile[field] = req.body[field];
+  });
+
+  const organization = await Organization.create({
+    ...profile,
+    createdBy: req.user._id,
+    members: [{ user: req.user._id, role: 'owner' }]
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Organization created',
+    organization
+  });
+}));
+
+// @desc    List organizations the logged-in user belongs to
+// @route   GET /api/organizations/mine
+// @access  Private (company)
+router.get('/mine', protect, roleAuthorization(['company']), asyncHandler(async (req, res) => {
+  const organizations = await Organization.find({ 'members.user': req.user._id }).lean();
+
+  res.json({
+    success: true,
+    count: organizations.length,
+    organizations: organizations.map(org => ({
+      ...publicProfile(org),
+      role: org.members.find(m => m.user.toString() === req.user.id).role
+    }))
+  });
+}));
+
+// @desc    Accept an invitation with the token from the invitation email
+// @route   POST /api/organizations/invitations/accept
+// @access  Private (company)
+router.post('/invitations/accept', protect, roleAuthorization(['company']), validate(schemas.acceptInvitation), asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOne({
+    tokenHash: hashToken(req.body.token),
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!invitation) {
+    throw new BadRequestError('Invalid or expired invitation');
+  }
+
+  if (invitation.email !== req.user.email) {
+    throw new ForbiddenError('This invitation was sent to a different email address');
+  }
+
+  const organization = await Organization.findById(invitation.organization);
+  if (!organization) {
+    throw new NotFoundError('Organization no longer exists');
+  }
+
+  if (!organization.memberRole(req.user._id)) {
+    organization.members.push({ user: req.user._id, role: invitation.role });
+    await organization.save();
+  }
+
+  invitation.acceptedAt = new Date();
+  invitation.acceptedBy = req.user._id;
+  await invitation.save();
+
+  res.json({
+    success: true,
+    message: `You joined ${organization.name}`,
+    organization: { ...publicProfile(organization), role: organization.memberRole(req.user._id) }
+  });
+}));
+
+// @desc    Get an organization's public profile
+// @route   GET /api/organizations/:id
+// @access  Public
+router.get('/:id', validate(schemas.organizationById), asyncHandler(async (req, res) => {
+  const organization = await Organization.findById(req.params.id).lean();
+  if (!organization) {
+    throw new NotFoundError('Organization not found');
+  }
+
+  res.json({
+    success: true,
+    organization: publicProfile(organization)
+  });
+}));
+
+// @desc    Update an organization's profile
+// @route   PUT /api/organizations/:id
+// @access  Private (owner, admin)
+router.put('/:id', protect, validate(schemas.updateOrganization), loadOrganization('members'), asyncHandler(async (req, res) => {
+  PROFILE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) req.organization.set(field, req.body[field]);
+  });
+  await req.organization.save();
+
+  res.json({
+    success: true,
+    message: 'Organization updated',
+    organization: publicProfile(req.organization)
+  });
+}));
+
+// @desc    List members of an organization
+// @route   GET /api/organizations/:id/members
+// @access  Private (any member)
+router.get('/:id/members', protect, validate(schemas.organizationById), loadOrganization('view'), asyncHandler(async (req, res) => {
+  await req.organization.populate('members.user', 'name email');
+
+  res.json({
+    success: true,
+    count: req.organization.members.length,
+    members: req.organization.members
+  });
+}));
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (owner, admin; only owners may grant or revoke owner)
+router.put('/:id/members/:userId', protect, validate(schemas.updateMember), loadOrganization('members'), asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const { organization } = req;
+
+  const member = organization.members.find(m => m.user.toString() === req.params.userId);
+  if (!member) {
+    throw new NotFoundError('Member not found');
+  }
+
+  if ((role === 'owner' || member.role === 'owner') && req.organizationRole !== 'owner') {
+    throw new ForbiddenError('Only owners can grant or change the owner role');
+  }
+
+  const owners = organization.members.filter(m => m.role === 'owner');
+  if (member.role === 'owner' && role !== 'owner' && owners.length === 1) {
+    throw new BadRequestError('An organization must keep at least one owner');
+  }
+
+  member.role = role;
+  await organization.save();
+
+  res.json({
+    success: true,
+    message: 'Member role updated',
+    member
+  });
+}));
+
+// @desc    Remove a member, or leave the organization when removing yourself
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (owner, admin, or the member themselves)
+router.delete('/:id/members/:userId', protect, validate(schemas.removeMember), loadOrganization('view'), asyncHandler(async (req, res) => {
+  const { organization } = req;
+  const isSelf = req.params.userId === req.user.id;
+
+  if (!isSelf && !hasPermission(req.organizationRole, 'members')) {
+    throw new ForbiddenError('Not authorized to remove members');
+  }
+
+  const member = organization.members.find(m => m.user.toString() === req.params.userId);
+  if (!member) {
+    throw new NotFoundError('Member not found');
+  }
+
+  if (member.role === 'owner') {
+    if (!isSelf && req.organizationRole !== 'owner') {
+      throw new ForbiddenError('Only owners can remove an owner');
+    }
+    if (organization.members.filter(m => m.role === 'owner').length === 1) {
+      throw new BadRequestError('An organization must keep at least one owner');
+    }
+  }
+
+  organization.members = organization.members.filter(m => m !== member);
+  await organization.save();
+
+  res.json({
+    success: true,
+    message: isSelf ? 'You left the organization' : 'Member removed'
+  });
+}));
+
+// @desc    Invite someone to the organization by email
+// @route   POST /api/organizations/:id/invitations
+// @access  Private (owner, admin)
+router.post('/:id/invitations', protect, validate(schemas.createInvitation), loadOrganization('members'), asyncHandler(async (req, res) => {
+  const { organization } = req;
+  const { email, role } = req.body;
+
+  if (role === 'owner') {
+    throw new RequestValidationError([{
+      location: 'body',
+      field: 'role',
+      message: 'Invite as admin and promote to owner after joining'
+    }]);
+  }
+
+  const existingUser = await User.findOne({ email }).select('_id');
+  if (existingUser && organization.memberRole(existingUser._id)) {
+    throw new BadRequestError('That user is already a member');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // A new invitation supersedes any outstanding one for the same address
+  await Invitation.deleteMany({ organization: organization._id, email, acceptedAt: null });
+  const invitation = await Invitation.create({
+    organization: organization._id,
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: req.user._id,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+  });
+
+  await sendMail({
+    to: email,
+    ...templates.organizationInvitation({
+      inviterName: req.user.name,
+      organizationName: organization.name,
+      role,
+      token
+    })
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent',
+    invitation: {
+      _id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    }
+  });
+}));
+
+// @desc    List outstanding invitations
+// @route   GET /api/organizations/:id/invitations
+// @access  Private (owner, admin)
+router.get('/:id/invitations', protect, validate(schemas.organizationById), loadOrganization('members'), asyncHandler(async (req, res) => {
+  const invitations = await Invitation.find({
+    organization: req.organization._id,
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('-tokenHash')
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    count: invitations.length,
+    invitations
+  });
+}));
+
+// @desc    Revoke an outstanding invitation
+// @route   DELETE /api/organizations/:id/invitations/:invitationId
+// @access  Private (owner, admin)
+router.delete('/:id/invitations/:invitationId', protect, validate(schemas.invitationById), loadOrganization('members'), asyncHandler(async (req, res) => {
+  const result = await Invitation.deleteOne({
+    _id: req.params.invitationId,
+    organization: req.organization._id,
+    acceptedAt: null
+  });
+
+  if (!result.deletedCount) {
+    throw new NotFoundError('Invitation not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const protect = require('../middleware/authMiddleware');
+const roleAuthorization = require('../middleware/roleMiddleware');
+const resumeUpload = require('../middleware/fileUpload');
+const Profile = require('../models/profileModel');
+const Resume = require('../models/resumeModel');
+const Application = require('../models/applicationModel');
+const Job = require('../models/jobModel');
+const { jobAccessFilter } = require('../utils/orgAccess');
+const { removeResumeFile, sendResumeFile } = require('../utils/resumeFiles');
+const { EVENTS, emit } = require('../utils/events');
+const { normalizeSkills } = require('../utils/skills');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/profileValidators');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  asyncHandler
+} = require('../utils/errors');
+
+const router = express.Router();
+
+// Fields a job seeker may set on their profile
+const PROFILE_FIELDS = [
+  'headline', 'location', 'summary', 'skills', 'experience',
+  'education', 'links', 'desiredJobTypes', 'desiredSalary'
+];
+
+const MAX_LIBRARY_SIZE = 10;
+
+// @desc    Get the logged-in seeker's profile
+// @route   GET /api/profile/me
+// @access  Private (jobSeeker)
+router.get('/me', protect, roleAuthorization(['jobSeeker']), asyncHandler(async (req, res) => {
+  const profile = await Profile.findOne({ user: req.user._id }).lean();
+
+  res.json({
+    success: true,
+    profile: profile || { user: req.user._id }
+  });
+}));
+
+// @desc    Create or update the logged-in seeker's profile
+// @route   PUT /api/profile/me
+// @access  Private (jobSeeker)
+router.put('/me', protect, roleAuthorization(['jobSeeker']), validate(schemas.updateProfile), asyncHandler(async (req, res) => {
+  const profile = await Profile.findOne({ user: req.user._id }) || new Profile({ user: req.user._id });
+
+  PROFILE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) profile.set(field, req.body[field]);
+  });
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Profile saved',
+    profile
+  });
+}));
+
+// @desc    Fill profile fields from a parsed library resume. Skills are
+//          merged; experience and education are only filled when empty.
+// @route   POST /api/profile/me/autofill
+// @access  Private (jobSeeker)
+// @body    resumeId (defaults to the default resume)
+router.post('/me/autofill', protect, roleAuthorization(['jobSeeker']), validate(schemas.autofill), asyncHandler(async (req, res) => {
+  const { resumeId } = req.body;
+
+  const resume = await Resume.findOne(resumeId
+    ? { _id: resumeId, user: req.user._id }
+    : { user: req.user._id, isDefault: true });
+
+  if (!resume) {
+    throw new NotFoundError('Resume not found');
+  }
+
+  if (resume.analysis.status !== 'completed') {
+    throw new ConflictError(`Resume has not been processed yet (status: ${resume.analysis.status})`);
+  }
+
+  const { skills, experience, education } = resume.analysis.parsed;
+  const profile = await Profile.findOne({ user: req.user._id }) || new Profile({ user: req.user._id });
+
+  const existingSkills = new Set(profile.normalizedSkills || normalizeSkills(profile.skills));
+  const addedSkills = skills.filter(skill => !existingSkills.has(skill));
+  profile.skills = [...profile.skills, ...addedSkills];
+
+  // Parsed dates are free text, so only entries with a readable start date are kept
+  const toDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+  };
+
+  if (!profile.experience.length) {
+    profile.experience = experience
+      .filter(entry => entry.title && entry.company && toDate(entry.startDate))
+      .map(entry => ({
+        title: entry.title,
+        company: entry.company,
+        startDate: toDate(entry.startDate),
+        endDate: toDate(entry.endDate),
+        current: entry.current,
+        description: entry.description
+      }));
+  }
+
+  if (!profile.education.length) {
+    profile.education = education
+      .filter(entry => entry.institution)
+      .map(entry => ({
+        institution: entry.institution,
+        degree: entry.degree,
+        startDate: toDate(entry.startDate),
+        endDate: toDate(entry.endDate)
+      }));
+  }
+
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Profile updated from resume',
+    addedSkills,
+    profile
+  });
+}));
+
+// @desc    List resumes in the seeker's library
+// @route   GET /api/profile/resumes
+// @access  Private (jobSeeker)
+router.get('/resumes', protect, roleAuthorization(['jobSeeker']), asyncHandler(async (req, res) => {
+  const resumes = await Resume.find({ user: req.user._id })
+    .sort({ isDefault: -1, createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    count: resumes.length,
+    resumes
+  });
+}));
+
+// @desc    Upload a resume to the library
+// @route   POST /api/profile/resumes
+// @access  Private (jobSeeker)
+router.post('/resumes', 
+  protect, 
+  roleAuthorization(['jobSeeker']), 
+  resumeUpload('resume'), 
+  validate(schemas.uploadResume),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new BadRequestError('Resume file is required');
+    }
+
+    const existing = await Resume.countDocuments({ user: req.user._id });
+    if (existing >= MAX_LIBRARY_SIZE) {
+      throw new BadRequestError(`You can store up to ${MAX_LIBRARY_SIZE} resumes. Delete one first`);
+    }
+
+    // The first resume, or one uploaded with makeDefault, becomes the default
+    const makeDefault = existing === 0 || req.body.makeDefault;
+    if (makeDefault) {
+      await Resume.updateMany({ user: req.user._id }, { $set: { isDefault: false } });
+    }
+
+    const resume = await Resume.create({
+      user: req.user._id,
+      label: req.body.label,
+      originalName: req.file.originalname,
+      filename: req.file.filename,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      isDefault: makeDefault
+    });
+
+    emit(EVENTS.RESUME_UPLOADED, { resume });
+
+    res.status(201).json({
+      success: true,
+      message: 'Resume uploaded',
+      resume
+    });
+  })
+);
+
+// @desc    Mark a resume as the default for new applications
+// @route   PUT /api/profile/resumes/:id/default
+// @access  Private (jobSeeker)
+router.put('/resumes/:id/default', protect, roleAuthorization(['jobSeeker']), validate(schemas.resumeById), asyncHandler(async (req, res) => {
+  const resume = await Resume.findOne({ _id: req.params.id, user: req.user._id });
+  if (!resume) {
+    throw new NotFoundError('Resume not found');
+  }
+
+  await Resume.updateMany({ user: req.user._id, _id: { $ne: resume._id } }, { $set: { isDefault: false } });
+  resume.isDefault = true;
+  await resume.save();
+
+  res.json({
+    success: true,
+    message: 'Default resume updated',
+    resume
+  });
+}));
+
+// @desc    Download a resume from the library
+// @route   GET /api/profile/resumes/:id/download
+// @access  Private (jobSeeker)
+router.get('/resumes/:id/download', protect, roleAuthorization(['jobSeeker']), validate(schemas.resumeById), asyncHandler(async (req, res) => {
+  const resume = await Resume.findOne({ _id: req.params.id, user: req.user._id }).lean();
+  const sent = resume && await sendResumeFile(res, resume.filename, {
+    downloadName: resume.originalName,
+    disposition: 'attachment'
+  });
+
+  if (!sent) {
+    throw new NotFoundError('Resume not found');
+  }
+}));
+
+// @desc    Delete a resume from the library; submitted applications keep their copy
+// @route   DELETE /api/profile/resumes/:id
+// @access  Private (jobSeeker)
+router.delete('/resumes/:id', protect, roleAuthorization(['jobSeeker']), validate(schemas.resumeById), asyncHandler(async (req, res) => {
+  const resume = await Resume.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+  if (!resume) {
+    throw new NotFoundError('Resume not found');
+  }
+
+  await removeResumeFile(resume.filename);
+
+  // Promote the most recent remaining resume if the default was removed
+  if (resume.isDefault) {
+    await Resume.findOneAndUpdate(
+      { user: req.user._id },
+      { $set: { isDefault: true } },
+      { sort: { createdAt: -1 } }
+    );
+  }
+
+  res.json({
+    success: true,
+    message: 'Resume deleted'
+  });
+}));
+
+// @desc    View an applicant's profile
+// @route   GET /api/profile/:userId
+// @access  Private (company, for candidates who applied to their organization's jobs)
+router.get('/:userId', protect, roleAuthorization(['company']), validate(schemas.applicantProfile), asyncHandler(async (req, res) => {
+  const jobIds = await Job.find(await jobAccessFilter(req.user, 'view')).distinct('_id');
+  const hasApplied = await Application.exists({ user: req.params.userId, job: { $in: jobIds } });
+  if (!hasApplied) {
+    throw new ForbiddenError('Not authorized to view this profile');
+  }
+
+  const profile = await Profile.findOne({ user: req.params.userId })
+    .populate('user', 'name email')
+    .lean();
+
+  if (!profile) {
+    throw new NotFoundError('Profile not found');
+  }
+
+  res.json({
+    success: true,
+    profile
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const protect = require('../middleware/authMiddleware');
+const roleAuthorization = require('../middleware/roleMiddleware');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/savedJobValidators');
+const { NotFoundError, asyncHandler } = require('../utils/errors');
+const SavedJob = require('../models/savedJobModel');
+const Job = require('../models/jobModel');
+const { presentSalary } = require('../utils/salary');
+const { parsePagination } = require('../utils/jobSearch');
+
+const router = express.Router();
+
+// @desc    List the seeker's saved jobs, newest first
+// @route   GET /api/saved-jobs
+// @access  Private (jobSeeker)
+// @query   page, limit
+router.get('/', protect, roleAuthorization(['jobSeeker']), validate(schemas.listSavedJobs), asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const filter = { user: req.user._id };
+
+  const [savedJobs, total] = await Promise.all([
+    SavedJob.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: 'job',
+        select: 'title company location jobType salary status expiresAt createdAt organization',
+        populate: { path: 'organization', select: 'name logo verified' }
+      })
+      .lean(),
+    SavedJob.countDocuments(filter)
+  ]);
+
+  const now = new Date();
+  res.json({
+    success: true,
+    count: savedJobs.length,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    // Jobs that were deleted, closed or have expired stay in the list but
+    // are flagged so the client can grey them out
+    savedJobs: savedJobs.map(saved => ({
+      _id: saved._id,
+      savedAt: saved.createdAt,
+      available: Boolean(saved.job) && saved.job.status === 'open' &&
+        !(saved.job.expiresAt && saved.job.expiresAt <= now),
+      job: saved.job && { ...saved.job, salary: presentSalary(saved.job.salary) }
+    }))
+  });
+}));
+
+// @desc    Save a job
+// @route   POST /api/saved-jobs
+// @access  Private (jobSeeker)
+// @body    jobId
+router.post('/', protect, roleAuthorization(['jobSeeker']), validate(schemas.saveJob), asyncHandler(async (req, res) => {
+  const { jobId } = req.body;
+  const job = await Job.findOne({ _id: jobId, status: { $nin: ['draft', 'removed'] } }).select('_id').lean();
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  // Saving twice is harmless; the existing bookmark is returned
+  const result = await SavedJob.findOneAndUpdate(
+    { user: req.user._id, job: job._id },
+    { $setOnInsert: { user: req.user._id, job: job._id } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  const created = !result.lastErrorObject.updatedExisting;
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Job saved' : 'Job already saved',
+    savedJob: result.value
+  });
+}));
+
+// @desc    Remove a job from the seeker's saved jobs
+// @route   DELETE /api/saved-jobs/:jobId
+// @access  Private (jobSeeker)
+router.delete('/:jobId', protect, roleAuthorization(['jobSeeker']), validate(schemas.removeSavedJob), asyncHandler(async (req, res) => {
+  const result = await SavedJob.deleteOne({ user: req.user._id, job: req.params.jobId });
+  if (!result.deletedCount) {
+    throw new NotFoundError('Saved job not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Job removed from saved jobs'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const protect = require('../middleware/authMiddleware');
+const roleAuthorization = require('../middleware/roleMiddleware');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/savedSearchValidators');
+const { BadRequestError, NotFoundError, asyncHandler } = require('../utils/errors');
+const SavedSearch = require('../models/savedSearchModel');
+const Job = require('../models/jobModel');
+const { presentSalary } = require('../utils/salary');
+const { presentQuestions } = require('../utils/screening');
+const { buildJobFilter, parsePagination } = require('../utils/jobSearch');
+
+const router = express.Router();
+
+// Saved searches allowed per seeker
+const MAX_SAVED_SEARCHES = 20;
+
+// Load the seeker's own saved search from :id
+const loadSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+  if (!savedSearch) {
+    throw new NotFoundError('Saved search not found');
+  }
+
+  req.savedSearch = savedSearch;
+  next();
+});
+
+// @desc    Turn off job alerts from an email unsubscribe link
+// @route   POST /api/saved-searches/unsubscribe
+// @access  Public
+// @body    token, all (true to stop every alert for the account)
+router.post('/unsubscribe', validate(schemas.unsubscribe), asyncHandler(async (req, res) => {
+  const { token, all } = req.body;
+  const savedSearch = await SavedSearch.findOne({ unsubscribeToken: token });
+  if (!savedSearch) {
+    throw new NotFoundError('Invalid unsubscribe link');
+  }
+
+  const filter = all
+    ? { user: savedSearch.user }
+    : { _id: savedSearch._id };
+  const result = await SavedSearch.updateMany(filter, { active: false });
+
+  res.json({
+    success: true,
+    message: filter.user ? 'Unsubscribed from all job alerts' : `Unsubscribed from "${savedSearch.name}"`,
+    unsubscribed: result.matchedCount
+  });
+}));
+
+// @desc    List the seeker's saved searches
+// @route   GET /api/saved-searches
+// @access  Private (jobSeeker)
+router.get('/', protect, roleAuthorization(['jobSeeker']), asyncHandler(async (req, res) => {
+  const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 }).lean();
+
+  res.json({
+    success: true,
+    count: savedSearches.length,
+    savedSearches
+  });
+}));
+
+// @desc    Save a search and subscribe to alerts for it
+// @route   POST /api/saved-searches
+// @access  Private (jobSeeker)
+// @body    name, criteria { q, jobType, location, skills, skillsMatch,
+//          salaryMin, salaryMax, salaryPeriod, currency },
+//          frequency (instant|daily|weekly)
+router.post('/', protect, roleAuthorization(['jobSeeker']), validate(schemas.createSavedSearch), asyncHandler(async (req, res) => {
+  const existing = await SavedSearch.countDocuments({ user: req.user._id });
+  if (existing >= MAX_SAVED_SEARCHES) {
+    throw new BadRequestError(`You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one to add another.`);
+  }
+
+  const savedSearch = await SavedSearch.create({
+    user: req.user._id,
+    name: req.body.name,
+    criteria: req.body.criteria,
+    frequency: req.body.frequency
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Search saved',
+    savedSearch
+  });
+}));
+
+// @desc    Update a saved search's name, criteria, frequency or active flag
+// @route   PUT /api/saved-searches/:id
+// @access  Private (jobSeeker)
+router.put('/:id', protect, roleAuthorization(['jobSeeker']), validate(schemas.updateSavedSearch), loadSavedSearch, asyncHandler(async (req, res) => {
+  const { savedSearch } = req;
+  const { name, criteria, frequency, active } = req.body;
+
+  if (name !== undefined) savedSearch.name = name;
+  if (criteria !== undefined) savedSearch.criteria = criteria;
+  if (frequency !== undefined) savedSearch.frequency = frequency;
+  if (active !== undefined) savedSearch.active = active;
+
+  await savedSearch.save();
+
+  res.json({
+    success: true,
+    message: 'Saved search updated',
+    savedSearch
+  });
+}));
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private (jobSeeker)
+router.delete('/:id', protect, roleAuthorization(['jobSeeker']), validate(schemas.savedSearchById), loadSavedSearch, asyncHandler(async (req, res) => {
+  await req.savedSearch.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Saved search deleted'
+  });
+}));
+
+// @desc    Run a saved search against the current open jobs
+// @route   GET /api/saved-searches/:id/jobs
+// @access  Private (jobSeeker)
+// @query   page, limit
+router.get('/:id/jobs', protect, roleAuthorization(['jobSeeker']), validate(schemas.savedSearchJobs), loadSavedSearch, asyncHandler(async (req, res) => {
+  const filter = { ...buildJobFilter(req.savedSearch.criteria.toObject()), ...Job.openFilter() };
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('organization', 'name logo verified')
+      .lean(),
+    Job.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    jobs: jobs.map(job => ({
+      ...job,
+      salary: presentSalary(job.salary),
+      screeningQuestions: presentQuestions(job.screeningQuestions)
+    }))
+  });
+}));
+
+module.exports = router;
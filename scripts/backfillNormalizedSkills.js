@@ -0,0 +1,37 @@
+// Fills `normalizedSkills` on jobs and profiles saved before skill
+// normalization existed, or recomputes it after SKILL_SYNONYMS changes.
+// Run with `npm run backfill:skills`.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { normalizeSkills } = require('../utils/skills');
+
+dotenv.config();
+
+const backfill = async (collectionName, sourceField) => {
+  const collection = mongoose.connection.collection(collectionName);
+  const cursor = collection.find({}, { projection: { [sourceField]: 1 } });
+
+  let updated = 0;
+  for await (const doc of cursor) {
+    await collection.updateOne(
+      { _id: doc._id },
+      { $set: { normalizedSkills: normalizeSkills(doc[sourceField] || []) } }
+    );
+    updated++;
+  }
+
+  console.log(`Updated normalizedSkills on ${updated} ${collectionName}`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  await backfill('jobs', 'skillsRequired');
+  await backfill('profiles', 'skills');
+};
+
+run()
+  .catch(err => {
+    console.error('Skill backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
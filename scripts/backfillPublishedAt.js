@@ -0,0 +1,24 @@
+// Fills `publishedAt` on jobs saved before it existed, from their creation
+// date; drafts stay unpublished. Job alerts only match jobs that have it.
+// Run with `npm run backfill:published-at`.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const result = await mongoose.connection.collection('jobs').updateMany(
+    { publishedAt: { $exists: false }, status: { $ne: 'draft' } },
+    [{ $set: { publishedAt: '$createdAt' } }]
+  );
+
+  console.log(`Set publishedAt on ${result.modifiedCount} jobs`);
+};
+
+run()
+  .catch(err => {
+    console.error('publishedAt backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
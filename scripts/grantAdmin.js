@@ -0,0 +1,39 @@
+// Gives an existing account the admin role. Admins cannot sign up through
+// the API, so the first one is created here. Run with
+// `npm run admin:grant -- someone@example.com`.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const email = (process.argv[2] || '').trim().toLowerCase();
+
+const grant = async () => {
+  if (!email) {
+    console.error('Usage: npm run admin:grant -- <email>');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const users = mongoose.connection.collection('users');
+  const user = await users.findOne({ email }, { projection: { role: 1 } });
+
+  if (!user) {
+    console.error(`No account registered with ${email}`);
+    process.exitCode = 1;
+  } else if (user.role === 'admin') {
+    console.log(`${email} is already an admin`);
+  } else {
+    await users.updateOne({ _id: user._id }, { $set: { role: 'admin' } });
+    console.log(`${email} is now an admin (was ${user.role})`);
+  }
+};
+
+grant()
+  .catch(err => {
+    console.error('Granting admin failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
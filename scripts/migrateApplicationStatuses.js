@@ -0,0 +1,76 @@
+// Maps pre-workflow application statuses (pending, reviewed, accepted) onto
+// the new hiring stages and seeds an initial history entry. Run with
+// `npm run migrate:application-statuses` (add `-- --dry-run` to preview).
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { LEGACY_STATUS_MAP, workflow } = require('../utils/applicationWorkflow');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Work on the raw collection: legacy statuses fail the new enum
+  const applications = mongoose.connection.collection('applications');
+  const jobs = mongoose.connection.collection('jobs');
+  const cursor = applications.find(
+    { $or: [{ status: { $nin: workflow.statuses } }, { statusHistory: { $exists: false } }] },
+    { projection: { status: 1, user: 1, job: 1, createdAt: 1, updatedAt: 1 } }
+  );
+
+  let migrated = 0;
+  const skipped = [];
+
+  for await (const application of cursor) {
+    const status = workflow.statuses.includes(application.status)
+      ? application.status
+      : LEGACY_STATUS_MAP[application.status];
+
+    if (!status) {
+      skipped.push(application);
+      continue;
+    }
+
+    // Record the original submission and, if it has moved on, the change
+    const statusHistory = [{
+      from: null,
+      to: workflow.initialStatus,
+      changedBy: application.user,
+      changedByRole: 'jobSeeker',
+      visibleToApplicant: false,
+      changedAt: application.createdAt
+    }];
+    if (status !== workflow.initialStatus) {
+      const job = await jobs.findOne({ _id: application.job }, { projection: { postedBy: 1 } });
+      statusHistory.push({
+        from: workflow.initialStatus,
+        to: status,
+        changedBy: job ? job.postedBy : application.user,
+        changedByRole: 'company',
+        note: `Migrated from legacy status "${application.status}"`,
+        visibleToApplicant: false,
+        changedAt: application.updatedAt
+      });
+    }
+
+    if (!dryRun) {
+      await applications.updateOne({ _id: application._id }, { $set: { status, statusHistory } });
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} application(s)`);
+  if (skipped.length) {
+    console.log(`Skipped ${skipped.length} application(s) with unknown status:`);
+    skipped.forEach(application => console.log(`  ${application._id}: "${application.status}"`));
+  }
+};
+
+migrate()
+  .catch(err => {
+    console.error('Application status migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
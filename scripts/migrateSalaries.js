@@ -0,0 +1,53 @@
+// Converts legacy free-text `salary` strings on jobs into the structured
+// salary shape. Run with `npm run migrate:salaries` (add `-- --dry-run` to
+// preview). Jobs whose salary cannot be parsed are reported and left as-is.
+
+// Load environment variables before utils/salary reads DEFAULT_CURRENCY
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { parseSalaryString, annualRange } = require('../utils/salary');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Work on the raw collection: legacy documents no longer match the schema
+  const jobs = mongoose.connection.collection('jobs');
+  const cursor = jobs.find({ salary: { $type: 'string' } }, { projection: { salary: 1, title: 1 } });
+
+  let migrated = 0;
+  const skipped = [];
+
+  for await (const job of cursor) {
+    const parsed = parseSalaryString(job.salary);
+
+    if (!parsed) {
+      skipped.push({ _id: job._id, title: job.title, salary: job.salary });
+      continue;
+    }
+
+    const salary = { ...parsed, hidden: false, ...annualRange(parsed) };
+
+    console.log(`${job._id}: "${job.salary}" ->`, JSON.stringify(salary));
+
+    if (!dryRun) {
+      await jobs.updateOne({ _id: job._id }, { $set: { salary } });
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} job(s)`);
+  if (skipped.length) {
+    console.log(`Could not parse ${skipped.length} salary value(s); update these manually:`);
+    skipped.forEach(job => console.log(`  ${job._id} (${job.title}): "${job.salary}"`));
+  }
+};
+
+migrate()
+  .catch(err => {
+    console.error('Salary migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,60 +1,111 @@
+// Load environment variables before any module reads them at require time
+require('dotenv').config();
+
 const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
-const path = require('path');
-const fs = require('fs');
-const dotenv = require('dotenv');
-
-// Load environment variables
-dotenv.config();
+const cookieParser = require('cookie-parser');
+const { startJobExpiryScheduler } = require('./utils/jobExpiry');
+const { startJobAlertScheduler } = require('./utils/jobAlerts');
+const { startInterviewReminderScheduler } = require('./utils/interviewReminders');
+const { registerNotificationHandlers } = require('./utils/notifications');
+const { registerResumeProcessing, processPendingResumes } = require('./utils/resumeProcessing');
+const { registerMessageStream } = require('./utils/messageStream');
+const { connectRateLimitStore } = require('./utils/rateLimit');
+const logger = require('./utils/logger');
+const requestContext = require('./middleware/requestContext');
+const { corsPolicy, securityHeaders } = require('./middleware/security');
+const sanitize = require('./middleware/sanitize');
+const { FAIL_OPEN: RATE_LIMIT_FAIL_OPEN } = require('./middleware/rateLimit');
+const errorHandler = require('./middleware/errorHandler');
+const { notFound } = errorHandler;
 
 const app = express();
+app.disable('x-powered-by');
 
-// Middleware
-app.use(express.json());
-app.use(cors({ 
-  origin: 'http://localhost:3000',
-  credentials: true
-}));
-
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1 for one
+// hop) so req.ip, and with it per-IP rate limiting, sees the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
 }
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(uploadsDir));
+// Middleware
+app.use(requestContext);
+app.use(securityHeaders());
+app.use(corsPolicy());
+// JSON_BODY_LIMIT caps request bodies (e.g. 100kb, 1mb); files go through multipart uploads
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '100kb' }));
+app.use(cookieParser());
+app.use(sanitize);
+
+// Resumes are not served statically; they are only reachable through the
+// authorized download routes, backed by the configured storage driver
 
 // Database connection
 mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected'))
-.catch(err => console.log('MongoDB connection error:', err));
+.then(() => {
+  logger.info('MongoDB connected');
+  startJobExpiryScheduler(Number(process.env.JOB_EXPIRY_INTERVAL_MS) || undefined);
+  startJobAlertScheduler(Number(process.env.JOB_ALERT_INTERVAL_MS) || undefined);
+  startInterviewReminderScheduler(Number(process.env.INTERVIEW_REMINDER_INTERVAL_MS) || undefined);
+  processPendingResumes().catch(err => logger.error('Failed to queue pending resumes', { error: err }));
+})
+.catch(err => logger.error('MongoDB connection error', { error: err }));
+
+// Event subscribers
+registerNotificationHandlers();
+registerResumeProcessing();
+registerMessageStream();
 
 // Routes
 const jobRoutes = require('./routes/jobRoutes');
 const applicationRoutes = require('./routes/applicationRoutes');
 const authRoutes = require('./routes/authRoutes');
+const oidcRoutes = require('./routes/oidcRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const profileRoutes = require('./routes/profileRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const savedJobRoutes = require('./routes/savedJobRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const interviewRoutes = require('./routes/interviewRoutes');
+const messageRoutes = require('./routes/messageRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 app.use('/api/jobs', jobRoutes);
 app.use('/api/applications', applicationRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/saved-jobs', savedJobRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/interviews', interviewRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    success: false, 
-    message: 'Internal server error',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
-
-// Start server
+app.use(notFound);
+app.use(errorHandler);
+
+// Start server once the rate limit store is reachable; a store that is down
+// or refuses the credentials stops startup instead of failing every request
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+connectRateLimitStore()
+  .then((store) => {
+    if (RATE_LIMIT_FAIL_OPEN) {
+      logger.warn('RATE_LIMIT_FAIL_OPEN is set: requests skip rate limiting while the store is unavailable', { store: store.name });
+    }
+    app.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`);
+    });
+  })
+  .catch((error) => {
+    logger.error('Could not connect to the rate limit store', { error, store: process.env.RATE_LIMIT_STORE });
+    process.exit(1);
+  });
\ No newline at end of file
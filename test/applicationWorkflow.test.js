@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { workflow, createWorkflow, InvalidTransitionError, LEGACY_STATUS_MAP } = require('../utils/applicationWorkflow');
+
+describe('application workflow', () => {
+  it('starts at applied and ends at hired, rejected or withdrawn', () => {
+    assert.equal(workflow.initialStatus, 'applied');
+    assert.deepEqual(workflow.finalStatuses, ['hired', 'rejected', 'withdrawn']);
+  });
+
+  it('moves companies forward through the hiring stages', () => {
+    const allowed = [
+      ['applied', 'screening'],
+      ['applied', 'interview'],
+      ['screening', 'interview'],
+      ['interview', 'offer'],
+      ['offer', 'hired'],
+      ['offer', 'rejected']
+    ];
+    for (const [from, to] of allowed) {
+      assert.equal(workflow.canTransition(from, to, 'company'), true, `${from} -> ${to}`);
+    }
+  });
+
+  it('does not let companies skip stages, go back or withdraw', () => {
+    const refused = [
+      ['applied', 'offer'],
+      ['applied', 'hired'],
+      ['interview', 'screening'],
+      ['offer', 'interview'],
+      ['applied', 'withdrawn']
+    ];
+    for (const [from, to] of refused) {
+      assert.equal(workflow.canTransition(from, to, 'company'), false, `${from} -> ${to}`);
+    }
+  });
+
+  it('lets applicants only withdraw, until a final status', () => {
+    for (const from of ['applied', 'screening', 'interview', 'offer']) {
+      assert.deepEqual(workflow.allowedTransitions(from, 'jobSeeker'), ['withdrawn']);
+    }
+    assert.equal(workflow.canTransition('applied', 'screening', 'jobSeeker'), false);
+  });
+
+  it('allows nothing out of a final or unknown status', () => {
+    for (const from of [...workflow.finalStatuses, 'pending']) {
+      assert.deepEqual(workflow.allowedTransitions(from, 'company'), []);
+      assert.deepEqual(workflow.allowedTransitions(from, 'jobSeeker'), []);
+    }
+  });
+
+  it('throws an InvalidTransitionError for a refused change', () => {
+    assert.doesNotThrow(() => workflow.assertTransition('applied', 'screening', 'company'));
+    assert.throws(() => workflow.assertTransition('hired', 'rejected', 'company'), (error) => (
+      error instanceof InvalidTransitionError &&
+      error.message === 'Cannot change application status from hired to rejected' &&
+      error.role === 'company'
+    ));
+  });
+
+  it('maps every legacy status onto a workflow status', () => {
+    for (const status of Object.values(LEGACY_STATUS_MAP)) {
+      assert.ok(workflow.statuses.includes(status), status);
+    }
+  });
+
+  it('accepts a custom definition', () => {
+    const custom = createWorkflow({ new: { company: ['done'] }, done: {} });
+    assert.equal(custom.initialStatus, 'new');
+    assert.deepEqual(custom.finalStatuses, ['done']);
+    assert.equal(custom.canTransition('new', 'done', 'company'), true);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLogModel');
+const { withAudit } = require('../utils/auditLog');
+
+describe('withAudit', () => {
+  const req = {
+    user: { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com' },
+    ip: '203.0.113.5',
+    get: () => 'test-agent'
+  };
+  const entry = {
+    action: 'job.takeDown',
+    targetType: 'Job',
+    target: new mongoose.Types.ObjectId(),
+    reason: 'Spam',
+    details: { previousStatus: 'open' }
+  };
+  let steps;
+
+  beforeEach((t) => {
+    steps = [];
+    t.mock.method(AuditLog, 'create', async (fields) => {
+      steps.push(['create', fields]);
+      return { _id: new mongoose.Types.ObjectId(), ...fields };
+    });
+    t.mock.method(AuditLog, 'updateOne', async (filter, update) => {
+      steps.push(['update', update]);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  it('records the entry before performing the action', async () => {
+    await withAudit(req, entry, async () => {
+      steps.push(['perform']);
+    });
+
+    assert.deepEqual(steps.map(([step]) => step), ['create', 'perform']);
+    assert.equal(steps[0][1].actor, req.user._id);
+    assert.equal(steps[0][1].actorEmail, 'admin@example.com');
+    assert.equal(steps[0][1].ip, '203.0.113.5');
+  });
+
+  it('does not perform the action when the entry cannot be written', async () => {
+    AuditLog.create.mock.mockImplementation(async () => {
+      throw new Error('write failed');
+    });
+    let performed = false;
+
+    await assert.rejects(withAudit(req, entry, async () => {
+      performed = true;
+    }), /write failed/);
+    assert.equal(performed, false);
+  });
+
+  it('adds the details the action resolves to', async () => {
+    const result = await withAudit(req, entry, async () => ({ reportsResolved: 2 }));
+
+    assert.deepEqual(result, { reportsResolved: 2 });
+    assert.deepEqual(steps[1], ['update', { $set: { details: { previousStatus: 'open', reportsResolved: 2 } } }]);
+  });
+
+  it('marks the entry failed and rethrows when the action fails', async () => {
+    await assert.rejects(withAudit(req, entry, async () => {
+      throw new Error('save failed');
+    }), /save failed/);
+
+    const [, update] = steps[1];
+    assert.ok(update.$set.failedAt instanceof Date);
+    assert.equal(update.$set.failureReason, 'save failed');
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const protect = require('../middleware/authMiddleware');
+const roleAuthorization = require('../middleware/roleMiddleware');
+const requireVerifiedCompany = require('../middleware/verifiedMiddleware');
+const { signAccessToken } = require('../utils/authTokens');
+const errorHandler = require('../middleware/errorHandler');
+const { listen } = require('./helpers/listen');
+
+process.env.JWT_SECRET = 'test-secret';
+
+describe('auth middleware', () => {
+  let server;
+  let account;
+
+  before(async () => {
+    const app = express();
+    app.get('/me', protect, (req, res) => res.json({ success: true, id: req.user._id }));
+    app.get('/company', protect, roleAuthorization(['company']), requireVerifiedCompany, (req, res) => res.json({ success: true }));
+    app.use(errorHandler);
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach((t) => {
+    account = new User({ name: 'Jane', email: 'jane@example.com', role: 'jobSeeker', password: 'hashed' });
+    t.mock.method(User, 'findById', () => ({ select: async () => account }));
+  });
+
+  const request = (path, token) => fetch(`${server.url}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  const tokenFor = (user) => jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET);
+
+  const assertFailure = async (response, status, message) => {
+    assert.equal(response.status, status);
+    assert.deepEqual(await response.json(), { success: false, message });
+  };
+
+  it('lets a valid token through', async () => {
+    const response = await request('/me', tokenFor(account));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).id, account._id.toString());
+  });
+
+  it('answers a missing token with the error envelope', async () => {
+    await assertFailure(await request('/me'), 401, 'Not authorized, no token');
+  });
+
+  it('answers a bad token with the error envelope', async () => {
+    const forged = jwt.sign({ id: new mongoose.Types.ObjectId() }, 'another-secret');
+    await assertFailure(await request('/me', forged), 401, 'Not authorized, token failed');
+  });
+
+  it('rejects tokens of suspended and deactivated accounts', async () => {
+    const token = tokenFor(account);
+    account.suspendedAt = new Date();
+    await assertFailure(await request('/me', token), 403, 'Account suspended');
+
+    account.suspendedAt = null;
+    account.disabledAt = new Date();
+    await assertFailure(await request('/me', token), 401, 'Not authorized, token revoked');
+  });
+
+  it('rejects tokens issued before the sessions were revoked', async () => {
+    const token = jwt.sign({ id: account._id, iat: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+    account.invalidateTokens();
+    await assertFailure(await request('/me', token), 401, 'Not authorized, token revoked');
+  });
+
+  it('rejects a token issued in the same second the sessions were revoked', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1767225600250 });
+    const token = tokenFor(account);
+    t.mock.timers.tick(500);
+    account.invalidateTokens();
+
+    await assertFailure(await request('/me', token), 401, 'Not authorized, token revoked');
+  });
+
+  it('accepts a session issued in the same second after the revocation', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1767225600250 });
+    account.invalidateTokens();
+    t.mock.timers.tick(500);
+    const token = signAccessToken(account);
+
+    const response = await request('/me', token);
+    assert.equal(response.status, 200);
+  });
+
+  it('answers the wrong role with the error envelope', async () => {
+    await assertFailure(await request('/company', tokenFor(account)), 403, 'Access denied');
+  });
+
+  it('blocks unverified companies when verification is required', async (t) => {
+    process.env.REQUIRE_VERIFIED_COMPANY = 'true';
+    t.after(() => delete process.env.REQUIRE_VERIFIED_COMPANY);
+    account.role = 'company';
+
+    await assertFailure(await request('/company', tokenFor(account)), 403, 'Please verify your email address before posting jobs');
+  });
+});
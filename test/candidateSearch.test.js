@@ -0,0 +1,80 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Application = require('../models/applicationModel');
+const User = require('../models/userModel');
+const createMongoCandidateSearch = require('../utils/candidateSearch/mongoCandidateSearch');
+
+// Stand-in for a Mongoose query: every chained call returns itself and
+// awaiting it resolves to `result`
+const fakeQuery = (result) => {
+  const query = {};
+  for (const method of ['select', 'sort', 'skip', 'limit', 'populate', 'lean']) {
+    query[method] = () => query;
+  }
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+describe('mongo candidate search', () => {
+  const jobIds = [new mongoose.Types.ObjectId()];
+  const applicantIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  let calls;
+
+  beforeEach((t) => {
+    calls = { applicationFilters: [], userFilters: [] };
+    t.mock.method(Application, 'distinct', async (field, filter) => {
+      calls.applicantLookup = { field, filter };
+      return applicantIds;
+    });
+    t.mock.method(User, 'distinct', async (field, filter) => {
+      calls.userFilters.push(filter);
+      return [applicantIds[1]];
+    });
+    t.mock.method(Application, 'find', (filter) => {
+      calls.applicationFilters.push(filter);
+      return fakeQuery([]);
+    });
+    t.mock.method(Application, 'countDocuments', async () => 0);
+  });
+
+  const search = (criteria) => createMongoCandidateSearch().search({
+    jobIds,
+    statuses: [],
+    minScore: null,
+    maxScore: null,
+    sort: 'newest',
+    skip: 0,
+    limit: 20,
+    ...criteria
+  });
+
+  it('matches names and emails only among the applicants of the jobs', async () => {
+    await search({ q: 'jane' });
+
+    assert.deepEqual(calls.applicantLookup, { field: 'user', filter: { job: { $in: jobIds } } });
+    assert.equal(calls.userFilters.length, 1);
+    assert.deepEqual(calls.userFilters[0]._id, { $in: applicantIds });
+    assert.deepEqual(calls.userFilters[0].$or, [
+      { name: { $regex: 'jane', $options: 'i' } },
+      { email: { $regex: 'jane', $options: 'i' } }
+    ]);
+    assert.deepEqual(calls.applicationFilters[0].$or, [
+      { $text: { $search: 'jane' } },
+      { user: { $in: [applicantIds[1]] } }
+    ]);
+  });
+
+  it('escapes the search term', async () => {
+    await search({ q: 'a.b+' });
+    assert.equal(calls.userFilters[0].$or[0].name.$regex, 'a\\.b\\+');
+  });
+
+  it('skips the account lookup without a search term', async () => {
+    await search({ statuses: ['applied'] });
+
+    assert.equal(Application.distinct.mock.callCount(), 0);
+    assert.equal(User.distinct.mock.callCount(), 0);
+    assert.deepEqual(calls.applicationFilters[0], { job: { $in: jobIds }, status: { $in: ['applied'] } });
+  });
+});
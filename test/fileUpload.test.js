@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const QuarantinedFile = require('../models/quarantinedFileModel');
+const resumeUpload = require('../middleware/fileUpload');
+const errorHandler = require('../middleware/errorHandler');
+const { setStorage, setQuarantineStorage } = require('../utils/storage');
+const { setScanner } = require('../utils/scanning');
+const createEicarScanner = require('../utils/scanning/eicarScanner');
+const { EICAR } = createEicarScanner;
+const { listen } = require('./helpers/listen');
+
+// Storage that keeps saved files in a Map
+const memoryStorage = () => {
+  const files = new Map();
+  return {
+    files,
+    async save(key, body) {
+      files.set(key, body);
+      return { key };
+    },
+    async remove(key) {
+      files.delete(key);
+    }
+  };
+};
+
+const pdf = (content = 'resume') => Buffer.from(`%PDF-1.4\n${content}\n%%EOF`);
+
+describe('resume upload middleware', () => {
+  let server;
+  let storage;
+  let quarantine;
+
+  before(async () => {
+    const app = express();
+    app.post('/upload', resumeUpload('resume'), (req, res) => res.json({ success: true, filename: req.file && req.file.filename }));
+    app.post('/upload-many', resumeUpload('resume', { extraFields: /^answer-\d+$/ }), (req, res) => res.json({ success: true }));
+    app.use(errorHandler);
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    setStorage(null);
+    setQuarantineStorage(null);
+    setScanner(null);
+  });
+
+  beforeEach((t) => {
+    storage = memoryStorage();
+    quarantine = memoryStorage();
+    setStorage(storage);
+    setQuarantineStorage(quarantine);
+    setScanner(createEicarScanner());
+    t.mock.method(QuarantinedFile, 'create', async () => ({}));
+  });
+
+  const upload = (path, files) => {
+    const form = new FormData();
+    for (const [field, content, name] of files) {
+      form.append(field, new Blob([content]), name);
+    }
+    return fetch(`${server.url}${path}`, { method: 'POST', body: form });
+  };
+
+  it('stores an accepted resume under a generated name', async () => {
+    const response = await upload('/upload', [['resume', pdf(), 'cv.pdf']]);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.match(body.filename, /^resume-[\da-f-]{36}\.pdf$/);
+    assert.ok(storage.files.has(body.filename));
+  });
+
+  it('answers a disallowed extension with the error envelope', async () => {
+    const response = await upload('/upload', [['resume', 'hello', 'cv.txt']]);
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).success, false);
+  });
+
+  it('quarantines a file whose content does not match its extension', async () => {
+    const response = await upload('/upload', [['resume', 'not a pdf', 'cv.pdf']]);
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.success, false);
+    assert.match(body.message, /^The uploaded file was rejected/);
+    assert.equal(storage.files.size, 0);
+    assert.equal(quarantine.files.size, 1);
+  });
+
+  it('rejects malware and removes files already stored for the request', async () => {
+    const response = await upload('/upload-many', [
+      ['resume', pdf(), 'cv.pdf'],
+      ['answer-0', pdf(EICAR), 'portfolio.pdf']
+    ]);
+
+    assert.deepEqual(await response.json(), {
+      success: false,
+      message: 'The uploaded file was flagged by the virus scanner and has been rejected'
+    });
+    assert.equal(response.status, 400);
+    assert.equal(storage.files.size, 0);
+  });
+
+  it('answers an unexpected file field with the error envelope', async () => {
+    const response = await upload('/upload-many', [['other', pdf(), 'cv.pdf']]);
+
+    assert.deepEqual(await response.json(), { success: false, message: 'Unexpected file field "other"' });
+    assert.equal(response.status, 400);
+  });
+
+  it('answers 503 when the file cannot be stored', async () => {
+    storage.save = async () => {
+      throw new Error('bucket unavailable');
+    };
+    const response = await upload('/upload', [['resume', pdf(), 'cv.pdf']]);
+
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).success, false);
+  });
+});
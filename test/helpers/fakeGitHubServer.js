@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const express = require('express');
+const { listen } = require('./listen');
+
+/**
+ * A stand-in for GitHub's OAuth endpoints and the REST API calls sign-in
+ * makes, on one server. Authorization is approved at once; the token
+ * endpoint checks the client credentials and the PKCE verifier (S256) and,
+ * like GitHub, reports failures as a 200 with an `error` field. `/user`
+ * and `/user/emails` answer with what was passed to `setAccount`.
+ * Resolves to { url, tokenRequests, setAccount, close }.
+ */
+const startFakeGitHubServer = async ({ clientId, clientSecret }) => {
+  const authorizations = new Map();
+  const accessTokens = new Set();
+  const tokenRequests = [];
+  let account = { user: {}, emails: [] };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/login/oauth/authorize', (req, res) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    authorizations.set(code, req.query);
+    const callback = new URL(req.query.redirect_uri);
+    callback.search = new URLSearchParams({ code, state: req.query.state }).toString();
+    res.redirect(callback.toString());
+  });
+
+  app.post('/login/oauth/access_token', (req, res) => {
+    tokenRequests.push(req.body);
+    const authorization = authorizations.get(req.body.code);
+    authorizations.delete(req.body.code);
+
+    if (req.body.client_id !== clientId || req.body.client_secret !== clientSecret) {
+      return res.json({ error: 'incorrect_client_credentials', error_description: 'The client_id and/or client_secret passed are incorrect.' });
+    }
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier)).digest('base64url');
+    if (!authorization || challenge !== authorization.code_challenge) {
+      return res.json({ error: 'bad_verification_code', error_description: 'The code passed is incorrect or expired.' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.add(accessToken);
+    res.json({ access_token: accessToken, token_type: 'bearer', scope: authorization.scope });
+  });
+
+  const authenticated = (req, res, next) => {
+    if (!accessTokens.has(String(req.headers.authorization).replace(/^Bearer /, ''))) {
+      return res.status(401).json({ message: 'Bad credentials' });
+    }
+    next();
+  };
+  app.get('/user', authenticated, (req, res) => res.json(account.user));
+  app.get('/user/emails', authenticated, (req, res) => res.json(account.emails));
+
+  const server = await listen(app);
+
+  return {
+    url: server.url,
+    tokenRequests,
+    setAccount: (next) => {
+      account = next;
+    },
+    close: server.close
+  };
+};
+
+module.exports = { startFakeGitHubServer };
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { listen } = require('./listen');
+
+/**
+ * A stand-in OpenID Connect provider: discovery, JWKS, an authorization
+ * endpoint that approves at once and redirects back with a code, and a
+ * token endpoint that checks the client credentials and the PKCE verifier
+ * (S256) before issuing an RS256 ID token. The ID token carries the
+ * request's nonce plus the claims passed to `setClaims`, which may
+ * override it. Resolves to { issuer, tokenRequests, setClaims, close }.
+ */
+const startFakeOidcIssuer = async ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const authorizations = new Map();
+  const tokenRequests = [];
+  let claims = {};
+  let issuer;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    token_endpoint_auth_methods_supported: ['client_secret_basic']
+  }));
+
+  app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  app.get('/authorize', (req, res) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    authorizations.set(code, req.query);
+    const callback = new URL(req.query.redirect_uri);
+    callback.search = new URLSearchParams({ code, state: req.query.state }).toString();
+    res.redirect(callback.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    tokenRequests.push(req.body);
+    const authorization = authorizations.get(req.body.code);
+    authorizations.delete(req.body.code);
+
+    const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+    if (req.headers.authorization !== expected) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!authorization || authorization.redirect_uri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown authorization code' });
+    }
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier)).digest('base64url');
+    if (challenge !== authorization.code_challenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      id_token: jwt.sign({ nonce: authorization.nonce, ...claims }, privateKey, {
+        algorithm: 'RS256',
+        keyid: jwk.kid,
+        issuer,
+        audience: clientId,
+        expiresIn: 300
+      })
+    });
+  });
+
+  const server = await listen(app);
+  issuer = server.url;
+
+  return {
+    issuer,
+    tokenRequests,
+    setClaims: (next) => {
+      claims = next;
+    },
+    close: server.close
+  };
+};
+
+module.exports = { startFakeOidcIssuer };
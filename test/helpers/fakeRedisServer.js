@@ -0,0 +1,121 @@
+const net = require('net');
+
+const encode = (value) => {
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (value instanceof Map) return `%${value.size}\r\n${[...value].map(([key, item]) => encode(key) + encode(item)).join('')}`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (value === null) return '$-1\r\n';
+  return `+${value}\r\n`;
+};
+
+// Parse the complete RESP arrays of bulk strings at the start of `buffer`
+const parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+
+  for (;;) {
+    const header = buffer.indexOf('\r\n', offset);
+    if (header === -1 || buffer[offset] !== 0x2a) break;
+
+    const count = Number(buffer.toString('utf8', offset + 1, header));
+    const args = [];
+    let position = header + 2;
+    for (let i = 0; i < count; i++) {
+      const lineEnd = buffer.indexOf('\r\n', position);
+      if (lineEnd === -1) return { commands, rest: buffer.subarray(offset) };
+      const length = Number(buffer.toString('utf8', position + 1, lineEnd));
+      if (buffer.length < lineEnd + 2 + length + 2) return { commands, rest: buffer.subarray(offset) };
+      args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+      position = lineEnd + 2 + length + 2;
+    }
+    commands.push(args);
+    offset = position;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+};
+
+/**
+ * A stand-in for Redis that understands the handshake (HELLO, AUTH,
+ * SELECT, CLIENT), the rate limit script (run as INCR plus expiry) and
+ * DEL. With `password` set, other commands need AUTH first; `databases`
+ * limits SELECT. Resolves to { url, port, commands, dropConnections, close }.
+ */
+const startFakeRedisServer = ({ password, databases = 16 } = {}) => new Promise((resolve) => {
+  const counters = new Map();
+  const commands = [];
+  const sockets = new Set();
+
+  const execute = (session, [name, ...args]) => {
+    const command = name.toUpperCase();
+    commands.push([command, ...args]);
+
+    // HELLO <protocol> [AUTH <username> <password>]
+    const credentials = command === 'AUTH' ? args : (command === 'HELLO' && args[1] && args[1].toUpperCase() === 'AUTH' ? args.slice(2) : null);
+    if (credentials) {
+      if (credentials[credentials.length - 1] !== password) return new Error('WRONGPASS invalid username-password pair or user is disabled.');
+      session.authenticated = true;
+    }
+    if (command === 'AUTH') return 'OK';
+    if (command === 'HELLO') {
+      if (password && !session.authenticated) return new Error('NOAUTH HELLO must be called with the client already authenticated');
+      return new Map([['server', 'redis'], ['version', '7.2.0'], ['proto', Number(args[0]) || 2]]);
+    }
+    if (password && !session.authenticated) {
+      return new Error('NOAUTH Authentication required.');
+    }
+
+    switch (command) {
+      case 'SELECT':
+        return Number(args[0]) < databases ? 'OK' : new Error('ERR DB index is out of range');
+      case 'CLIENT':
+      case 'PING':
+        return command === 'PING' ? 'PONG' : 'OK';
+      case 'EVAL': {
+        const [, , key, windowMs] = args;
+        const now = Date.now();
+        let entry = counters.get(key);
+        if (!entry || entry.expiresAt <= now) {
+          entry = { count: 0, expiresAt: now + Number(windowMs) };
+          counters.set(key, entry);
+        }
+        entry.count += 1;
+        return [entry.count, entry.expiresAt - now];
+      }
+      case 'DEL':
+        return counters.delete(args[0]) ? 1 : 0;
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    const session = { authenticated: false };
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const parsed = parseCommands(Buffer.concat([buffered, chunk]));
+      buffered = parsed.rest;
+      socket.write(parsed.commands.map(command => encode(execute(session, command))).join(''));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    resolve({
+      url: `redis://127.0.0.1:${port}`,
+      port,
+      commands,
+      dropConnections: () => sockets.forEach(socket => socket.destroy()),
+      close: () => new Promise((done) => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    });
+  });
+});
+
+module.exports = { startFakeRedisServer };
@@ -0,0 +1,95 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const xml = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+};
+
+const noSuchKey = (res, key) => xml(res, 404, `<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message><Key>${key}</Key></Error>`);
+
+/**
+ * A MinIO-style stand-in for S3: path-style PUT, copy, HEAD, GET and DELETE
+ * on one bucket, kept in memory. Requests must be SigV4-signed with
+ * `accessKeyId`, but signatures are not checked. Resolves to
+ * { endpoint, objects, requests, close }.
+ */
+const startFakeS3Server = ({ bucket, accessKeyId }) => new Promise((resolve) => {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, requestBucket, ...rest] = url.pathname.split('/');
+    const key = decodeURIComponent(rest.join('/'));
+    requests.push({ method: req.method, key, headers: req.headers });
+
+    const signed = String(req.headers.authorization || '').includes(`Credential=${accessKeyId}/`) ||
+      (url.searchParams.get('X-Amz-Credential') || '').startsWith(`${accessKeyId}/`);
+    if (!signed) {
+      return xml(res, 403, '<Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>');
+    }
+    if (requestBucket !== bucket) {
+      return xml(res, 404, '<Error><Code>NoSuchBucket</Code><Message>The specified bucket does not exist</Message></Error>');
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const object = objects.get(key);
+
+      switch (req.method) {
+        case 'PUT': {
+          const source = req.headers['x-amz-copy-source'];
+          if (source) {
+            const sourceKey = decodeURIComponent(source).replace(/^\/?[^/]+\//, '');
+            const original = objects.get(sourceKey);
+            if (!original) return noSuchKey(res, sourceKey);
+            objects.set(key, { ...original });
+            return xml(res, 200, `<CopyObjectResult><ETag>"${original.etag}"</ETag><LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`);
+          }
+          const body = Buffer.concat(chunks);
+          const etag = crypto.createHash('md5').update(body).digest('hex');
+          objects.set(key, { body, etag, contentType: req.headers['content-type'] || 'binary/octet-stream' });
+          res.writeHead(200, { ETag: `"${etag}"` });
+          return res.end();
+        }
+        case 'HEAD':
+          if (!object) {
+            res.writeHead(404);
+            return res.end();
+          }
+          res.writeHead(200, { 'Content-Length': object.body.length, 'Content-Type': object.contentType, ETag: `"${object.etag}"` });
+          return res.end();
+        case 'GET':
+          if (!object) return noSuchKey(res, key);
+          res.writeHead(200, {
+            'Content-Length': object.body.length,
+            'Content-Type': url.searchParams.get('response-content-type') || object.contentType,
+            ...(url.searchParams.has('response-content-disposition')
+              ? { 'Content-Disposition': url.searchParams.get('response-content-disposition') }
+              : {}),
+            ETag: `"${object.etag}"`
+          });
+          return res.end(object.body);
+        case 'DELETE':
+          objects.delete(key);
+          res.writeHead(204);
+          return res.end();
+        default:
+          return xml(res, 405, '<Error><Code>MethodNotAllowed</Code><Message>Method not allowed</Message></Error>');
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      endpoint: `http://127.0.0.1:${server.address().port}`,
+      objects,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startFakeS3Server };
@@ -0,0 +1,11 @@
+// Serve `app` on a free local port; resolves to { url, close }
+const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { listen };
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Job = require('../models/jobModel');
+const JobAlertDelivery = require('../models/jobAlertDeliveryModel');
+const { runSavedSearch } = require('../utils/jobAlerts');
+
+// Stand-in for a Mongoose query: every chained call returns itself and
+// awaiting it resolves to `result`
+const fakeQuery = (result) => {
+  const query = {};
+  for (const method of ['select', 'sort', 'skip', 'limit', 'populate', 'lean']) {
+    query[method] = () => query;
+  }
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+const newJob = (fields) => new Job({
+  title: 'Backend Engineer',
+  company: 'Acme',
+  description: 'Build APIs',
+  location: 'Remote',
+  salary: { min: 50000, max: 70000, currency: 'USD', period: 'yearly' },
+  postedBy: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+describe('job publication date', () => {
+  beforeEach((t) => {
+    t.mock.method(Job.collection, 'insertOne', async () => ({ acknowledged: true }));
+    t.mock.method(Job.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+  });
+
+  it('is set when a job is created open', async () => {
+    const job = newJob();
+    await job.save();
+    assert.ok(job.publishedAt instanceof Date);
+  });
+
+  it('is set when a draft is published, not when it is saved', async () => {
+    const job = newJob({ status: 'draft' });
+    await job.save();
+    assert.equal(job.publishedAt, null);
+
+    job.status = 'open';
+    await job.save();
+    assert.ok(job.publishedAt instanceof Date);
+  });
+
+  it('survives closing, and a take-down and restore', async () => {
+    const job = newJob();
+    await job.save();
+    const { publishedAt } = job;
+
+    job.takeDown(new mongoose.Types.ObjectId(), 'spam');
+    await job.save();
+    job.restore();
+    await job.save();
+    assert.equal(job.status, 'open');
+    assert.equal(job.publishedAt, publishedAt);
+
+    job.status = 'closed';
+    await job.save();
+    assert.equal(job.publishedAt, publishedAt);
+  });
+});
+
+describe('job alerts', () => {
+  it('match jobs published since the search was saved', async (t) => {
+    const search = {
+      _id: new mongoose.Types.ObjectId(),
+      user: { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com' },
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+      criteria: { toObject: () => ({ q: '' }) },
+      save: async () => search
+    };
+    let filter;
+    let sort;
+    t.mock.method(JobAlertDelivery, 'find', () => ({ distinct: async () => [] }));
+    t.mock.method(Job, 'find', (query) => {
+      filter = query;
+      const result = fakeQuery([]);
+      result.sort = (order) => {
+        sort = order;
+        return result;
+      };
+      return result;
+    });
+
+    await runSavedSearch(search, new Date('2026-02-01T00:00:00Z'));
+
+    assert.deepEqual(filter.publishedAt, { $gte: search.createdAt });
+    assert.equal(filter.createdAt, undefined);
+    assert.deepEqual(sort, { publishedAt: -1 });
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/userModel');
+const LoginFailure = require('../models/loginFailureModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const errorHandler = require('../middleware/errorHandler');
+const { setRateLimitStore } = require('../utils/rateLimit');
+const createMemoryStore = require('../utils/rateLimit/memoryStore');
+const { listen } = require('./helpers/listen');
+
+process.env.JWT_SECRET = 'test-secret';
+const authRoutes = require('../routes/authRoutes');
+
+const { LOGIN_LOCKOUT, lockoutDuration } = User;
+
+// In-memory version of the lockout bookkeeping both models keep in MongoDB
+const recordFailure = (record) => {
+  record.failedLoginAttempts = (record.failedLoginAttempts || 0) + 1;
+  record.lastFailedLoginAt = new Date();
+  const duration = lockoutDuration(record.failedLoginAttempts);
+  if (duration) record.lockedUntil = new Date(Date.now() + duration);
+  return { attempts: record.failedLoginAttempts, lockedUntil: record.lockedUntil };
+};
+
+describe('login lockout', () => {
+  let server;
+  let account;
+  let failures;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use(errorHandler);
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    setRateLimitStore(null);
+  });
+
+  beforeEach(async (t) => {
+    setRateLimitStore(createMemoryStore());
+    account = new User({
+      name: 'Jane',
+      email: 'jane@example.com',
+      role: 'jobSeeker',
+      password: await bcrypt.hash('correct horse', 4)
+    });
+    failures = new Map();
+
+    t.mock.method(User, 'findOne', (filter) => ({
+      select: async () => (filter.email === account.email ? account : null)
+    }));
+    t.mock.method(User, 'recordFailedLogin', async () => recordFailure(account));
+    t.mock.method(User, 'clearFailedLogins', async () => {});
+    t.mock.method(LoginFailure, 'lockedUntil', async (email) => {
+      const record = failures.get(email);
+      return record && record.lockedUntil > new Date() ? record.lockedUntil : null;
+    });
+    t.mock.method(LoginFailure, 'recordFailedLogin', async (email) => {
+      if (!failures.has(email)) failures.set(email, {});
+      return recordFailure(failures.get(email));
+    });
+    t.mock.method(RefreshToken, 'create', async (fields) => fields);
+  });
+
+  const login = async (email, password) => {
+    const response = await fetch(`${server.url}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+    return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+  };
+
+  // Responses to repeated wrong passwords, without the Retry-After value
+  const attempts = async (email, count) => {
+    const responses = [];
+    for (let i = 0; i < count; i++) {
+      const { status, retryAfter, body } = await login(email, 'wrong password');
+      responses.push({ status, hasRetryAfter: Boolean(retryAfter), body });
+    }
+    return responses;
+  };
+
+  it('answers a registered and an unregistered email the same way', async () => {
+    const count = LOGIN_LOCKOUT.threshold + 2;
+    const registered = await attempts('jane@example.com', count);
+    const unregistered = await attempts('nobody@example.com', count);
+
+    assert.deepEqual(unregistered, registered);
+    assert.deepEqual(registered[0], { status: 400, hasRetryAfter: false, body: { success: false, message: 'Invalid credentials' } });
+    assert.equal(registered[LOGIN_LOCKOUT.threshold].status, 429);
+  });
+
+  it('keeps a locked account locked for the right password', async () => {
+    await attempts('jane@example.com', LOGIN_LOCKOUT.threshold);
+    const locked = await login('jane@example.com', 'correct horse');
+
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.retryAfter) > 0);
+  });
+
+  it('signs in with the right password', async () => {
+    const { status, body } = await login('jane@example.com', 'correct horse');
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.ok(body.token);
+    assert.equal(LoginFailure.recordFailedLogin.mock.callCount(), 0);
+  });
+
+  it('refuses a deactivated account after checking the password', async () => {
+    account.disabledAt = new Date();
+
+    assert.equal((await login('jane@example.com', 'wrong password')).status, 400);
+    const { status, body } = await login('jane@example.com', 'correct horse');
+    assert.equal(status, 403);
+    assert.equal(body.message, 'This account has been deactivated');
+  });
+});
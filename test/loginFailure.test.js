@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LoginFailure = require('../models/loginFailureModel');
+
+// Stand-in for findOneAndUpdate(...).select(...) resolving to `result`
+const query = (result) => ({
+  select: () => (result instanceof Error ? Promise.reject(result) : Promise.resolve(result))
+});
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error collection: loginfailures index: email_1'), { code: 11000 });
+
+describe('login failures for unregistered emails', () => {
+  it('retries once when a concurrent first failure inserted the record', async (t) => {
+    const results = [duplicateKey(), { failedLoginAttempts: 2, lockedUntil: null }];
+    t.mock.method(LoginFailure, 'findOneAndUpdate', () => query(results.shift()));
+
+    const recorded = await LoginFailure.recordFailedLogin('nobody@example.com');
+
+    assert.deepEqual(recorded, { attempts: 2, lockedUntil: null });
+    assert.equal(LoginFailure.findOneAndUpdate.mock.callCount(), 2);
+    assert.deepEqual(LoginFailure.findOneAndUpdate.mock.calls[1].arguments[2], { new: true, upsert: true });
+  });
+
+  it('passes on other errors', async (t) => {
+    t.mock.method(LoginFailure, 'findOneAndUpdate', () => query(new Error('connection lost')));
+
+    await assert.rejects(LoginFailure.recordFailedLogin('nobody@example.com'), /connection lost/);
+    assert.equal(LoginFailure.findOneAndUpdate.mock.callCount(), 1);
+  });
+
+  it('locks the email once the failures reach the threshold', async (t) => {
+    t.mock.method(LoginFailure, 'findOneAndUpdate', () => query({ failedLoginAttempts: 5, lockedUntil: null }));
+    t.mock.method(LoginFailure, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const { attempts, lockedUntil } = await LoginFailure.recordFailedLogin('nobody@example.com');
+
+    assert.equal(attempts, 5);
+    assert.ok(lockedUntil > new Date());
+    assert.deepEqual(LoginFailure.updateOne.mock.calls[0].arguments, [{ email: 'nobody@example.com' }, { $set: { lockedUntil } }]);
+  });
+});
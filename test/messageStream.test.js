@@ -0,0 +1,127 @@
+// Rejected requests are logged; keep the test output clean
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Application = require('../models/applicationModel');
+const Organization = require('../models/organizationModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const errorHandler = require('../middleware/errorHandler');
+const { registerMessageStream } = require('../utils/messageStream');
+const { revokeAllForUser } = require('../utils/authTokens');
+const { setStorage } = require('../utils/storage');
+const { setScanner } = require('../utils/scanning');
+const { listen } = require('./helpers/listen');
+
+process.env.JWT_SECRET = 'test-secret';
+const messageRoutes = require('../routes/messageRoutes');
+
+// Open the stream and collect its events; resolves once the headers are in
+// to { events, ended }, where `ended` resolves when the server closes it
+const openStream = (url, token) => new Promise((resolve, reject) => {
+  http.get(`${url}/api/messages/stream?access_token=${token}`, (res) => {
+    assert.equal(res.statusCode, 200);
+    const events = [];
+    let buffered = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffered += chunk;
+      const blocks = buffered.split('\n\n');
+      buffered = blocks.pop();
+      blocks.forEach((block) => {
+        const event = block.match(/^event: (.*)$/m);
+        const data = block.match(/^data: (.*)$/m);
+        if (event) events.push({ event: event[1], data: JSON.parse(data[1]) });
+      });
+    });
+    resolve({ events, ended: new Promise(done => res.on('end', done)) });
+  }).on('error', reject);
+});
+
+describe('message stream', () => {
+  let server;
+  let users;
+
+  before(async () => {
+    registerMessageStream();
+    const app = express();
+    app.use(express.json());
+    app.use('/api/messages', messageRoutes);
+    app.use(errorHandler);
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  beforeEach((t) => {
+    users = [
+      new User({ name: 'Jane', email: 'jane@example.com', role: 'jobSeeker', password: 'hash' }),
+      new User({ name: 'John', email: 'john@example.com', role: 'jobSeeker', password: 'hash' })
+    ];
+    t.mock.method(User, 'findById', (id) => ({
+      select: async () => users.find(user => user._id.toString() === id.toString()) || null
+    }));
+    t.mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 1 }));
+  });
+
+  const tokenFor = (user, expiresIn = '15m') => jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn });
+
+  it('ends the stream when the access token expires', async () => {
+    const stream = await openStream(server.url, tokenFor(users[0], 1));
+    await stream.ended;
+
+    assert.deepEqual(stream.events, [{ event: 'end', data: { reason: 'expired' } }]);
+  });
+
+  it('ends the streams of a user whose sessions are revoked', async () => {
+    const revoked = await openStream(server.url, tokenFor(users[0]));
+    const other = await openStream(server.url, tokenFor(users[1], 2));
+
+    await revokeAllForUser(users[0]._id, 'suspended');
+    await revoked.ended;
+
+    assert.deepEqual(revoked.events, [{ event: 'end', data: { reason: 'revoked' } }]);
+    assert.deepEqual(other.events, []);
+    await other.ended;
+    assert.deepEqual(other.events, [{ event: 'end', data: { reason: 'expired' } }]);
+  });
+
+  it('refuses a view-only member before touching the attachment', async (t) => {
+    const member = new User({ name: 'Viewer', email: 'viewer@example.com', role: 'company', password: 'hash' });
+    users.push(member);
+    const application = {
+      _id: new mongoose.Types.ObjectId(),
+      user: users[0]._id,
+      job: { _id: new mongoose.Types.ObjectId(), organization: new mongoose.Types.ObjectId() }
+    };
+    t.mock.method(Application, 'findById', () => ({ select: () => ({ populate: async () => application }) }));
+    t.mock.method(Organization, 'findById', () => ({ select: async () => ({ memberRole: () => 'viewer' }) }));
+
+    const storage = { name: 'fake', save: t.mock.fn(async () => {}) };
+    const scanner = { name: 'fake', scan: t.mock.fn(async () => ({ clean: true })) };
+    setStorage(storage);
+    setScanner(scanner);
+    t.after(() => {
+      setStorage(null);
+      setScanner(null);
+    });
+
+    const form = new FormData();
+    form.append('body', 'Hello');
+    form.append('attachment', new Blob(['%PDF-1.4\n%%EOF\n'], { type: 'application/pdf' }), 'cv.pdf');
+    const response = await fetch(`${server.url}/api/messages/${application._id}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${tokenFor(member)}` },
+      body: form
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(storage.save.mock.callCount(), 0);
+    assert.equal(scanner.scan.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,313 @@
+// Failed sign-ins are logged as warnings; keep the test output clean
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const User = require('../models/userModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const errorHandler = require('../middleware/errorHandler');
+const { setRateLimitStore } = require('../utils/rateLimit');
+const createMemoryStore = require('../utils/rateLimit/memoryStore');
+const { setProvider, listProviders } = require('../utils/oidc');
+const { createOidcClient } = require('../utils/oidc/client');
+const { startFakeOidcIssuer } = require('./helpers/fakeOidcIssuer');
+const { startFakeGitHubServer } = require('./helpers/fakeGitHubServer');
+const { listen } = require('./helpers/listen');
+
+process.env.JWT_SECRET = 'test-secret';
+const oidcRoutes = require('../routes/oidcRoutes');
+
+const CLIENT_ID = 'job-portal';
+const CLIENT_SECRET = 'issuer-secret';
+
+const startApi = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/auth/oidc', oidcRoutes);
+  app.use(errorHandler);
+  return listen(app);
+};
+
+const get = (url, cookie) => fetch(url, { redirect: 'manual', headers: cookie ? { Cookie: cookie } : {} });
+
+// Start signing in with `provider` and let it approve; resolves to the
+// transaction cookie, the authorization URL and the callback URL the
+// provider redirected to
+const authorize = async (api, provider) => {
+  const started = await get(`${api.url}/api/auth/oidc/${provider}?returnTo=/dashboard`);
+  assert.equal(started.status, 302);
+  const cookie = started.headers.getSetCookie()[0].split(';')[0];
+
+  const approved = await get(started.headers.get('location'));
+  return { cookie, authorizeUrl: new URL(started.headers.get('location')), callbackUrl: new URL(approved.headers.get('location')) };
+};
+
+// Follow the callback; resolves to the result in the client redirect's fragment
+const callback = async (url, cookie) => {
+  const response = await get(url, cookie);
+  assert.equal(response.status, 302);
+  return {
+    result: Object.fromEntries(new URLSearchParams(new URL(response.headers.get('location')).hash.slice(1))),
+    cookies: response.headers.getSetCookie()
+  };
+};
+
+const stubUsers = (t, state) => {
+  t.mock.method(User, 'findByIdentity', async () => null);
+  t.mock.method(User, 'findOne', async () => null);
+  t.mock.method(User, 'exists', async () => null);
+  t.mock.method(User, 'create', async (fields) => {
+    state.created = new User(fields);
+    return state.created;
+  });
+  t.mock.method(RefreshToken, 'create', async (fields) => fields);
+};
+
+describe('OpenID Connect sign-in', () => {
+  let issuer;
+  let api;
+  const state = {};
+
+  before(async () => {
+    issuer = await startFakeOidcIssuer({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+    api = await startApi();
+
+    setProvider('mock', {
+      id: 'mock',
+      name: 'Mock',
+      client: createOidcClient({
+        issuer: issuer.issuer,
+        clientId: CLIENT_ID,
+        clientSecret: CLIENT_SECRET,
+        redirectUri: `${api.url}/api/auth/oidc/mock/callback`
+      })
+    });
+  });
+
+  after(async () => {
+    await api.close();
+    await issuer.close();
+    setRateLimitStore(null);
+  });
+
+  beforeEach((t) => {
+    setRateLimitStore(createMemoryStore());
+    issuer.setClaims({ sub: 'subject-1', email: 'Jane@Example.com', email_verified: true, name: 'Jane Doe' });
+    issuer.tokenRequests.length = 0;
+    state.created = null;
+    stubUsers(t, state);
+  });
+
+  it('sends a PKCE challenge and redeems the code with its verifier', async () => {
+    const { cookie, authorizeUrl, callbackUrl } = await authorize(api, 'mock');
+    const { result } = await callback(callbackUrl, cookie);
+
+    assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+    assert.equal(issuer.tokenRequests.length, 1);
+    const [{ code_verifier: verifier }] = issuer.tokenRequests;
+    assert.equal(crypto.createHash('sha256').update(verifier).digest('base64url'), authorizeUrl.searchParams.get('code_challenge'));
+    assert.equal(result.status, 'signup');
+  });
+
+  it('rejects a code issued to another sign-in', async () => {
+    const first = await authorize(api, 'mock');
+    const second = await authorize(api, 'mock');
+
+    // The code of the first sign-in with the state and verifier of the second
+    const mixed = new URL(second.callbackUrl);
+    mixed.searchParams.set('code', first.callbackUrl.searchParams.get('code'));
+    const { result } = await callback(mixed, second.cookie);
+
+    assert.equal(result.status, 'error');
+    assert.match(result.message, /PKCE verification failed/);
+    assert.equal(User.findByIdentity.mock.callCount(), 0);
+  });
+
+  it('rejects a callback whose state does not match the sign-in', async () => {
+    const { cookie, callbackUrl } = await authorize(api, 'mock');
+    callbackUrl.searchParams.set('state', 'forged');
+    const { result } = await callback(callbackUrl, cookie);
+
+    assert.equal(result.status, 'error');
+    assert.match(result.message, /expired or was started elsewhere/);
+    assert.equal(issuer.tokenRequests.length, 0);
+  });
+
+  it('rejects a callback without the transaction cookie', async () => {
+    const { callbackUrl } = await authorize(api, 'mock');
+    const { result } = await callback(callbackUrl);
+
+    assert.equal(result.status, 'error');
+    assert.equal(issuer.tokenRequests.length, 0);
+  });
+
+  it('rejects an ID token whose nonce does not match the sign-in', async () => {
+    issuer.setClaims({ sub: 'subject-1', email: 'jane@example.com', email_verified: true, nonce: 'replayed' });
+    const { cookie, callbackUrl } = await authorize(api, 'mock');
+    const { result } = await callback(callbackUrl, cookie);
+
+    assert.equal(result.status, 'error');
+    assert.match(result.message, /nonce does not match/);
+    assert.equal(User.findByIdentity.mock.callCount(), 0);
+  });
+
+  it('links the identity to the account with the same verified email', async (t) => {
+    const account = new User({ name: 'Jane', email: 'jane@example.com', role: 'company', password: 'hash', emailVerified: true });
+    User.findOne.mock.mockImplementation(async (filter) => (filter.email === account.email ? account : null));
+    t.mock.method(account, 'save', async () => account);
+
+    const { cookie, callbackUrl } = await authorize(api, 'mock');
+    const { result, cookies } = await callback(callbackUrl, cookie);
+
+    assert.deepEqual(result, { status: 'success', returnTo: '/dashboard' });
+    assert.equal(account.save.mock.callCount(), 1);
+    assert.deepEqual(account.identities.map(({ provider, subject, email }) => ({ provider, subject, email })), [
+      { provider: 'mock', subject: 'subject-1', email: 'jane@example.com' }
+    ]);
+    assert.equal(account.password, 'hash');
+    assert.ok(cookies.some(value => value.startsWith('refreshToken=')));
+    assert.equal(RefreshToken.create.mock.callCount(), 1);
+  });
+
+  it('refuses an identity whose email the provider has not verified', async () => {
+    issuer.setClaims({ sub: 'subject-1', email: 'jane@example.com', email_verified: false });
+    const { cookie, callbackUrl } = await authorize(api, 'mock');
+    const { result } = await callback(callbackUrl, cookie);
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'Your Mock account has no verified email address');
+    assert.equal(User.findOne.mock.callCount(), 0);
+    assert.equal(RefreshToken.create.mock.callCount(), 0);
+  });
+
+  it('finishes a first sign-in with the sign-up token', async () => {
+    const { cookie, callbackUrl } = await authorize(api, 'mock');
+    const { result } = await callback(callbackUrl, cookie);
+    assert.equal(result.email, 'jane@example.com');
+
+    const completed = await fetch(`${api.url}/api/auth/oidc/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ signupToken: result.signupToken, role: 'jobSeeker' })
+    });
+    const body = await completed.json();
+
+    assert.equal(completed.status, 201);
+    assert.ok(body.token);
+    assert.equal(state.created.emailVerified, true);
+    assert.equal(state.created.password, undefined);
+    assert.equal(state.created.identities[0].subject, 'subject-1');
+  });
+
+  it('refuses a forged sign-up token', async () => {
+    const response = await fetch(`${api.url}/api/auth/oidc/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ signupToken: 'forged', role: 'jobSeeker' })
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(User.create.mock.callCount(), 0);
+  });
+});
+
+describe('GitHub sign-in', () => {
+  let github;
+  let api;
+  const state = {};
+
+  before(async () => {
+    github = await startFakeGitHubServer({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+    api = await startApi();
+
+    // Configured the way a deployment would be, pointed at the fake server
+    Object.assign(process.env, {
+      OIDC_PROVIDERS: 'github',
+      OIDC_GITHUB_CLIENT_ID: CLIENT_ID,
+      OIDC_GITHUB_CLIENT_SECRET: CLIENT_SECRET,
+      OIDC_GITHUB_URL: github.url,
+      OIDC_GITHUB_API_URL: github.url,
+      OIDC_REDIRECT_BASE_URL: api.url
+    });
+  });
+
+  after(async () => {
+    await api.close();
+    await github.close();
+    setRateLimitStore(null);
+  });
+
+  beforeEach((t) => {
+    setRateLimitStore(createMemoryStore());
+    github.setAccount({
+      user: { id: 4242, login: 'janedoe', name: 'Jane Doe' },
+      emails: [
+        { email: 'old@example.com', primary: false, verified: true },
+        { email: 'Jane@Example.com', primary: true, verified: true }
+      ]
+    });
+    github.tokenRequests.length = 0;
+    state.created = null;
+    stubUsers(t, state);
+  });
+
+  it('is listed without an issuer', () => {
+    assert.deepEqual(listProviders(), [{ id: 'github', name: 'GitHub' }]);
+  });
+
+  it('redeems the code with the PKCE verifier and signs up with the primary verified email', async () => {
+    const { cookie, authorizeUrl, callbackUrl } = await authorize(api, 'github');
+    const { result } = await callback(callbackUrl, cookie);
+
+    assert.equal(authorizeUrl.searchParams.get('scope'), 'read:user user:email');
+    const [{ code_verifier: verifier }] = github.tokenRequests;
+    assert.equal(crypto.createHash('sha256').update(verifier).digest('base64url'), authorizeUrl.searchParams.get('code_challenge'));
+    assert.equal(result.status, 'signup');
+    assert.equal(result.email, 'jane@example.com');
+    assert.equal(result.name, 'Jane Doe');
+    assert.deepEqual(User.findByIdentity.mock.calls[0].arguments, ['github', '4242']);
+  });
+
+  it('rejects a code issued to another sign-in', async () => {
+    const first = await authorize(api, 'github');
+    const second = await authorize(api, 'github');
+
+    const mixed = new URL(second.callbackUrl);
+    mixed.searchParams.set('code', first.callbackUrl.searchParams.get('code'));
+    const { result } = await callback(mixed, second.cookie);
+
+    assert.equal(result.status, 'error');
+    assert.match(result.message, /code passed is incorrect or expired/);
+    assert.equal(User.findByIdentity.mock.callCount(), 0);
+  });
+
+  it('links the identity to the account with the same verified email', async (t) => {
+    const account = new User({ name: 'Jane', email: 'jane@example.com', role: 'jobSeeker', password: 'hash', emailVerified: true });
+    User.findOne.mock.mockImplementation(async (filter) => (filter.email === account.email ? account : null));
+    t.mock.method(account, 'save', async () => account);
+
+    const { cookie, callbackUrl } = await authorize(api, 'github');
+    const { result } = await callback(callbackUrl, cookie);
+
+    assert.equal(result.status, 'success');
+    assert.equal(account.identities[0].provider, 'github');
+    assert.equal(account.identities[0].subject, '4242');
+  });
+
+  it('refuses an account without a verified email', async () => {
+    github.setAccount({
+      user: { id: 4242, login: 'janedoe' },
+      emails: [{ email: 'jane@example.com', primary: true, verified: false }]
+    });
+    const { cookie, callbackUrl } = await authorize(api, 'github');
+    const { result } = await callback(callbackUrl, cookie);
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.message, 'Your GitHub account has no verified email address');
+    assert.equal(User.findOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,113 @@
+// The failing transport and the limits are logged; keep the test output clean
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const User = require('../models/userModel');
+const VerificationToken = require('../models/verificationTokenModel');
+const errorHandler = require('../middleware/errorHandler');
+const mailer = require('../utils/mailer');
+const { setRateLimitStore } = require('../utils/rateLimit');
+const createMemoryStore = require('../utils/rateLimit/memoryStore');
+const { listen } = require('./helpers/listen');
+
+process.env.JWT_SECRET = 'test-secret';
+const authRoutes = require('../routes/authRoutes');
+
+describe('forgot password', () => {
+  let server;
+  let account;
+  let sent;
+  let delivered;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use(errorHandler);
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    setRateLimitStore(null);
+    mailer.setTransport(null);
+  });
+
+  beforeEach((t) => {
+    setRateLimitStore(createMemoryStore());
+    account = new User({ name: 'Jane', email: 'jane@example.com', role: 'jobSeeker', password: 'hash' });
+    sent = [];
+    delivered = new Promise((resolve) => {
+      mailer.setTransport({
+        name: 'memory',
+        send: async (message) => {
+          sent.push(message);
+          resolve();
+        }
+      });
+    });
+
+    t.mock.method(User, 'findOne', async (filter) => (filter.email === account.email ? account : null));
+    t.mock.method(VerificationToken, 'deleteMany', async () => ({ deletedCount: 0 }));
+    t.mock.method(VerificationToken, 'create', async (fields) => fields);
+  });
+
+  const forgotPassword = async (email) => {
+    const response = await fetch(`${server.url}/api/auth/forgot-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('answers registered and unregistered emails alike and mails the account', async () => {
+    const registered = await forgotPassword('Jane@Example.com');
+    const unregistered = await forgotPassword('nobody@example.com');
+
+    assert.deepEqual(unregistered, registered);
+    assert.equal(registered.status, 200);
+
+    await delivered;
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'jane@example.com');
+    assert.equal(VerificationToken.create.mock.calls[0].arguments[0].purpose, 'password-reset');
+  });
+
+  it('responds before the mail is sent and survives a failing transport', async () => {
+    let release;
+    mailer.setTransport({
+      name: 'stuck',
+      send: () => new Promise((resolve, reject) => {
+        release = () => reject(new Error('smtp down'));
+      })
+    });
+
+    const { status } = await forgotPassword('jane@example.com');
+    assert.equal(status, 200);
+    assert.ok(release);
+    release();
+  });
+
+  it('limits requests for one email', async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await forgotPassword('nobody@example.com')).status);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+    assert.equal((await forgotPassword('someone@example.com')).status, 200);
+  });
+
+  it('limits requests from one address', async () => {
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      statuses.push((await forgotPassword(`user${i}@example.com`)).status);
+    }
+
+    assert.equal(statuses.filter(status => status === 200).length, 10);
+    assert.equal(statuses[10], 429);
+  });
+});
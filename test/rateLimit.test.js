@@ -0,0 +1,130 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const rateLimit = require('../middleware/rateLimit');
+const errorHandler = require('../middleware/errorHandler');
+const createRedisStore = require('../utils/rateLimit/redisStore');
+const createMemoryStore = require('../utils/rateLimit/memoryStore');
+const { setRateLimitStore } = require('../utils/rateLimit');
+const { startFakeRedisServer } = require('./helpers/fakeRedisServer');
+const { listen } = require('./helpers/listen');
+
+describe('redis rate limit store', () => {
+  let server;
+  const stores = [];
+
+  // Stores opened by a test are closed after it
+  const store = (url) => {
+    const created = createRedisStore({ url, timeout: 500 });
+    stores.push(created);
+    return created;
+  };
+
+  before(async () => {
+    server = await startFakeRedisServer({ password: 's3cret', databases: 4 });
+  });
+
+  afterEach(async () => {
+    await Promise.all(stores.splice(0).map(created => created.close()));
+  });
+
+  after(() => server.close());
+
+  it('authenticates, selects the database and counts hits per window', async () => {
+    const redis = store(`redis://:s3cret@127.0.0.1:${server.port}/2`);
+    await redis.connect();
+
+    const first = await redis.increment('login:ip:1', 60000);
+    const second = await redis.increment('login:ip:1', 60000);
+    await redis.reset('login:ip:1');
+    const afterReset = await redis.increment('login:ip:1', 60000);
+
+    assert.equal(first.count, 1);
+    assert.equal(second.count, 2);
+    assert.equal(afterReset.count, 1);
+    assert.ok(first.resetAt.getTime() > Date.now() + 59000);
+    assert.ok(server.commands.some(([command, ...args]) => command === 'SELECT' && args[0] === '2'));
+    assert.ok(server.commands.some(([command, ...args]) => command === 'EVAL' && args[2] === 'ratelimit:login:ip:1'));
+  });
+
+  it('fails to connect with the wrong password', async () => {
+    await assert.rejects(store(`redis://:wrong@127.0.0.1:${server.port}`).connect(), /WRONGPASS/);
+  });
+
+  it('fails to connect to a database that does not exist', async () => {
+    await assert.rejects(store(`redis://:s3cret@127.0.0.1:${server.port}/9`).connect(), /DB index is out of range/);
+  });
+
+  it('fails to connect when the server is unreachable', async () => {
+    const closed = await startFakeRedisServer();
+    await closed.close();
+    await assert.rejects(store(closed.url).connect(), /ECONNREFUSED/);
+  });
+
+  it('reconnects after losing an established connection', async () => {
+    const redis = store(`redis://:s3cret@127.0.0.1:${server.port}`);
+    await redis.connect();
+    await redis.increment('reconnect', 60000);
+
+    server.dropConnections();
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assert.equal((await redis.increment('reconnect', 60000)).count, 2);
+  });
+});
+
+describe('rate limit middleware', () => {
+  let server;
+
+  before(async () => {
+    const app = express();
+    app.get('/limited', rateLimit({ name: 'test', windowMs: 60000, max: 2 }), (req, res) => res.json({ success: true }));
+    app.get('/closed', rateLimit({ name: 'closed', windowMs: 60000, max: 2, failOpen: false }), (req, res) => res.json({ success: true }));
+    app.get('/open', rateLimit({ name: 'open', windowMs: 60000, max: 2, failOpen: true }), (req, res) => res.json({ success: true }));
+    app.use(errorHandler);
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    setRateLimitStore(null);
+  });
+
+  const get = (path) => fetch(`${server.url}${path}`);
+
+  it('answers 429 with Retry-After once the limit is used up', async () => {
+    setRateLimitStore(createMemoryStore());
+
+    const first = await get('/limited');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+
+    await get('/limited');
+    const limited = await get('/limited');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await limited.json()).success, false);
+  });
+
+  it('fails closed by default when the store is unavailable', async () => {
+    assert.equal(rateLimit.FAIL_OPEN, false);
+    setRateLimitStore({
+      name: 'broken',
+      increment: async () => {
+        throw new Error('store down');
+      }
+    });
+
+    const refused = await get('/closed');
+    assert.equal(refused.status, 503);
+    assert.equal((await refused.json()).success, false);
+
+    const allowed = await get('/open');
+    assert.equal(allowed.status, 200);
+  });
+
+  it('rejects unknown key generators', () => {
+    assert.throws(() => rateLimit({ name: 'bad', windowMs: 1000, max: 1, keyBy: 'session' }), /Unknown rate limit key/);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry } = require('../utils/registry');
+const storage = require('../utils/storage');
+const mailer = require('../utils/mailer');
+const scanning = require('../utils/scanning');
+const rateLimit = require('../utils/rateLimit');
+const candidateSearch = require('../utils/candidateSearch');
+
+// Set or clear an environment variable, returning a function that restores it
+const withEnv = (name, value) => {
+  const previous = process.env[name];
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+  return () => {
+    if (previous === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = previous;
+    }
+  };
+};
+
+describe('createRegistry', () => {
+  const drivers = {
+    first: () => ({ name: 'first' }),
+    second: () => ({ name: 'second' })
+  };
+  let restore = () => {};
+
+  afterEach(() => restore());
+
+  it('builds the default driver when the variable is unset', () => {
+    restore = withEnv('TEST_DRIVER', undefined);
+    const registry = createRegistry({ envVar: 'TEST_DRIVER', defaultName: 'first', drivers });
+    assert.equal(registry.get().name, 'first');
+  });
+
+  it('builds the driver named by the variable once and keeps it', () => {
+    restore = withEnv('TEST_DRIVER', 'second');
+    const registry = createRegistry({ envVar: 'TEST_DRIVER', defaultName: 'first', drivers });
+    const instance = registry.get();
+    assert.equal(instance.name, 'second');
+    assert.equal(registry.get(), instance);
+  });
+
+  it('rejects unknown and inherited driver names', () => {
+    for (const name of ['third', 'toString']) {
+      restore = withEnv('TEST_DRIVER', name);
+      const registry = createRegistry({ envVar: 'TEST_DRIVER', defaultName: 'first', drivers });
+      assert.throws(() => registry.get(), new RegExp(`Unknown TEST_DRIVER "${name}". Use one of: first, second`));
+      restore();
+    }
+  });
+
+  it('uses an instance passed to set, and the environment again after set(null)', () => {
+    restore = withEnv('TEST_DRIVER', undefined);
+    const registry = createRegistry({ envVar: 'TEST_DRIVER', defaultName: 'first', drivers });
+    const fake = { name: 'fake' };
+    registry.set(fake);
+    assert.equal(registry.get(), fake);
+    registry.set(null);
+    assert.equal(registry.get().name, 'first');
+  });
+});
+
+describe('driver registries', () => {
+  const registries = [
+    { label: 'storage', envVar: 'STORAGE_DRIVER', get: storage.getStorage, set: storage.setStorage },
+    { label: 'quarantine storage', envVar: 'STORAGE_DRIVER', get: storage.getQuarantineStorage, set: storage.setQuarantineStorage },
+    { label: 'mail transport', envVar: 'MAIL_TRANSPORT', get: mailer.getTransport, set: mailer.setTransport },
+    { label: 'file scanner', envVar: 'FILE_SCANNER', get: scanning.getScanner, set: scanning.setScanner },
+    { label: 'rate limit store', envVar: 'RATE_LIMIT_STORE', get: rateLimit.getRateLimitStore, set: rateLimit.setRateLimitStore },
+    { label: 'candidate search', envVar: 'CANDIDATE_SEARCH_ADAPTER', get: candidateSearch.getCandidateSearch, set: candidateSearch.setCandidateSearch }
+  ];
+
+  for (const { label, envVar, get, set } of registries) {
+    it(`lets tests swap the ${label}`, (t) => {
+      t.after(() => set(null));
+      const fake = { name: 'fake' };
+      set(fake);
+      assert.equal(get(), fake);
+    });
+
+    it(`rejects an unknown ${envVar}`, (t) => {
+      const restore = withEnv(envVar, 'unknown');
+      t.after(() => {
+        restore();
+        set(null);
+      });
+      set(null);
+      assert.throws(() => get(), new RegExp(`Unknown ${envVar} "unknown"`));
+    });
+  }
+
+  it('builds the configured drivers from the environment', (t) => {
+    const restoreScanner = withEnv('FILE_SCANNER', 'eicar');
+    const restoreStore = withEnv('RATE_LIMIT_STORE', 'memory');
+    t.after(() => {
+      restoreScanner();
+      restoreStore();
+      scanning.setScanner(null);
+      rateLimit.setRateLimitStore(null);
+    });
+
+    assert.equal(scanning.getScanner().name, 'eicar');
+    assert.equal(rateLimit.getRateLimitStore().name, 'memory');
+  });
+
+  it('sends mail through the swapped transport', async (t) => {
+    const sent = [];
+    mailer.setTransport({ name: 'memory', send: async (message) => sent.push(message) });
+    t.after(() => mailer.setTransport(null));
+
+    await mailer.sendMail({ to: 'jane@example.com', subject: 'Hello', text: 'Hi' });
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'jane@example.com');
+    assert.ok(sent[0].from);
+  });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { isStoredFileName } = require('../utils/resumeFiles');
+
+describe('stored resume file names', () => {
+  it('accepts current and legacy upload names', () => {
+    assert.ok(isStoredFileName('resume-0f8fad5b-d9cb-469f-a165-70867728950e.pdf'));
+    assert.ok(isStoredFileName('resume-1744114414247-857823838.pdf'));
+    assert.ok(isStoredFileName('resume-1744114414247-857823838.DOCX'));
+  });
+
+  it('accepts every file already in the uploads directory', () => {
+    const uploads = fs.readdirSync(path.join(__dirname, '..', 'uploads')).filter(name => name.startsWith('resume-'));
+    assert.ok(uploads.length > 0);
+    assert.deepEqual(uploads.filter(name => !isStoredFileName(name)), []);
+  });
+
+  it('rejects paths and other names', () => {
+    for (const name of ['../resume-1744114414247-857823838.pdf', 'resume-1744114414247-857823838.pdf/x', 'resume-abc.pdf', 'resume-1-2.exe', 'resume-1744114414247.pdf', null]) {
+      assert.equal(isStoredFileName(name), false, String(name));
+    }
+  });
+});
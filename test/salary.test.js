@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSalaryString, annualRange } = require('../utils/salary');
+
+describe('parseSalaryString', () => {
+  const cases = [
+    ['$50k-70k', { min: 50000, max: 70000, currency: 'USD', period: 'yearly', negotiable: false }],
+    ['50-70k', { min: 50000, max: 70000, currency: 'USD', period: 'yearly', negotiable: false }],
+    ['70k - 50k', { min: 50000, max: 70000, currency: 'USD', period: 'yearly', negotiable: false }],
+    ['1.2m', { min: 1200000, max: 1200000, currency: 'USD', period: 'yearly', negotiable: false }],
+    ['LKR 150,000 / month', { min: 150000, max: 150000, currency: 'LKR', period: 'monthly', negotiable: false }],
+    ['Rs. 80,000 - 120,000 per month', { min: 80000, max: 120000, currency: 'LKR', period: 'monthly', negotiable: false }],
+    ['€45,000 - €55,000 p.a.', { min: 45000, max: 55000, currency: 'EUR', period: 'yearly', negotiable: false }],
+    ['£25/hr', { min: 25, max: 25, currency: 'GBP', period: 'hourly', negotiable: false }],
+    ['30 per hour neg', { min: 30, max: 30, currency: 'USD', period: 'hourly', negotiable: true }]
+  ];
+
+  for (const [text, expected] of cases) {
+    it(`parses "${text}"`, () => {
+      assert.deepEqual(parseSalaryString(text), expected);
+    });
+  }
+
+  it('treats small figures without a period as hourly rates', () => {
+    assert.equal(parseSalaryString('15-20').period, 'hourly');
+    assert.equal(parseSalaryString('15-20 per month').period, 'monthly');
+  });
+
+  it('uses the default currency when none is given', () => {
+    assert.equal(parseSalaryString('50k', { defaultCurrency: 'EUR' }).currency, 'EUR');
+  });
+
+  it('keeps a negotiable salary without amounts', () => {
+    assert.deepEqual(parseSalaryString('Negotiable'), { currency: 'USD', period: 'yearly', negotiable: true });
+  });
+
+  it('returns null when nothing can be recognised', () => {
+    for (const text of ['competitive', '', '   ', null, 42]) {
+      assert.equal(parseSalaryString(text), null);
+    }
+  });
+});
+
+describe('annualRange', () => {
+  it('converts hourly and monthly amounts to annual figures', () => {
+    assert.deepEqual(annualRange({ min: 20, max: 30, period: 'hourly' }), { annualMin: 41600, annualMax: 62400 });
+    assert.deepEqual(annualRange({ min: 4000, max: 5000, period: 'monthly' }), { annualMin: 48000, annualMax: 60000 });
+  });
+
+  it('uses a single amount as both ends', () => {
+    assert.deepEqual(annualRange({ min: 5000, period: 'monthly' }), { annualMin: 60000, annualMax: 60000 });
+    assert.deepEqual(annualRange({ max: 100000, period: 'yearly' }), { annualMin: 100000, annualMax: 100000 });
+  });
+
+  it('leaves the range empty without amounts', () => {
+    assert.deepEqual(annualRange({ period: 'yearly' }), { annualMin: undefined, annualMax: undefined });
+  });
+});
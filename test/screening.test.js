@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { evaluateAnswers, buildAnswerFilter, answerFileField } = require('../utils/screening');
+
+const question = (fields) => ({ _id: new mongoose.Types.ObjectId(), prompt: fields.type, required: false, ...fields });
+
+const authorized = question({
+  type: 'yesNo',
+  prompt: 'Are you authorized to work here?',
+  required: true,
+  knockout: { enabled: true, expectedAnswer: true }
+});
+const experience = question({ type: 'number', prompt: 'Years of experience', min: 0, max: 50, knockout: { enabled: true, min: 3 } });
+const stack = question({
+  type: 'multipleChoice',
+  prompt: 'Stack',
+  options: ['node', 'go', 'java'],
+  allowMultiple: true,
+  knockout: { enabled: true, acceptedOptions: ['node'] }
+});
+const motivation = question({ type: 'text', prompt: 'Why us?', maxLength: 20 });
+const portfolio = question({ type: 'file', prompt: 'Portfolio', required: true });
+
+const id = (q) => q._id.toString();
+
+describe('evaluateAnswers', () => {
+  const questions = [authorized, experience, stack, motivation, portfolio];
+  const file = { fieldname: answerFileField(id(portfolio)), filename: 'stored.pdf', originalname: 'me.pdf', mimetype: 'application/pdf', size: 10 };
+
+  it('accepts passing answers and normalises them', () => {
+    const result = evaluateAnswers(questions, {
+      [id(authorized)]: 'yes',
+      [id(experience)]: '5',
+      [id(stack)]: ['node', 'go', 'node'],
+      [id(motivation)]: '  Great team  '
+    }, [file]);
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.knockedOut, false);
+    assert.deepEqual(result.answers.map(answer => answer.value), [true, 5, ['node', 'go'], 'Great team', undefined]);
+    assert.equal(result.answers[4].file.originalName, 'me.pdf');
+  });
+
+  it('knocks out an applicant who fails any knockout rule', () => {
+    const cases = [
+      { [id(authorized)]: 'no' },
+      { [id(authorized)]: true, [id(experience)]: 2 },
+      { [id(authorized)]: true, [id(stack)]: ['java'] }
+    ];
+    for (const answers of cases) {
+      const result = evaluateAnswers(questions, answers, [file]);
+      assert.deepEqual(result.errors, []);
+      assert.equal(result.knockedOut, true, JSON.stringify(answers));
+    }
+  });
+
+  it('does not knock out on an unanswered optional question', () => {
+    const result = evaluateAnswers(questions, { [id(authorized)]: true }, [file]);
+    assert.equal(result.knockedOut, false);
+  });
+
+  it('reports missing required answers and files', () => {
+    const { errors } = evaluateAnswers(questions, { [id(authorized)]: '  ' });
+    assert.deepEqual(errors, [
+      { field: `answers.${id(authorized)}`, message: '"Are you authorized to work here?" is required' },
+      { field: answerFileField(id(portfolio)), message: '"Portfolio" requires a file' }
+    ]);
+  });
+
+  it('reports invalid answers', () => {
+    const { errors } = evaluateAnswers(questions, {
+      [id(authorized)]: 'maybe',
+      [id(experience)]: '60',
+      [id(stack)]: ['cobol'],
+      [id(motivation)]: 'x'.repeat(21)
+    }, [file]);
+
+    assert.deepEqual(errors.map(error => error.message), [
+      '"Are you authorized to work here?" must be yes or no',
+      '"Years of experience" must be at most 50',
+      '"Stack" must be one of: node, go, java',
+      '"Why us?" cannot exceed 20 characters'
+    ]);
+  });
+
+  it('rejects several options for a single-choice question', () => {
+    const single = question({ type: 'multipleChoice', options: ['a', 'b'], allowMultiple: false });
+    const { errors } = evaluateAnswers([single], { [id(single)]: ['a', 'b'] });
+    assert.match(errors[0].message, /accepts a single option/);
+  });
+
+  it('reports answers and files for unknown questions', () => {
+    const stray = new mongoose.Types.ObjectId().toString();
+    const { errors } = evaluateAnswers([authorized], { [id(authorized)]: true, [stray]: 'x' }, [
+      { fieldname: answerFileField(stray) }
+    ]);
+
+    assert.deepEqual(errors.map(error => error.field), [`answers.${stray}`, answerFileField(stray)]);
+  });
+});
+
+describe('buildAnswerFilter', () => {
+  const questions = [authorized, experience, stack, motivation, portfolio];
+
+  it('builds exact, contains and range conditions', () => {
+    const { conditions, error } = buildAnswerFilter(questions, {
+      [`answer.${id(authorized)}`]: 'yes',
+      [`answer.${id(motivation)}`]: 'a.b',
+      [`answer.${id(stack)}`]: 'node',
+      [`answerMin.${id(experience)}`]: '3',
+      [`answerMax.${id(experience)}`]: '10',
+      page: '2'
+    });
+
+    assert.equal(error, undefined);
+    assert.deepEqual(conditions.map(condition => condition.screeningAnswers.$elemMatch.value), [
+      true,
+      { $regex: 'a\\.b', $options: 'i' },
+      'node',
+      { $gte: 3 },
+      { $lte: 10 }
+    ]);
+    assert.equal(conditions[0].screeningAnswers.$elemMatch.question, authorized._id);
+  });
+
+  it('rejects filters on unknown or file questions', () => {
+    const stray = new mongoose.Types.ObjectId().toString();
+    assert.deepEqual(buildAnswerFilter(questions, { [`answer.${stray}`]: 'x' }), {
+      error: `Cannot filter by question ${stray}`,
+      field: `answer.${stray}`
+    });
+    assert.equal(buildAnswerFilter(questions, { [`answer.${id(portfolio)}`]: 'x' }).field, `answer.${id(portfolio)}`);
+  });
+
+  it('rejects ranges on non-numeric questions and bad values', () => {
+    assert.match(buildAnswerFilter(questions, { [`answerMin.${id(motivation)}`]: '3' }).error, /only applies to numeric questions/);
+    assert.match(buildAnswerFilter(questions, { [`answerMax.${id(experience)}`]: 'ten' }).error, /needs a number/);
+    assert.match(buildAnswerFilter(questions, { [`answer.${id(authorized)}`]: 'maybe' }).error, /must be yes or no/);
+    assert.match(buildAnswerFilter(questions, { [`answer.${id(experience)}`]: 'ten' }).error, /must be a number/);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { text } = require('stream/consumers');
+const createLocalStorage = require('../utils/storage/localStorage');
+const createS3Storage = require('../utils/storage/s3Storage');
+const { startFakeS3Server } = require('./helpers/fakeS3Server');
+
+// The same contract holds for every backend
+const behavesLikeStorage = (getStorage) => {
+  it('saves, stats and reads back a buffer', async () => {
+    const storage = getStorage();
+    await storage.save('resume-a.pdf', Buffer.from('%PDF-1.4 hello'), { contentType: 'application/pdf' });
+
+    assert.equal(await storage.exists('resume-a.pdf'), true);
+    assert.deepEqual(await storage.stat('resume-a.pdf'), { size: 14 });
+    assert.equal(await text(await storage.createReadStream('resume-a.pdf')), '%PDF-1.4 hello');
+  });
+
+  it('copies and removes files', async () => {
+    const storage = getStorage();
+    await storage.save('resume-b.pdf', Buffer.from('original'));
+    await storage.copy('resume-b.pdf', 'resume-c.pdf');
+    await storage.remove('resume-b.pdf');
+
+    assert.equal(await storage.exists('resume-b.pdf'), false);
+    assert.equal(await text(await storage.createReadStream('resume-c.pdf')), 'original');
+  });
+
+  it('reports missing files and removes them without error', async () => {
+    const storage = getStorage();
+    assert.equal(await storage.exists('resume-missing.pdf'), false);
+    await storage.remove('resume-missing.pdf');
+  });
+};
+
+describe('local storage', () => {
+  let root;
+  let storage;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'jobboard-storage-'));
+    storage = createLocalStorage({ root });
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  behavesLikeStorage(() => storage);
+
+  it('saves streams', async () => {
+    await storage.save('resume-stream.pdf', Readable.from([Buffer.from('streamed')]));
+    assert.equal(fs.readFileSync(path.join(root, 'resume-stream.pdf'), 'utf8'), 'streamed');
+  });
+
+  it('keeps keys inside the storage root', async () => {
+    await storage.save('../escape.pdf', Buffer.from('x'));
+    assert.equal(fs.existsSync(path.join(root, 'escape.pdf')), true);
+    assert.equal(fs.existsSync(path.join(root, '..', 'escape.pdf')), false);
+  });
+
+  it('streams files through the API instead of linking to them', async () => {
+    assert.equal(await storage.getDownloadUrl('resume-a.pdf'), null);
+  });
+});
+
+describe('s3 storage against a MinIO-style server', () => {
+  let server;
+  let storage;
+
+  before(async () => {
+    server = await startFakeS3Server({ bucket: 'resumes', accessKeyId: 'minio' });
+    storage = createS3Storage({
+      bucket: 'resumes',
+      endpoint: server.endpoint,
+      forcePathStyle: true,
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret',
+      prefix: 'uploads/'
+    });
+  });
+
+  after(() => server.close());
+
+  behavesLikeStorage(() => storage);
+
+  it('stores objects under the prefix with their content type', async () => {
+    await storage.save('resume-d.pdf', Buffer.from('typed'), { contentType: 'application/pdf' });
+    const object = server.objects.get('uploads/resume-d.pdf');
+
+    assert.equal(object.body.toString(), 'typed');
+    assert.equal(object.contentType, 'application/pdf');
+  });
+
+  it('signs download URLs that carry the response headers', async () => {
+    await storage.save('resume-e.pdf', Buffer.from('download me'));
+    const url = await storage.getDownloadUrl('resume-e.pdf', {
+      contentType: 'application/pdf',
+      contentDisposition: 'attachment; filename="cv.pdf"',
+      expiresIn: 30
+    });
+
+    assert.match(url, /X-Amz-Expires=30/);
+    const response = await fetch(url);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="cv.pdf"');
+    assert.equal(await response.text(), 'download me');
+  });
+
+  it('surfaces errors other than a missing object', async () => {
+    const other = createS3Storage({
+      bucket: 'other-bucket',
+      endpoint: server.endpoint,
+      forcePathStyle: true,
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret'
+    });
+    await assert.rejects(other.save('resume-f.pdf', Buffer.from('x')), { name: 'NoSuchBucket' });
+  });
+
+  it('requires a bucket', () => {
+    assert.throws(() => createS3Storage({ bucket: '' }), /S3_BUCKET must be set/);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const validate = require('../middleware/validate');
+
+// Run the middleware on a bare request; resolves to { req } when it passes
+// or { status, body } when it answers
+const run = (schema, req, options) => {
+  const request = { params: {}, query: {}, body: {}, ...req };
+  let answer = null;
+  const res = {
+    status(status) {
+      answer = { status };
+      return this;
+    },
+    json(body) {
+      answer.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  validate(schema, options)(request, res, () => {
+    passed = true;
+  });
+  return passed ? { req: request } : answer;
+};
+
+describe('validate', () => {
+  it('coerces query strings to their declared types', () => {
+    const { req } = run({
+      query: {
+        page: { type: 'integer', min: 1 },
+        minScore: { type: 'number' },
+        remote: { type: 'boolean' },
+        since: { type: 'date' },
+        skills: { type: 'array', split: true, items: { type: 'string', lowercase: true } }
+      }
+    }, { query: { page: '2', minScore: ' 3.5 ', remote: '0', since: '2026-01-01', skills: 'Node, Go,' } });
+
+    assert.deepEqual(req.query, {
+      page: 2,
+      minScore: 3.5,
+      remote: false,
+      since: new Date('2026-01-01'),
+      skills: ['node', 'go']
+    });
+  });
+
+  it('drops fields outside the schema, unless the location allows them', () => {
+    const schema = { body: { title: { type: 'string' } }, query: { page: { type: 'integer' } } };
+    const request = { body: { title: ' Engineer ', role: 'admin' }, query: { page: '1', 'answer.x': 'yes' } };
+
+    const { req } = run(schema, request, { allowUnknown: ['query'] });
+    assert.deepEqual(req.body, { title: 'Engineer' });
+    assert.deepEqual(req.query, { page: 1, 'answer.x': 'yes' });
+  });
+
+  it('applies defaults and keeps nulls for nullable fields', () => {
+    const { req } = run({
+      body: { status: { type: 'string', default: 'open' }, expiresAt: { type: 'date', nullable: true } }
+    }, { body: { expiresAt: null } });
+
+    assert.deepEqual(req.body, { status: 'open', expiresAt: null });
+  });
+
+  it('answers 400 for malformed values', () => {
+    const cases = [
+      [{ params: { id: { type: 'objectId', required: true, label: 'Job ID' } } }, { params: { id: 'abc' } }, 'Job ID must be a valid ID'],
+      [{ query: { page: { type: 'integer' } } }, { query: { page: '1.5' } }, 'page must be a whole number'],
+      [{ body: { remote: { type: 'boolean' } } }, { body: { remote: 'yes' } }, 'remote must be true or false'],
+      [{ body: { title: { type: 'string' } } }, { body: { title: { $ne: '' } } }, 'title must be a string'],
+      [{ body: { salary: { type: 'object', json: true } } }, { body: { salary: '{bad' } }, 'salary must be valid JSON']
+    ];
+    for (const [schema, request, message] of cases) {
+      const { status, body } = run(schema, request);
+      assert.equal(status, 400, message);
+      assert.equal(body.message, message);
+    }
+  });
+
+  it('answers 422 for well-formed values that break a rule', () => {
+    const cases = [
+      [{ body: { title: { type: 'string', required: true } } }, { body: { title: '  ' } }, 'title is required'],
+      [{ query: { limit: { type: 'integer', max: 100 } } }, { query: { limit: '500' } }, 'limit must be at most 100'],
+      [{ body: { role: { type: 'string', enum: ['jobSeeker', 'company'] } } }, { body: { role: 'admin' } }, 'role must be one of: jobSeeker, company'],
+      [{ body: { email: { type: 'email' } } }, { body: { email: 'nope' } }, 'email must be a valid email address'],
+      [{ body: { tags: { type: 'array', maxItems: 1 } } }, { body: { tags: ['a', 'b'] } }, 'tags cannot have more than 1 items']
+    ];
+    for (const [schema, request, message] of cases) {
+      const { status, body } = run(schema, request);
+      assert.equal(status, 422, message);
+      assert.equal(body.message, message);
+    }
+  });
+
+  it('reports every failure and answers 400 when any is malformed', () => {
+    const { status, body } = run({
+      params: { id: { type: 'objectId', required: true } },
+      body: { title: { type: 'string', required: true }, age: { type: 'integer' } }
+    }, { params: { id: 'x' }, body: { age: 'old' } });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+      success: false,
+      message: 'id must be a valid ID, title is required, age must be a whole number',
+      errors: [
+        { location: 'params', field: 'id', message: 'id must be a valid ID' },
+        { location: 'body', field: 'title', message: 'title is required' },
+        { location: 'body', field: 'age', message: 'age must be a whole number' }
+      ]
+    });
+  });
+
+  it('validates nested objects and array items with their paths', () => {
+    const { status, body } = run({
+      body: {
+        salary: { type: 'object', properties: { min: { type: 'number', min: 0 } } },
+        skills: { type: 'array', items: { type: 'string', maxLength: 3 } }
+      }
+    }, { body: { salary: { min: -1 }, skills: ['go', 'python'] } });
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.errors.map(error => error.field), ['salary.min', 'skills.1']);
+  });
+});
@@ -0,0 +1,241 @@
+const Application = require('../models/applicationModel');
+const JobView = require('../models/jobViewModel');
+const { workflow } = require('./applicationWorkflow');
+const { RequestValidationError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Default reporting window when no `from` is given
+const DEFAULT_RANGE_DAYS = 30;
+
+// Bucket formats for time series; weeks are ISO weeks ("2024-W07")
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Exits from the pipeline rather than steps through it
+const FUNNEL_EXCLUDED = ['rejected', 'withdrawn'];
+const FUNNEL_STAGES = workflow.statuses.filter(status => !FUNNEL_EXCLUDED.includes(status));
+
+// A bad `from`/`to`/`interval`, answered in the validation envelope
+class AnalyticsQueryError extends RequestValidationError {
+  constructor(message, field) {
+    super([{ location: 'query', field, message }]);
+    this.field = field;
+  }
+}
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AnalyticsQueryError(`Invalid ${name} date`, name);
+  }
+  return date;
+};
+
+/**
+ * Read `from`, `to` and `interval` from a query string. Defaults to the
+ * last 30 days bucketed by day. Throws AnalyticsQueryError on bad input.
+ */
+const parseAnalyticsRange = (query = {}) => {
+  const to = query.to ? parseDate(query.to, 'to') : new Date();
+  const from = query.from ? parseDate(query.from, 'from') : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from > to) {
+    throw new AnalyticsQueryError('from must be before to', 'from');
+  }
+
+  const interval = query.interval || 'day';
+  if (!INTERVAL_FORMATS[interval]) {
+    throw new AnalyticsQueryError(`Invalid interval. Use one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`, 'interval');
+  }
+
+  return { from, to, interval };
+};
+
+const bucketStage = (field, interval) => ({
+  $group: {
+    _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: field, timezone: 'UTC' } },
+    count: { $sum: 1 }
+  }
+});
+
+// First status change matching `cond`, as elapsed time from submission
+const elapsedUntil = (cond) => ({
+  $let: {
+    vars: {
+      entry: { $first: { $filter: { input: '$statusHistory', as: 'entry', cond } } }
+    },
+    in: { $subtract: ['$$entry.changedAt', '$createdAt'] }
+  }
+});
+
+const durationSummary = ([stats]) => {
+  if (!stats || !stats.count) {
+    return { count: 0, averageHours: null, minHours: null, maxHours: null };
+  }
+  const toHours = ms => Math.round((ms / HOUR_MS) * 10) / 10;
+  return {
+    count: stats.count,
+    averageHours: toHours(stats.average),
+    minHours: toHours(stats.min),
+    maxHours: toHours(stats.max)
+  };
+};
+
+const durationGroup = field => [
+  { $match: { [field]: { $type: 'number' } } },
+  { $group: { _id: null, count: { $sum: 1 }, average: { $avg: `$${field}` }, min: { $min: `$${field}` }, max: { $max: `$${field}` } } }
+];
+
+const viewStats = async (jobIds, { from, to, interval }) => {
+  const [result] = await JobView.aggregate([
+    { $match: { job: { $in: jobIds }, viewedAt: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: null, views: { $sum: 1 }, viewers: { $addToSet: '$viewer' } } },
+          { $project: { _id: 0, views: 1, uniqueViewers: { $size: '$viewers' } } }
+        ],
+        byJob: [
+          { $group: { _id: '$job', views: { $sum: 1 }, viewers: { $addToSet: '$viewer' } } },
+          { $project: { views: 1, uniqueViewers: { $size: '$viewers' } } }
+        ],
+        overTime: [
+          bucketStage('$viewedAt', interval),
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    totals: result.totals[0] || { views: 0, uniqueViewers: 0 },
+    byJob: result.byJob,
+    overTime: result.overTime
+  };
+};
+
+const applicationStats = async (jobIds, { from, to, interval }) => {
+  const [result] = await Application.aggregate([
+    { $match: { job: { $in: jobIds }, createdAt: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byJob: [{ $group: { _id: '$job', applications: { $sum: 1 } } }],
+        overTime: [
+          bucketStage('$createdAt', interval),
+          { $sort: { _id: 1 } }
+        ],
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        // Every stage an application has ever been in, so later rejections
+        // still count towards the stages they got through
+        reached: [
+          { $project: { stages: { $setUnion: [['$status'], { $ifNull: ['$statusHistory.to', []] }] } } },
+          { $unwind: '$stages' },
+          { $group: { _id: '$stages', count: { $sum: 1 } } }
+        ],
+        timeToFirstReview: [
+          { $project: { elapsed: elapsedUntil({ $eq: ['$$entry.changedByRole', 'company'] }) } },
+          ...durationGroup('elapsed')
+        ],
+        timeToHire: [
+          { $project: { elapsed: elapsedUntil({ $eq: ['$$entry.to', 'hired'] }) } },
+          ...durationGroup('elapsed')
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  const reached = new Map(result.reached.map(({ _id, count }) => [_id, count]));
+  const byStatus = new Map(result.byStatus.map(({ _id, count }) => [_id, count]));
+
+  return {
+    total,
+    byJob: result.byJob,
+    overTime: result.overTime,
+    statusBreakdown: Object.fromEntries(workflow.statuses.map(status => [status, byStatus.get(status) || 0])),
+    funnel: FUNNEL_STAGES.map(status => {
+      const count = reached.get(status) || 0;
+      return { status, count, rate: total ? Math.round((count / total) * 1000) / 1000 : null };
+    }),
+    timeToFirstReview: durationSummary(result.timeToFirstReview),
+    timeToHire: durationSummary(result.timeToHire)
+  };
+};
+
+// Applications per unique viewer; null when nobody viewed the job(s)
+const conversionRate = (applications, uniqueViewers) => (
+  uniqueViewers ? Math.round((applications / uniqueViewers) * 1000) / 1000 : null
+);
+
+// Merge two `{ _id: bucket, count }` series into `{ period, views, applications }`
+const mergeSeries = (views, applications) => {
+  const periods = new Map();
+  views.forEach(({ _id, count }) => periods.set(_id, { period: _id, views: count, applications: 0 }));
+  applications.forEach(({ _id, count }) => {
+    const entry = periods.get(_id) || { period: _id, views: 0, applications: 0 };
+    entry.applications = count;
+    periods.set(_id, entry);
+  });
+  return [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+};
+
+/**
+ * Views, applications over time, conversion, status funnel, time to first
+ * review and time to hire for `jobs` over `range`. With `perJob`, also
+ * lists views, applications and conversion for each job.
+ */
+const buildJobAnalytics = async (jobs, range, { perJob = false } = {}) => {
+  const jobIds = jobs.map(job => job._id);
+  const [views, applications] = await Promise.all([
+    viewStats(jobIds, range),
+    applicationStats(jobIds, range)
+  ]);
+
+  const report = {
+    range: { from: range.from, to: range.to, interval: range.interval },
+    views: views.totals.views,
+    uniqueViewers: views.totals.uniqueViewers,
+    applications: applications.total,
+    conversionRate: conversionRate(applications.total, views.totals.uniqueViewers),
+    overTime: mergeSeries(views.overTime, applications.overTime),
+    statusBreakdown: applications.statusBreakdown,
+    funnel: applications.funnel,
+    timeToFirstReview: applications.timeToFirstReview,
+    timeToHire: applications.timeToHire
+  };
+
+  if (perJob) {
+    const viewsByJob = new Map(views.byJob.map(entry => [entry._id.toString(), entry]));
+    const applicationsByJob = new Map(applications.byJob.map(entry => [entry._id.toString(), entry.applications]));
+
+    report.jobs = jobs.map(job => {
+      const jobViews = viewsByJob.get(job._id.toString()) || { views: 0, uniqueViewers: 0 };
+      const jobApplications = applicationsByJob.get(job._id.toString()) || 0;
+      return {
+        _id: job._id,
+        title: job.title,
+        status: job.status,
+        views: jobViews.views,
+        uniqueViewers: jobViews.uniqueViewers,
+        applications: jobApplications,
+        conversionRate: conversionRate(jobApplications, jobViews.uniqueViewers)
+      };
+    });
+  }
+
+  return report;
+};
+
+module.exports = {
+  INTERVAL_FORMATS,
+  FUNNEL_STAGES,
+  AnalyticsQueryError,
+  parseAnalyticsRange,
+  buildJobAnalytics
+};
@@ -0,0 +1,74 @@
+// Application status state machine. Each status lists the statuses each
+// side may move an application to; anything not listed is rejected. Pass a
+// different definition to `createWorkflow` to customise the pipeline.
+const DEFAULT_WORKFLOW = {
+  applied: {
+    company: ['screening', 'interview', 'rejected'],
+    jobSeeker: ['withdrawn']
+  },
+  screening: {
+    company: ['interview', 'rejected'],
+    jobSeeker: ['withdrawn']
+  },
+  interview: {
+    company: ['offer', 'rejected'],
+    jobSeeker: ['withdrawn']
+  },
+  offer: {
+    company: ['hired', 'rejected'],
+    jobSeeker: ['withdrawn']
+  },
+  hired: {},
+  rejected: {},
+  withdrawn: {}
+};
+
+// Statuses used before the workflow existed, mapped onto the new stages
+const LEGACY_STATUS_MAP = {
+  pending: 'applied',
+  reviewed: 'screening',
+  accepted: 'hired',
+  rejected: 'rejected'
+};
+
+class InvalidTransitionError extends Error {
+  constructor(from, to, role) {
+    super(`Cannot change application status from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+    this.role = role;
+  }
+}
+
+const createWorkflow = (definition = DEFAULT_WORKFLOW) => {
+  const statuses = Object.keys(definition);
+
+  const allowedTransitions = (from, role) => {
+    const rules = definition[from] || {};
+    return rules[role] || [];
+  };
+
+  return {
+    statuses,
+    initialStatus: statuses[0],
+    finalStatuses: statuses.filter(status => !Object.values(definition[status]).some(next => next.length)),
+    allowedTransitions,
+    canTransition: (from, to, role) => allowedTransitions(from, role).includes(to),
+    assertTransition(from, to, role) {
+      if (!allowedTransitions(from, role).includes(to)) {
+        throw new InvalidTransitionError(from, to, role);
+      }
+    }
+  };
+};
+
+const workflow = createWorkflow();
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  LEGACY_STATUS_MAP,
+  InvalidTransitionError,
+  createWorkflow,
+  workflow
+};
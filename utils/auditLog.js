@@ -0,0 +1,42 @@
+const AuditLog = require('../models/auditLogModel');
+const logger = require('./logger');
+
+// Write the entry for a moderation action taken by the admin on `req`
+const recordAudit = (req, { action, targetType, target, targetLabel, reason, details }) => AuditLog.create({
+  actor: req.user._id,
+  actorEmail: req.user.email,
+  action,
+  targetType,
+  target,
+  targetLabel,
+  reason,
+  details,
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+/**
+ * Run `perform` for a moderation action, recording `entry` first: an
+ * action that cannot be logged fails before anything changes. Details
+ * `perform` resolves to (e.g. counts only known afterwards) are added to
+ * the entry; if it throws, the entry is marked failed and the error rethrown.
+ */
+const withAudit = async (req, entry, perform) => {
+  const record = await recordAudit(req, entry);
+
+  let details;
+  try {
+    details = await perform();
+  } catch (error) {
+    await AuditLog.updateOne({ _id: record._id }, { $set: { failedAt: new Date(), failureReason: error.message } })
+      .catch(updateError => logger.error('Failed to mark audit entry as failed', { error: updateError, auditId: record._id.toString() }));
+    throw error;
+  }
+
+  if (details) {
+    await AuditLog.updateOne({ _id: record._id }, { $set: { details: { ...entry.details, ...details } } });
+  }
+  return details;
+};
+
+module.exports = { withAudit };
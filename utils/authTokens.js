@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const RefreshToken = require('../models/refreshTokenModel');
+const User = require('../models/userModel');
+const logger = require('./logger');
+const { hashToken } = require('./tokenHash');
+const { EVENTS, emit } = require('./events');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+  }
+}
+
+// A token issued in the same second the user's sessions ended is dated to
+// the next second, or it would count as revoked
+const signAccessToken = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  const endedIn = user.tokensValidAfter ? Math.floor(user.tokensValidAfter.getTime() / 1000) : 0;
+  return jwt.sign(
+    { id: user._id, role: user.role, iat: Math.max(now, endedIn + 1) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Create and persist a new opaque refresh token, returning the raw value
+const issueRefreshToken = async (user, req, family = uuidv4()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req && req.ip,
+    userAgent: req && req.get('user-agent')
+  });
+
+  return token;
+};
+
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Revoke every refresh token of the user and announce it, so connections
+// opened with their access tokens (e.g. message streams) are closed too
+const revokeAllForUser = async (userId, reason = 'logout-all') => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  emit(EVENTS.SESSIONS_REVOKED, { userId, reason });
+  return result;
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family. Presenting a
+ * token that was already rotated or revoked is treated as theft: the whole
+ * family is revoked so neither party can keep using it.
+ */
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+
+  // Claim the token atomically so two concurrent refreshes cannot both win
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known && known.revokedAt) {
+      await revokeFamily(known.family, 'reuse-detected');
+      logger.warn('Refresh token reuse detected, family revoked', { userId: known.user.toString(), family: known.family });
+    }
+    throw new RefreshTokenError('Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(current.user);
+  // Sessions started before a password change are no longer valid
+  const staleSession = user && user.tokensValidAfter && current.createdAt < user.tokensValidAfter;
+  if (!user || user.disabledAt || user.suspendedAt || staleSession) {
+    await revokeFamily(current.family, 'logout');
+    throw new RefreshTokenError('Account is not available');
+  }
+
+  const refreshToken = await issueRefreshToken(user, req, current.family);
+  current.replacedByHash = hashToken(refreshToken);
+  await current.save();
+
+  return { user, accessToken: signAccessToken(user), refreshToken };
+};
+
+// Revoke the family a refresh token belongs to (logout on one device)
+const revokeRefreshToken = async (token) => {
+  const known = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (known) {
+    await revokeFamily(known.family, 'logout');
+  }
+};
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'strict',
+  path: '/api/auth',
+  maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+});
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_COOKIE_NAME, token, refreshCookieOptions());
+};
+
+const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE_NAME, options);
+};
+
+// Refresh tokens may come from the httpOnly cookie or the JSON body
+const readRefreshToken = (req) => (
+  (req.cookies && req.cookies[REFRESH_COOKIE_NAME]) ||
+  (req.body && typeof req.body.refreshToken === 'string' && req.body.refreshToken) ||
+  null
+);
+
+// Issue an access/refresh token pair for a fresh login
+const issueSession = async (user, req, res) => {
+  const accessToken = signAccessToken(user);
+  const refreshToken = await issueRefreshToken(user, req);
+  setRefreshCookie(res, refreshToken);
+  return { accessToken, refreshToken };
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  RefreshTokenError,
+  signAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshToken
+};
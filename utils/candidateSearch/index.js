@@ -0,0 +1,21 @@
+const createMongoCandidateSearch = require('./mongoCandidateSearch');
+const { createRegistry } = require('../registry');
+
+/**
+ * The adapter named by CANDIDATE_SEARCH_ADAPTER (default mongo). Every
+ * adapter exposes `sorts(q)` listing the sort keys it supports and
+ * `search({ jobIds, q, statuses, appliedAfter, appliedBefore, minScore,
+ * maxScore, sort, skip, limit })` resolving to `{ applications, total }`.
+ */
+const adapter = createRegistry({
+  envVar: 'CANDIDATE_SEARCH_ADAPTER',
+  defaultName: 'mongo',
+  drivers: {
+    mongo: createMongoCandidateSearch
+  }
+});
+
+module.exports = {
+  getCandidateSearch: adapter.get,
+  setCandidateSearch: adapter.set
+};
@@ -0,0 +1,81 @@
+const Application = require('../../models/applicationModel');
+const User = require('../../models/userModel');
+const { escapeRegex } = require('../jobSearch');
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  match: { matchScore: -1, createdAt: -1, _id: -1 }
+};
+
+const buildFilter = async ({ jobIds, q, statuses, appliedAfter, appliedBefore, minScore, maxScore }) => {
+  const filter = { job: { $in: jobIds } };
+
+  if (statuses.length) {
+    filter.status = { $in: statuses };
+  }
+
+  if (appliedAfter || appliedBefore) {
+    filter.createdAt = {};
+    if (appliedAfter) filter.createdAt.$gte = appliedAfter;
+    if (appliedBefore) filter.createdAt.$lte = appliedBefore;
+  }
+
+  if (minScore !== null || maxScore !== null) {
+    filter.matchScore = {};
+    if (minScore !== null) filter.matchScore.$gte = minScore;
+    if (maxScore !== null) filter.matchScore.$lte = maxScore;
+  }
+
+  // Cover letters, resume text and parsed skills go through the text index;
+  // account names and emails live on User, so match those separately, and
+  // only among the people who applied to these jobs
+  if (q) {
+    const pattern = { $regex: escapeRegex(q), $options: 'i' };
+    const applicantIds = await Application.distinct('user', { job: { $in: jobIds } });
+    const matchingIds = applicantIds.length
+      ? await User.distinct('_id', { _id: { $in: applicantIds }, $or: [{ name: pattern }, { email: pattern }] })
+      : [];
+
+    filter.$or = [
+      { $text: { $search: q } },
+      { user: { $in: matchingIds } }
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * Candidate search backed by the `application_text_search` index.
+ */
+const createMongoCandidateSearch = () => ({
+  name: 'mongo',
+  sorts: q => (q ? ['relevance', ...Object.keys(SORT_OPTIONS)] : Object.keys(SORT_OPTIONS)),
+  async search({ sort, skip, limit, ...criteria }) {
+    const filter = await buildFilter(criteria);
+
+    let query = Application.find(filter);
+    if (sort === 'relevance') {
+      query = query
+        .select({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1, _id: -1 });
+    } else {
+      query = query.sort(SORT_OPTIONS[sort]);
+    }
+
+    const [applications, total] = await Promise.all([
+      query
+        .skip(skip)
+        .limit(limit)
+        .populate('job', 'title company location')
+        .populate('user', 'name email')
+        .lean(),
+      Application.countDocuments(filter)
+    ]);
+
+    return { applications, total };
+  }
+});
+
+module.exports = createMongoCandidateSearch;
@@ -0,0 +1,82 @@
+// HTTP errors thrown from route handlers. The error middleware (middleware/errorHandler.js)
+// turns them into the usual { success: false, message } response; `details`
+// are merged into the body (e.g. the allowed transitions on a 409).
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message = 'Bad request', details) {
+    super(400, message, details);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Not authorized', details) {
+    super(401, message, details);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden', details) {
+    super(403, message, details);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found', details) {
+    super(404, message, details);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = 'Conflict', details) {
+    super(409, message, details);
+  }
+}
+
+// `retryAfter` (seconds) is sent as the Retry-After header
+class TooManyRequestsError extends HttpError {
+  constructor(message = 'Too many requests', retryAfter, details) {
+    super(429, message, { retryAfter, ...details });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Field-level failures in the validation envelope, for checks that can only
+ * run in the handler (e.g. answers to a job's screening questions).
+ * `errors` are { location, field, message, malformed }.
+ */
+class RequestValidationError extends HttpError {
+  constructor(errors) {
+    super(errors.some(error => error.malformed) ? 400 : 422, errors.map(error => error.message).join(', '));
+    this.errors = errors;
+  }
+}
+
+/**
+ * Forward rejections from an async handler or middleware to `next`, so
+ * handlers can throw instead of catching and answering every error.
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  RequestValidationError,
+  asyncHandler
+};
@@ -0,0 +1,41 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+// Application-wide event bus. Routes emit domain events after a change is
+// persisted; subscribers (notifications, analytics, ...) react to them.
+const appEvents = new EventEmitter();
+
+const EVENTS = {
+  APPLICATION_CREATED: 'application:created',
+  APPLICATION_STATUS_CHANGED: 'application:statusChanged',
+  RESUME_UPLOADED: 'resume:uploaded',
+  // Payload: { job, actor }; the job has stopped taking applications
+  JOB_CLOSED: 'job:closed',
+  // Payload: { interview, action, actor, previousSlot? }; action is one of
+  // proposed, scheduled, declined, cancelled or reminder
+  INTERVIEW_UPDATED: 'interview:updated',
+  MESSAGE_CREATED: 'message:created',
+  MESSAGES_READ: 'message:read',
+  // Payload: { userId, reason }; every session of the user was revoked
+  // (log out everywhere, password reset, deactivation or suspension)
+  SESSIONS_REVOKED: 'user:sessionsRevoked'
+};
+
+// Register an async listener whose failures are logged instead of becoming
+// unhandled rejections
+const subscribe = (event, handler) => {
+  appEvents.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => logger.error('Error handling event', { error, event }));
+  });
+};
+
+const emit = (event, payload) => appEvents.emit(event, payload);
+
+module.exports = {
+  EVENTS,
+  appEvents,
+  subscribe,
+  emit
+};
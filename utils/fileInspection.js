@@ -0,0 +1,103 @@
+const path = require('path');
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// OLE2 directory entry names are stored as UTF-16LE
+const utf16 = (value) => Buffer.from(value, 'utf16le');
+
+const contains = (buffer, needle) => buffer.indexOf(needle) !== -1;
+
+class FileRejectedError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'FileRejectedError';
+    this.reason = reason;
+  }
+}
+
+// Identify PDF, DOC and DOCX files from their content rather than their name
+const detectFileType = (buffer) => {
+  if (buffer.subarray(0, 1024).indexOf(PDF_SIGNATURE) !== -1) {
+    return 'pdf';
+  }
+
+  if (buffer.subarray(0, OLE2_SIGNATURE.length).equals(OLE2_SIGNATURE)) {
+    // Encrypted OOXML documents are wrapped in an OLE2 container
+    if (contains(buffer, utf16('EncryptedPackage'))) return 'encrypted-ooxml';
+    return 'doc';
+  }
+
+  if (buffer.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+    // Entry names are stored uncompressed in the local file headers
+    if (contains(buffer, Buffer.from('[Content_Types].xml')) && contains(buffer, Buffer.from('word/'))) {
+      return 'docx';
+    }
+    return 'zip';
+  }
+
+  return null;
+};
+
+// Return a reason string when the document is encrypted or carries active content
+const findUnsafeContent = (type, buffer) => {
+  if (type === 'encrypted-ooxml') {
+    return 'Password-protected documents are not accepted';
+  }
+
+  if (type === 'pdf') {
+    const text = buffer.toString('latin1');
+    if (/\/Encrypt\b/.test(text)) return 'Password-protected or encrypted PDFs are not accepted';
+    if (/\/(JavaScript|JS|Launch|EmbeddedFile)\b/.test(text)) return 'PDFs with scripts or embedded files are not accepted';
+  }
+
+  if (type === 'doc') {
+    if (contains(buffer, utf16('_VBA_PROJECT')) || contains(buffer, utf16('Macros'))) {
+      return 'Documents containing macros are not accepted';
+    }
+    if (contains(buffer, utf16('EncryptionInfo'))) {
+      return 'Password-protected documents are not accepted';
+    }
+  }
+
+  if (type === 'docx') {
+    if (contains(buffer, Buffer.from('vbaProject.bin')) || contains(buffer, Buffer.from('macroEnabled'))) {
+      return 'Documents containing macros are not accepted';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check that an uploaded resume really is the PDF/DOC/DOCX its extension
+ * claims and that it is neither encrypted nor macro-enabled. Throws
+ * FileRejectedError otherwise; returns the detected type.
+ */
+const inspectResume = (buffer, originalName) => {
+  const ext = path.extname(originalName || '').toLowerCase().slice(1);
+  const type = detectFileType(buffer);
+
+  const unsafe = type && findUnsafeContent(type, buffer);
+  if (unsafe) {
+    throw new FileRejectedError(unsafe, 'unsafe-content');
+  }
+
+  if (!['pdf', 'doc', 'docx'].includes(type)) {
+    throw new FileRejectedError('File content is not a valid PDF, DOC or DOCX document', 'invalid-type');
+  }
+
+  if (type !== ext) {
+    throw new FileRejectedError(`File content does not match its .${ext} extension`, 'type-mismatch');
+  }
+
+  return type;
+};
+
+module.exports = {
+  FileRejectedError,
+  detectFileType,
+  findUnsafeContent,
+  inspectResume
+};
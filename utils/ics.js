@@ -0,0 +1,71 @@
+// Minimal iCalendar (RFC 5545) writer for interview invites
+
+const PRODUCT_ID = '-//Job Board//Interviews//EN';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'jobboard.local';
+
+// 20240131T093000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build a calendar containing a single event.
+ * @param {{ uid: string, sequence?: number, start: Date, end: Date, summary: string,
+ *   description?: string, location?: string, url?: string, timezone?: string,
+ *   organizer?: { name: string, email: string },
+ *   attendees?: Array<{ name: string, email: string }>, cancelled?: boolean }} event
+ */
+const buildCalendar = (event) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${event.cancelled ? 'CANCEL' : 'REQUEST'}`,
+    ...(event.timezone ? [`X-WR-TIMEZONE:${event.timezone}`] : []),
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer) {
+    lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name)}:mailto:${event.organizer.email}`);
+  }
+  (event.attendees || []).forEach(attendee => {
+    lines.push(`ATTENDEE;CN=${escapeText(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+  });
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar
+};
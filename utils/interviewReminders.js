@@ -0,0 +1,68 @@
+const Interview = require('../models/interviewModel');
+const { EVENTS, emit } = require('./events');
+const logger = require('./logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Reminders go out this long before a scheduled interview, largest first
+const REMINDER_WINDOWS = [
+  { key: '24h', ms: 24 * 60 * 60 * 1000 },
+  { key: '1h', ms: 60 * 60 * 1000 }
+];
+
+// Send the reminder for the closest window each upcoming interview has
+// entered. Windows are claimed atomically, and claiming a window also
+// claims the larger ones, so an interview booked at short notice does not
+// get a "24h" reminder straight after its "1h" one.
+const sendDueReminders = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + REMINDER_WINDOWS[0].ms);
+  const interviews = await Interview.find({
+    status: 'scheduled',
+    'scheduledSlot.start': { $gt: now, $lte: horizon }
+  })
+    .select('scheduledSlot remindersSent')
+    .lean();
+
+  let sent = 0;
+  for (const interview of interviews) {
+    const remaining = interview.scheduledSlot.start - now;
+    const windowIndex = REMINDER_WINDOWS.map(window => remaining <= window.ms).lastIndexOf(true);
+    const window = REMINDER_WINDOWS[windowIndex];
+    if (interview.remindersSent.includes(window.key)) continue;
+
+    const claimed = await Interview.updateOne(
+      { _id: interview._id, status: 'scheduled', remindersSent: { $ne: window.key } },
+      { $addToSet: { remindersSent: { $each: REMINDER_WINDOWS.slice(0, windowIndex + 1).map(({ key }) => key) } } }
+    );
+    if (claimed.modifiedCount) {
+      emit(EVENTS.INTERVIEW_UPDATED, { interview, action: 'reminder' });
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+// Periodically email reminders for upcoming interviews
+const startInterviewReminderScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const sweep = async () => {
+    try {
+      const sent = await sendDueReminders();
+      if (sent) {
+        logger.info('Sent interview reminders', { count: sent });
+      }
+    } catch (error) {
+      logger.error('Interview reminder sweep failed', { error });
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  REMINDER_WINDOWS,
+  sendDueReminders,
+  startInterviewReminderScheduler
+};
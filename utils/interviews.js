@@ -0,0 +1,49 @@
+const { buildCalendar } = require('./ics');
+
+// "Friday, 1 November 2024 at 14:30 – 15:30 (Asia/Colombo)"
+const formatSlot = (slot, timezone) => {
+  const date = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, dateStyle: 'full' }).format(slot.start);
+  const time = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, timeStyle: 'short' });
+  return `${date} at ${time.format(slot.start)} – ${time.format(slot.end)} (${timezone})`;
+};
+
+// Where to join: the video link, the address or "Phone call"
+const describeVenue = (interview) => {
+  if (interview.mode === 'video') return interview.videoLink || 'Video call (link to follow)';
+  if (interview.mode === 'phone') return 'Phone call';
+  return interview.location;
+};
+
+/**
+ * .ics attachment for a scheduled interview. `interview` must have job,
+ * candidate and interviewers populated with title/company and name/email.
+ */
+const interviewCalendar = (interview, { slot = interview.scheduledSlot, cancelled = false } = {}) => {
+  const [organizer] = interview.interviewers;
+  const content = buildCalendar({
+    uid: `interview-${interview._id}`,
+    sequence: interview.sequence,
+    start: slot.start,
+    end: slot.end,
+    timezone: interview.timezone,
+    summary: `Interview: ${interview.job.title} at ${interview.job.company}`,
+    description: [interview.notes, describeVenue(interview)].filter(Boolean).join('\n\n'),
+    location: describeVenue(interview),
+    url: interview.mode === 'video' ? interview.videoLink : undefined,
+    organizer: organizer && { name: organizer.name, email: organizer.email },
+    attendees: [interview.candidate, ...interview.interviewers].map(({ name, email }) => ({ name, email })),
+    cancelled
+  });
+
+  return {
+    filename: 'interview.ics',
+    content,
+    contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'REQUEST'}`
+  };
+};
+
+module.exports = {
+  formatSlot,
+  describeVenue,
+  interviewCalendar
+};
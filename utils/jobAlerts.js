@@ -0,0 +1,138 @@
+const Job = require('../models/jobModel');
+const SavedSearch = require('../models/savedSearchModel');
+const JobAlertDelivery = require('../models/jobAlertDeliveryModel');
+const { buildJobFilter } = require('./jobSearch');
+const { sendMail } = require('./mailer');
+const templates = require('./mailer/templates');
+const logger = require('./logger');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a search waits between runs; instant searches run every sweep
+const FREQUENCY_MS = {
+  instant: 0,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+
+// Most jobs listed in a single alert email
+const MAX_JOBS_PER_ALERT = 20;
+
+const dueFilter = (now) => ({
+  active: true,
+  $or: Object.entries(FREQUENCY_MS).map(([frequency, ms]) => ({
+    frequency,
+    lastRunAt: { $lte: new Date(now.getTime() - ms) }
+  }))
+});
+
+// Open jobs matching the search, published since it was saved, that the
+// user has not already been sent
+const findNewMatches = async (search, now) => {
+  const delivered = await JobAlertDelivery.find({ user: search.user._id, sentAt: { $gte: search.createdAt } })
+    .distinct('job');
+
+  return Job.find({
+    ...buildJobFilter(search.criteria.toObject()),
+    ...Job.openFilter(now),
+    publishedAt: { $gte: search.createdAt },
+    _id: { $nin: delivered }
+  })
+    .select('title company location')
+    .sort({ publishedAt: -1 })
+    .limit(MAX_JOBS_PER_ALERT)
+    .lean();
+};
+
+// Record deliveries before sending; a job another search (or another
+// server) already claimed for this user is dropped from the email
+const claimJobs = async (search, jobs) => {
+  const claimed = [];
+  for (const job of jobs) {
+    try {
+      await JobAlertDelivery.create({ user: search.user._id, job: job._id, savedSearch: search._id });
+      claimed.push(job);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return claimed;
+};
+
+/**
+ * Evaluate one saved search and email any new matches. Deliveries are
+ * released again if the email cannot be sent, so the next run retries.
+ */
+const runSavedSearch = async (search, now = new Date()) => {
+  const { user } = search;
+  if (!user || user.disabledAt || user.suspendedAt) {
+    search.lastRunAt = now;
+    return search.save();
+  }
+
+  const jobs = await claimJobs(search, await findNewMatches(search, now));
+
+  if (jobs.length) {
+    try {
+      await sendMail({
+        to: user.email,
+        ...templates.jobAlertDigest({
+          name: user.name,
+          searchName: search.name,
+          jobs,
+          unsubscribeToken: search.unsubscribeToken
+        })
+      });
+    } catch (error) {
+      await JobAlertDelivery.deleteMany({ user: user._id, job: { $in: jobs.map(job => job._id) } });
+      throw error;
+    }
+    search.lastSentAt = now;
+  }
+
+  search.lastRunAt = now;
+  return search.save();
+};
+
+// Periodically run due saved searches: instant ones every sweep, daily and
+// weekly ones once their period has passed since the previous run
+const startJobAlertScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const now = new Date();
+      const searches = SavedSearch.find(dueFilter(now))
+        .select('+unsubscribeToken')
+        .populate('user', 'name email disabledAt suspendedAt')
+        .cursor();
+
+      for await (const search of searches) {
+        try {
+          await runSavedSearch(search, now);
+        } catch (error) {
+          logger.error('Job alert failed', { error, savedSearchId: search._id.toString() });
+        }
+      }
+    } catch (error) {
+      logger.error('Job alert sweep failed', { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_JOBS_PER_ALERT,
+  runSavedSearch,
+  startJobAlertScheduler
+};
@@ -0,0 +1,26 @@
+const Job = require('../models/jobModel');
+const logger = require('./logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Periodically mark open jobs past their `expiresAt` as expired. Listings
+// also filter on `expiresAt`, so a job stops showing even between sweeps.
+const startJobExpiryScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const sweep = async () => {
+    try {
+      const result = await Job.expireDue();
+      if (result.modifiedCount) {
+        logger.info('Expired job postings', { count: result.modifiedCount });
+      }
+    } catch (error) {
+      logger.error('Job expiry sweep failed', { error });
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startJobExpiryScheduler };
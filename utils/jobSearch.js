@@ -0,0 +1,125 @@
+const { ANNUAL_MULTIPLIER } = require('./salary');
+const { normalizeSkills } = require('./skills');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  applications: { applicationCount: -1, createdAt: -1, _id: -1 },
+  salary: { 'salary.annualMax': -1, createdAt: -1, _id: -1 }
+};
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept both repeated params (?skills=a&skills=b) and comma lists (?skills=a,b)
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Build the Mongo filter for a job listing query
+const buildJobFilter = (query = {}) => {
+  const filter = {};
+
+  const keyword = typeof query.q === 'string' ? query.q.trim() : '';
+  if (keyword) {
+    filter.$text = { $search: keyword };
+  }
+
+  const jobTypes = toList(query.jobType);
+  if (jobTypes.length) {
+    filter.jobType = { $in: jobTypes };
+  }
+
+  if (typeof query.location === 'string' && query.location.trim()) {
+    filter.location = { $regex: escapeRegex(query.location.trim()), $options: 'i' };
+  }
+
+  // Skills are compared in canonical form so "JS" finds "JavaScript"
+  const skills = normalizeSkills(toList(query.skills || query.skillsRequired));
+  if (skills.length) {
+    filter.normalizedSkills = query.skillsMatch === 'all'
+      ? { $all: skills }
+      : { $in: skills };
+  }
+
+  const postedAfter = parseDate(query.postedAfter);
+  const postedBefore = parseDate(query.postedBefore);
+  const postedWithinDays = parseInt(query.postedWithin, 10);
+
+  if (postedAfter || postedBefore || postedWithinDays > 0) {
+    filter.createdAt = {};
+    if (postedAfter) filter.createdAt.$gte = postedAfter;
+    if (postedWithinDays > 0) {
+      const since = new Date(Date.now() - postedWithinDays * 24 * 60 * 60 * 1000);
+      if (!filter.createdAt.$gte || since > filter.createdAt.$gte) {
+        filter.createdAt.$gte = since;
+      }
+    }
+    if (postedBefore) filter.createdAt.$lte = postedBefore;
+  }
+
+  // Salary bounds are compared against the normalized annual range, so a
+  // salaryMin/salaryMax may be expressed per hour or month via salaryPeriod
+  const multiplier = ANNUAL_MULTIPLIER[query.salaryPeriod] || 1;
+  const salaryMin = parseFloat(query.salaryMin);
+  const salaryMax = parseFloat(query.salaryMax);
+
+  if (!isNaN(salaryMin)) {
+    filter['salary.annualMax'] = { $gte: salaryMin * multiplier };
+  }
+  if (!isNaN(salaryMax)) {
+    filter['salary.annualMin'] = { $lte: salaryMax * multiplier };
+  }
+
+  if (typeof query.currency === 'string' && query.currency.trim()) {
+    filter['salary.currency'] = query.currency.trim().toUpperCase();
+  }
+
+  return filter;
+};
+
+// Resolve the sort order; keyword searches default to relevance
+const buildJobSort = (query = {}, filter = {}) => {
+  const sortKey = query.sort || (filter.$text ? 'relevance' : 'newest');
+
+  if (sortKey === 'relevance') {
+    if (!filter.$text) return SORT_OPTIONS.newest;
+    return { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 };
+  }
+
+  return SORT_OPTIONS[sortKey] || null;
+};
+
+const parsePagination = (query = {}) => {
+  let page = parseInt(query.page, 10);
+  let limit = parseInt(query.limit, 10);
+
+  if (!(page > 0)) page = 1;
+  if (!(limit > 0)) limit = DEFAULT_PAGE_SIZE;
+  limit = Math.min(limit, MAX_PAGE_SIZE);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  escapeRegex,
+  toList,
+  buildJobFilter,
+  buildJobSort,
+  parsePagination
+};
@@ -0,0 +1,67 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logging: one object per line with the time, level,
+// message and any fields. Inside a request the request ID is added
+// automatically, so entries from routes, models and event handlers can be
+// correlated with the access log and the X-Request-Id response header.
+//
+// LOG_LEVEL: error, warn, info (default), debug or silent
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+
+const context = new AsyncLocalStorage();
+
+const configuredLevel = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()];
+const threshold = configuredLevel === undefined ? LEVELS.info : configuredLevel;
+
+const enabled = (level) => LEVELS[level] <= threshold;
+
+// Errors do not serialise to JSON on their own
+const serialize = (value) => {
+  if (!(value instanceof Error)) return value;
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.code !== undefined ? { code: value.code } : {}),
+    stack: value.stack
+  };
+};
+
+const write = (level, message, fields = {}) => {
+  if (!enabled(level)) return;
+
+  const store = context.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...(store && store.requestId ? { requestId: store.requestId } : {})
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+/**
+ * Run `fn` with `store` (e.g. { requestId }) as the logging context for
+ * everything it calls, including async work it starts.
+ */
+const runWithContext = (store, fn) => context.run(store, fn);
+
+const currentRequestId = () => {
+  const store = context.getStore();
+  return store ? store.requestId : undefined;
+};
+
+module.exports = {
+  LEVELS,
+  error: (message, fields) => write('error', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  debug: (message, fields) => write('debug', message, fields),
+  runWithContext,
+  currentRequestId
+};
@@ -0,0 +1,35 @@
+const createConsoleTransport = require('./transports/consoleTransport');
+const createFileTransport = require('./transports/fileTransport');
+const createSmtpTransport = require('./transports/smtpTransport');
+const { createRegistry } = require('../registry');
+
+// The transport named by MAIL_TRANSPORT (console, file or smtp)
+const transport = createRegistry({
+  envVar: 'MAIL_TRANSPORT',
+  defaultName: 'console',
+  drivers: {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    smtp: createSmtpTransport
+  }
+});
+
+const getTransport = transport.get;
+
+// Swap in a custom transport, e.g. an in-memory one for tests
+const setTransport = transport.set;
+
+/**
+ * Send an email through the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string, attachments?: Array }} message
+ */
+const sendMail = (message) => getTransport().send({
+  from: process.env.MAIL_FROM || 'Job Board <no-reply@jobboard.local>',
+  ...message
+});
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport
+};
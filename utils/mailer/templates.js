@@ -0,0 +1,158 @@
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const link = (pathname, token) => `${CLIENT_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+// Each template returns the subject, text and html parts of a message
+const emailVerification = ({ name, token }) => {
+  const url = link('/verify-email', token);
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${name},\n\nPlease confirm your email address by opening this link:\n${url}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${url}">${url}</a></p><p>The link expires in 24 hours.</p>`
+  };
+};
+
+const passwordReset = ({ name, token }) => {
+  const url = link('/reset-password', token);
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${url}\n\nThe link expires in 1 hour. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>We received a request to reset your password. Open this link to choose a new one:</p><p><a href="${url}">${url}</a></p><p>The link expires in 1 hour. If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+const applicationReceived = ({ name, applicantName, jobTitle, applicationId }) => {
+  const url = `${CLIENT_URL}/company/applications/${applicationId}`;
+  return {
+    subject: `New application for ${jobTitle}`,
+    text: `Hi ${name},\n\n${applicantName} has applied for ${jobTitle}.\n\nReview the application:\n${url}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>${escapeHtml(applicantName)} has applied for <strong>${escapeHtml(jobTitle)}</strong>.</p><p><a href="${url}">Review the application</a></p>`
+  };
+};
+
+const applicationStatusChanged = ({ name, jobTitle, company, status }) => {
+  const url = `${CLIENT_URL}/my-applications`;
+  return {
+    subject: `Update on your application for ${jobTitle}`,
+    text: `Hi ${name},\n\nThe status of your application for ${jobTitle} at ${company} is now: ${status}.\n\nView your applications:\n${url}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>The status of your application for <strong>${escapeHtml(jobTitle)}</strong> at ${escapeHtml(company)} is now: <strong>${escapeHtml(status)}</strong>.</p><p><a href="${url}">View your applications</a></p>`
+  };
+};
+
+const jobClosed = ({ name, jobTitle, company }) => {
+  const url = `${CLIENT_URL}/my-applications`;
+  return {
+    subject: `${jobTitle} is no longer accepting applications`,
+    text: `Hi ${name},\n\n${company} has closed the ${jobTitle} posting. Your application stays on file and you will hear from them if it moves forward.\n\nView your applications:\n${url}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>${escapeHtml(company)} has closed the <strong>${escapeHtml(jobTitle)}</strong> posting. Your application stays on file and you will hear from them if it moves forward.</p><p><a href="${url}">View your applications</a></p>`
+  };
+};
+
+const organizationInvitation = ({ inviterName, organizationName, role, token }) => {
+  const url = link('/invitations/accept', token);
+  return {
+    subject: `You're invited to join ${organizationName}`,
+    text: `${inviterName} has invited you to join ${organizationName} as ${role}.\n\nAccept the invitation:\n${url}\n\nThe invitation expires in 7 days.`,
+    html: `<p>${escapeHtml(inviterName)} has invited you to join <strong>${escapeHtml(organizationName)}</strong> as ${escapeHtml(role)}.</p><p><a href="${url}">Accept the invitation</a></p><p>The invitation expires in 7 days.</p>`
+  };
+};
+
+// Interview templates take preformatted times (see utils/interviews.js)
+const interviewLink = interviewId => `${CLIENT_URL}/interviews/${interviewId}`;
+
+const interviewProposed = ({ name, proposerName, jobTitle, slots, interviewId }) => {
+  const url = interviewLink(interviewId);
+  return {
+    subject: `Interview times proposed for ${jobTitle}`,
+    text: `Hi ${name},\n\n${proposerName} has proposed the following interview times for ${jobTitle}:\n\n${slots.map(slot => `- ${slot}`).join('\n')}\n\nPick a time or decline:\n${url}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>${escapeHtml(proposerName)} has proposed the following interview times for <strong>${escapeHtml(jobTitle)}</strong>:</p><ul>${slots.map(slot => `<li>${escapeHtml(slot)}</li>`).join('')}</ul><p><a href="${url}">Pick a time or decline</a></p>`
+  };
+};
+
+const interviewScheduled = ({ name, jobTitle, company, when, venue, interviewId }) => {
+  const url = interviewLink(interviewId);
+  return {
+    subject: `Interview confirmed: ${jobTitle} at ${company}`,
+    text: `Hi ${name},\n\nThe interview for ${jobTitle} at ${company} is confirmed for ${when}.\n\nWhere: ${venue}\n\nA calendar invite is attached. Interview details:\n${url}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>The interview for <strong>${escapeHtml(jobTitle)}</strong> at ${escapeHtml(company)} is confirmed for <strong>${escapeHtml(when)}</strong>.</p><p>Where: ${escapeHtml(venue)}</p><p>A calendar invite is attached. <a href="${url}">Interview details</a></p>`
+  };
+};
+
+const interviewDeclined = ({ name, candidateName, jobTitle, reason, interviewId }) => {
+  const url = interviewLink(interviewId);
+  const reasonText = reason ? ` Reason given: ${reason}` : '';
+  return {
+    subject: `Interview declined for ${jobTitle}`,
+    text: `Hi ${name},\n\n${candidateName} declined the proposed interview times for ${jobTitle}.${reasonText}\n\n${url}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>${escapeHtml(candidateName)} declined the proposed interview times for <strong>${escapeHtml(jobTitle)}</strong>.${escapeHtml(reasonText)}</p><p><a href="${url}">View the interview</a></p>`
+  };
+};
+
+const interviewCancelled = ({ name, cancelledByName, jobTitle, when, reason }) => {
+  const whenText = when ? ` on ${when}` : '';
+  const reasonText = reason ? ` Reason given: ${reason}` : '';
+  return {
+    subject: `Interview cancelled: ${jobTitle}`,
+    text: `Hi ${name},\n\n${cancelledByName} cancelled the interview for ${jobTitle}${whenText}.${reasonText}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>${escapeHtml(cancelledByName)} cancelled the interview for <strong>${escapeHtml(jobTitle)}</strong>${escapeHtml(whenText)}.${escapeHtml(reasonText)}</p>`
+  };
+};
+
+const interviewReminder = ({ name, jobTitle, company, when, venue, interviewId }) => {
+  const url = interviewLink(interviewId);
+  return {
+    subject: `Reminder: interview for ${jobTitle} at ${company}`,
+    text: `Hi ${name},\n\nThis is a reminder of the interview for ${jobTitle} at ${company} on ${when}.\n\nWhere: ${venue}\n\n${url}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>This is a reminder of the interview for <strong>${escapeHtml(jobTitle)}</strong> at ${escapeHtml(company)} on <strong>${escapeHtml(when)}</strong>.</p><p>Where: ${escapeHtml(venue)}</p><p><a href="${url}">Interview details</a></p>`
+  };
+};
+
+// `jobs` are lean Job documents; `unsubscribeToken` belongs to the saved search
+const jobAlertDigest = ({ name, searchName, jobs, unsubscribeToken }) => {
+  const unsubscribeUrl = link('/alerts/unsubscribe', unsubscribeToken);
+  const unsubscribeAllUrl = `${unsubscribeUrl}&all=true`;
+  const jobUrl = job => `${CLIENT_URL}/jobs/${job._id}`;
+  const heading = `${jobs.length} new job${jobs.length === 1 ? '' : 's'} for "${searchName}"`;
+
+  return {
+    subject: heading,
+    text: [
+      `Hi ${name},`,
+      '',
+      `${heading}:`,
+      '',
+      ...jobs.map(job => `- ${job.title} at ${job.company} (${job.location})\n  ${jobUrl(job)}`),
+      '',
+      `Stop this alert: ${unsubscribeUrl}`,
+      `Stop all job alerts: ${unsubscribeAllUrl}`
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(name)},</p><p>${escapeHtml(heading)}:</p><ul>${jobs.map(job => `<li><a href="${jobUrl(job)}">${escapeHtml(job.title)}</a> at ${escapeHtml(job.company)} (${escapeHtml(job.location)})</li>`).join('')}</ul><p><a href="${unsubscribeUrl}">Stop this alert</a> · <a href="${escapeHtml(unsubscribeAllUrl)}">Stop all job alerts</a></p>`,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`
+    }
+  };
+};
+
+module.exports = {
+  CLIENT_URL,
+  escapeHtml,
+  emailVerification,
+  passwordReset,
+  applicationReceived,
+  applicationStatusChanged,
+  jobClosed,
+  organizationInvitation,
+  interviewProposed,
+  interviewScheduled,
+  interviewDeclined,
+  interviewCancelled,
+  interviewReminder,
+  jobAlertDigest
+};
@@ -0,0 +1,17 @@
+// Prints outgoing mail to stdout; the default for local development
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log([
+      '--- Outgoing email ---',
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '----------------------'
+    ].join('\n'));
+    return { accepted: [message.to] };
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,30 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+// Writes each message as a JSON file so tests and local tooling can read
+// what would have been sent
+const createFileTransport = ({ directory } = {}) => {
+  const outputDir = directory || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'jobboard-mail');
+
+  return {
+    name: 'file',
+    directory: outputDir,
+    async send(message) {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      const file = path.join(outputDir, `${Date.now()}-${uuidv4()}.json`);
+      const { attachments, ...rest } = message;
+
+      await fs.promises.writeFile(file, JSON.stringify({
+        ...rest,
+        attachments: (attachments || []).map(({ filename, contentType }) => ({ filename, contentType })),
+        sentAt: new Date().toISOString()
+      }, null, 2));
+
+      return { accepted: [message.to], file };
+    }
+  };
+};
+
+module.exports = createFileTransport;
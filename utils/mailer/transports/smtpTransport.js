@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+// Production transport backed by any SMTP server
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS
+} = {}) => {
+  if (!host) {
+    throw new Error('SMTP_HOST must be set to use the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,52 @@
+const { normalizeSkills } = require('./skills');
+
+// Relative weight of each signal in the 0-100 match score
+const WEIGHTS = {
+  skills: 70,
+  jobType: 15,
+  location: 15
+};
+
+const locationMatches = (jobLocation, preferredLocation) => {
+  if (!jobLocation || !preferredLocation) return false;
+  const job = jobLocation.toLowerCase();
+  const preferred = preferredLocation.toLowerCase();
+  return job.includes(preferred) || preferred.includes(job);
+};
+
+/**
+ * Score how well a seeker profile fits a job, from 0 to 100.
+ * Skill coverage is the share of the job's required skills the seeker has;
+ * jobType and location add a bonus when they match the seeker's preferences
+ * (remote jobs match any location).
+ */
+const computeMatch = (job, profile) => {
+  const jobSkills = job.normalizedSkills && job.normalizedSkills.length
+    ? job.normalizedSkills
+    : normalizeSkills(job.skillsRequired);
+  const seekerSkills = new Set(profile && profile.normalizedSkills && profile.normalizedSkills.length
+    ? profile.normalizedSkills
+    : normalizeSkills(profile ? profile.skills : []));
+
+  const matchedSkills = jobSkills.filter(skill => seekerSkills.has(skill));
+  const missingSkills = jobSkills.filter(skill => !seekerSkills.has(skill));
+  const skillCoverage = jobSkills.length ? matchedSkills.length / jobSkills.length : 0;
+
+  const desiredJobTypes = (profile && profile.desiredJobTypes) || [];
+  const jobTypeMatch = desiredJobTypes.includes(job.jobType);
+  const locationMatch = job.jobType === 'remote' ||
+    locationMatches(job.location, profile && profile.location);
+
+  const score = Math.round(
+    skillCoverage * WEIGHTS.skills +
+    (jobTypeMatch ? WEIGHTS.jobType : 0) +
+    (locationMatch ? WEIGHTS.location : 0)
+  );
+
+  return { score, matchedSkills, missingSkills, jobTypeMatch, locationMatch };
+};
+
+module.exports = {
+  WEIGHTS,
+  computeMatch
+};
@@ -0,0 +1,98 @@
+const Application = require('../models/applicationModel');
+const { EVENTS, subscribe } = require('./events');
+const { jobMemberIds } = require('./orgAccess');
+
+const HEARTBEAT_MS = 25 * 1000;
+// Longest delay setTimeout accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Open Server-Sent Event connections by user ID, each as { res, end }.
+// Connections live in this process only; with several API instances,
+// clients that miss an event catch up by polling the thread.
+const streams = new Map();
+
+/**
+ * Turn `res` into an SSE stream for `userId`. The connection is kept open
+ * with comment heartbeats and dropped when the client disconnects. The
+ * server ends it with an `end` event once `expiresAt` (the access token's
+ * expiry) passes or the user's sessions are revoked.
+ */
+const openStream = (req, res, { userId, expiresAt }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${HEARTBEAT_MS / 5}\n\n`);
+
+  const key = userId.toString();
+  const stream = {
+    res,
+    end: (reason) => {
+      res.write(`event: end\ndata: ${JSON.stringify({ reason })}\n\n`);
+      res.end();
+    }
+  };
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(stream);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const expiry = expiresAt
+    ? setTimeout(() => stream.end('expired'), Math.min(Math.max(0, expiresAt.getTime() - Date.now()), MAX_TIMER_MS))
+    : null;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    const userStreams = streams.get(key);
+    if (!userStreams) return;
+    userStreams.delete(stream);
+    if (!userStreams.size) streams.delete(key);
+  });
+};
+
+const pushToUsers = (userIds, event, data) => {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  userIds.forEach(userId => {
+    (streams.get(userId.toString()) || []).forEach(({ res }) => res.write(payload));
+  });
+};
+
+// End every stream of `userId`
+const closeStreams = (userId, reason) => {
+  [...(streams.get(userId.toString()) || [])].forEach(stream => stream.end(reason));
+};
+
+// The applicant plus every company user who can view the job
+const threadParticipants = async (applicationId) => {
+  const application = await Application.findById(applicationId)
+    .select('user job')
+    .populate('job', 'postedBy organization')
+    .lean();
+  if (!application || !application.job) return [];
+
+  return [application.user, ...(await jobMemberIds(application.job, 'view'))];
+};
+
+// Forward message events to connected participants
+const registerMessageStream = () => {
+  subscribe(EVENTS.MESSAGE_CREATED, async ({ message }) => {
+    if (!streams.size) return;
+    pushToUsers(await threadParticipants(message.application), 'message', message);
+  });
+
+  subscribe(EVENTS.MESSAGES_READ, async ({ application, reader, readAt, count }) => {
+    if (!streams.size) return;
+    pushToUsers(await threadParticipants(application), 'read', { application, reader, readAt, count });
+  });
+
+  // A stream must not outlive the sessions that could have opened it
+  subscribe(EVENTS.SESSIONS_REVOKED, ({ userId }) => closeStreams(userId, 'revoked'));
+};
+
+module.exports = {
+  openStream,
+  registerMessageStream
+};
@@ -0,0 +1,160 @@
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const Interview = require('../models/interviewModel');
+const Application = require('../models/applicationModel');
+const { EVENTS, subscribe } = require('./events');
+const { sendMail } = require('./mailer');
+const templates = require('./mailer/templates');
+const { formatSlot, describeVenue, interviewCalendar } = require('./interviews');
+const { workflow } = require('./applicationWorkflow');
+const { jobMemberIds } = require('./orgAccess');
+const logger = require('./logger');
+
+// Deliver one notification to a user, honouring their per-event preferences
+const notify = async (userId, type, { title, message, data, email }) => {
+  const user = await User.findById(userId).select('name email notificationPreferences disabledAt suspendedAt');
+  if (!user || user.disabledAt || user.suspendedAt) return;
+
+  const preferences = (user.notificationPreferences && user.notificationPreferences[type]) || {};
+
+  if (preferences.inApp !== false) {
+    await Notification.create({ user: user._id, type, title, message, data });
+  }
+
+  if (email && preferences.email !== false) {
+    try {
+      await sendMail({ to: user.email, ...email(user) });
+    } catch (error) {
+      logger.error('Failed to send notification email', { error, type, userId: user._id.toString() });
+    }
+  }
+};
+
+// Everyone who can act on the job's applications hears about a new one
+const onApplicationCreated = async ({ application, job, applicant }) => {
+  const recipients = await jobMemberIds(job, 'manage');
+
+  await Promise.all(recipients.map(recipient => notify(recipient, 'applicationReceived', {
+    title: 'New application received',
+    message: `${applicant.name} applied for ${job.title}`,
+    data: { application: application._id, job: job._id },
+    email: (user) => templates.applicationReceived({
+      name: user.name,
+      applicantName: applicant.name,
+      jobTitle: job.title,
+      applicationId: application._id
+    })
+  })));
+};
+
+const onApplicationStatusChanged = async ({ application, job, status }) => {
+  // Applicants are not told about their own withdrawal
+  if (status === 'withdrawn') return;
+
+  await notify(application.user, 'applicationStatusChanged', {
+    title: 'Application status updated',
+    message: `Your application for ${job.title} is now ${status}`,
+    data: { application: application._id, job: job._id },
+    email: (recipient) => templates.applicationStatusChanged({
+      name: recipient.name,
+      jobTitle: job.title,
+      company: job.company,
+      status
+    })
+  });
+};
+
+// Applicants still in the running hear that the job has closed; their
+// applications stay where they are for the company to decide on
+const onJobClosed = async ({ job }) => {
+  const applications = await Application.find({ job: job._id, status: { $nin: workflow.finalStatuses } })
+    .select('user')
+    .lean();
+
+  await Promise.all(applications.map(application => notify(application.user, 'applicationStatusChanged', {
+    title: 'Job closed',
+    message: `${job.title} at ${job.company} is no longer accepting applications`,
+    data: { application: application._id, job: job._id },
+    email: (recipient) => templates.jobClosed({
+      name: recipient.name,
+      jobTitle: job.title,
+      company: job.company
+    })
+  })));
+};
+
+const onInterviewUpdated = async ({ interview, action, actor, previousSlot }) => {
+  const populated = await Interview.findById(interview._id)
+    .populate('job', 'title company')
+    .populate('candidate', 'name email')
+    .populate('interviewers', 'name email')
+    .lean();
+  // The job or the interview may have been deleted before the event is handled
+  if (!populated || !populated.job) return;
+
+  const { job, candidate, interviewers, timezone } = populated;
+  const actorName = actor ? actor.name : 'The company';
+  const others = [candidate, ...interviewers]
+    .filter(participant => !actor || participant._id.toString() !== actor._id.toString());
+  const when = populated.scheduledSlot && populated.scheduledSlot.start
+    ? formatSlot(populated.scheduledSlot, timezone)
+    : null;
+  const details = { jobTitle: job.title, company: job.company, venue: describeVenue(populated), interviewId: populated._id };
+
+  // A previously confirmed time that no longer stands is withdrawn from calendars
+  const cancellation = previousSlot ? [interviewCalendar(populated, { slot: previousSlot, cancelled: true })] : undefined;
+
+  const deliver = (recipients, title, message, email) => Promise.all(recipients.map(recipient => notify(recipient._id, 'interviewUpdate', {
+    title,
+    message,
+    data: { application: populated.application, job: job._id, interview: populated._id },
+    email
+  })));
+
+  switch (action) {
+    case 'proposed': {
+      // Only the side that has to pick a slot is asked
+      const recipients = populated.proposedBy.role === 'company' ? [candidate] : interviewers;
+      const slots = populated.slots.map(slot => formatSlot(slot, timezone));
+      return deliver(recipients, 'Interview times proposed', `${actorName} proposed interview times for ${job.title}`, recipient => ({
+        ...templates.interviewProposed({ name: recipient.name, proposerName: actorName, jobTitle: job.title, slots, interviewId: populated._id }),
+        attachments: cancellation
+      }));
+    }
+    case 'scheduled':
+      return deliver([candidate, ...interviewers], 'Interview confirmed', `Interview for ${job.title} confirmed for ${when}`, recipient => ({
+        ...templates.interviewScheduled({ name: recipient.name, when, ...details }),
+        attachments: [interviewCalendar(populated)]
+      }));
+    case 'declined':
+      return deliver(interviewers, 'Interview declined', `${candidate.name} declined the interview for ${job.title}`, recipient => (
+        templates.interviewDeclined({ name: recipient.name, candidateName: candidate.name, jobTitle: job.title, reason: populated.declineReason, interviewId: populated._id })
+      ));
+    case 'cancelled': {
+      const previousWhen = previousSlot ? formatSlot(previousSlot, timezone) : null;
+      return deliver(others, 'Interview cancelled', `${actorName} cancelled the interview for ${job.title}`, recipient => ({
+        ...templates.interviewCancelled({ name: recipient.name, cancelledByName: actorName, jobTitle: job.title, when: previousWhen, reason: populated.cancelReason }),
+        attachments: cancellation
+      }));
+    }
+    case 'reminder':
+      return deliver([candidate, ...interviewers], 'Upcoming interview', `Interview for ${job.title} on ${when}`, recipient => (
+        templates.interviewReminder({ name: recipient.name, when, ...details })
+      ));
+    default:
+      return undefined;
+  }
+};
+
+// Wire notification delivery to the application event bus
+const registerNotificationHandlers = () => {
+  subscribe(EVENTS.APPLICATION_CREATED, onApplicationCreated);
+  subscribe(EVENTS.APPLICATION_STATUS_CHANGED, onApplicationStatusChanged);
+  subscribe(EVENTS.JOB_CLOSED, onJobClosed);
+  subscribe(EVENTS.INTERVIEW_UPDATED, onInterviewUpdated);
+};
+
+module.exports = {
+  notify,
+  registerNotificationHandlers
+};
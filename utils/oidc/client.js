@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Accepted ID token clock skew, in seconds
+const CLOCK_TOLERANCE = 60;
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Sign-in failures caused by the provider or the callback, as opposed to
+// bugs; the message is safe to show the user
+class OidcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OidcError';
+  }
+}
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Random values for one sign-in attempt; the verifier's S256 hash is the
+// PKCE challenge sent with the authorization request
+const createTransaction = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    throw new OidcError(`Could not reach the sign-in provider (${error.message})`);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const reason = body && (body.error_description || body.error);
+    throw new OidcError(`Sign-in provider answered ${response.status}${reason ? `: ${reason}` : ''}`);
+  }
+  return body;
+};
+
+/**
+ * OpenID Connect relying party for one provider, using the authorization
+ * code flow with PKCE. Endpoints and signing keys are discovered from
+ * `<issuer>/.well-known/openid-configuration` and cached.
+ */
+const createOidcClient = ({ issuer, clientId, clientSecret, redirectUri, scopes = ['openid', 'email', 'profile'] }) => {
+  const issuerUrl = issuer.replace(/\/$/, '');
+  let metadata = null;
+  let keys = null;
+
+  const discover = async () => {
+    if (!metadata) {
+      const discovered = await fetchJson(`${issuerUrl}/.well-known/openid-configuration`);
+      if (String(discovered.issuer || '').replace(/\/$/, '') !== issuerUrl) {
+        throw new OidcError(`Discovery document is for issuer ${discovered.issuer}, expected ${issuer}`);
+      }
+      metadata = discovered;
+    }
+    return metadata;
+  };
+
+  // Signing key for `kid`, refetching the key set once for rotated keys
+  const signingKey = async (kid) => {
+    const find = () => keys && keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+    if (!find()) {
+      const { jwks_uri: jwksUri } = await discover();
+      keys = (await fetchJson(jwksUri)).keys || [];
+    }
+    const jwk = find();
+    if (!jwk) {
+      throw new OidcError('ID token is signed with an unknown key');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  };
+
+  return {
+    /**
+     * URL to send the browser to. `state` and `nonce` come back in the
+     * callback and the ID token; keep them with the code verifier.
+     */
+    async authorizationUrl({ state, nonce, codeChallenge }) {
+      const { authorization_endpoint: endpoint } = await discover();
+      const url = new URL(endpoint);
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes.join(' '),
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      }).toString();
+      return url.toString();
+    },
+
+    // Redeem an authorization code for the provider's tokens
+    async exchangeCode(code, codeVerifier) {
+      const {
+        token_endpoint: endpoint,
+        token_endpoint_auth_methods_supported: authMethods = ['client_secret_basic']
+      } = await discover();
+
+      const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+        client_id: clientId
+      });
+      const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+      if (clientSecret && authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else if (clientSecret) {
+        form.set('client_secret', clientSecret);
+      }
+
+      const tokens = await fetchJson(endpoint, { method: 'POST', headers, body: form.toString() });
+      if (!tokens.id_token) {
+        throw new OidcError('Sign-in provider did not return an ID token');
+      }
+      return tokens;
+    },
+
+    /**
+     * Verify the ID token's signature, issuer, audience, expiry and nonce,
+     * and return its claims.
+     */
+    async verifyIdToken(idToken, nonce) {
+      const decoded = jwt.decode(idToken, { complete: true });
+      if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+        throw new OidcError('ID token is malformed or uses an unsupported algorithm');
+      }
+
+      let claims;
+      try {
+        claims = jwt.verify(idToken, await signingKey(decoded.header.kid), {
+          algorithms: SUPPORTED_ALGORITHMS,
+          issuer: (await discover()).issuer,
+          audience: clientId,
+          clockTolerance: CLOCK_TOLERANCE
+        });
+      } catch (error) {
+        if (error instanceof OidcError) throw error;
+        throw new OidcError(`ID token rejected: ${error.message}`);
+      }
+
+      if (!nonce || claims.nonce !== nonce) {
+        throw new OidcError('ID token nonce does not match this sign-in');
+      }
+      if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+        throw new OidcError('ID token was issued to another client');
+      }
+      if (!claims.sub) {
+        throw new OidcError('ID token has no subject');
+      }
+      return claims;
+    },
+
+    // Extra profile claims for providers that leave them out of the ID token
+    async userInfo(accessToken, subject) {
+      const { userinfo_endpoint: endpoint } = await discover();
+      if (!endpoint || !accessToken) return {};
+
+      const claims = await fetchJson(endpoint, { headers: { Authorization: `Bearer ${accessToken}` } });
+      if (claims.sub !== subject) {
+        throw new OidcError('User info does not belong to the signed-in subject');
+      }
+      return claims;
+    },
+
+    /**
+     * Redeem the callback's code and return the verified claims of the
+     * signed-in user (sub, email, email_verified, name, ...).
+     */
+    async redeemCode(code, { codeVerifier, nonce }) {
+      const tokens = await this.exchangeCode(code, codeVerifier);
+      const claims = await this.verifyIdToken(tokens.id_token, nonce);
+      if (claims.email) return claims;
+      return { ...(await this.userInfo(tokens.access_token, claims.sub)), ...claims };
+    }
+  };
+};
+
+module.exports = {
+  OidcError,
+  createTransaction,
+  fetchJson,
+  createOidcClient
+};
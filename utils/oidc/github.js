@@ -0,0 +1,86 @@
+const { OidcError, fetchJson } = require('./client');
+
+/**
+ * Sign-in with GitHub, which speaks plain OAuth 2.0 rather than OpenID
+ * Connect: there is no discovery, ID token or nonce, so the user is read
+ * from the REST API with the access token instead. The code is still
+ * bound to the sign-in by `state` and PKCE. Exposes the same interface as
+ * createOidcClient; `url` and `apiUrl` point it at GitHub Enterprise.
+ */
+const createGitHubClient = ({
+  clientId,
+  clientSecret,
+  redirectUri,
+  scopes = ['read:user', 'user:email'],
+  url = 'https://github.com',
+  apiUrl = 'https://api.github.com'
+}) => {
+  const baseUrl = url.replace(/\/$/, '');
+  const api = (path, accessToken) => fetchJson(`${apiUrl.replace(/\/$/, '')}${path}`, {
+    headers: {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${accessToken}`,
+      'X-GitHub-Api-Version': '2022-11-28'
+    }
+  });
+
+  return {
+    async authorizationUrl({ state, codeChallenge }) {
+      const authorizeUrl = new URL(`${baseUrl}/login/oauth/authorize`);
+      authorizeUrl.search = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes.join(' '),
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        allow_signup: 'true'
+      }).toString();
+      return authorizeUrl.toString();
+    },
+
+    async exchangeCode(code, codeVerifier) {
+      const tokens = await fetchJson(`${baseUrl}/login/oauth/access_token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({
+          client_id: clientId,
+          client_secret: clientSecret || '',
+          code,
+          redirect_uri: redirectUri,
+          code_verifier: codeVerifier
+        }).toString()
+      });
+      // GitHub reports a bad code or verifier as a 200 with an error field
+      if (tokens.error || !tokens.access_token) {
+        throw new OidcError(`Sign-in provider refused the code: ${tokens.error_description || tokens.error || 'no access token'}`);
+      }
+      return tokens;
+    },
+
+    /**
+     * The user as OpenID Connect-style claims. `sub` is the numeric account
+     * ID, which survives renames; the email is the primary address if it
+     * is verified, otherwise the first verified one.
+     */
+    async redeemCode(code, { codeVerifier }) {
+      const { access_token: accessToken } = await this.exchangeCode(code, codeVerifier);
+      const [profile, emails] = await Promise.all([api('/user', accessToken), api('/user/emails', accessToken)]);
+      if (!profile.id) {
+        throw new OidcError('GitHub did not return the signed-in user');
+      }
+
+      const verified = (Array.isArray(emails) ? emails : []).filter(entry => entry.verified);
+      const email = verified.find(entry => entry.primary) || verified[0];
+      return {
+        sub: String(profile.id),
+        email: email ? email.email : undefined,
+        email_verified: Boolean(email),
+        name: profile.name || profile.login,
+        preferred_username: profile.login
+      };
+    }
+  };
+};
+
+module.exports = { createGitHubClient };
@@ -0,0 +1,78 @@
+const { OidcError, createTransaction, createOidcClient } = require('./client');
+const { createGitHubClient } = require('./github');
+
+// Defaults for well-known providers; any other OpenID Connect provider
+// (including a local mock issuer) only needs its OIDC_<ID>_ISSUER. GitHub
+// is not an OpenID Connect provider and has its own client.
+const PRESETS = {
+  google: { name: 'Google', issuer: 'https://accounts.google.com' },
+  linkedin: { name: 'LinkedIn', issuer: 'https://www.linkedin.com/oauth' },
+  github: { name: 'GitHub', type: 'github' }
+};
+
+const CLIENT_FACTORIES = {
+  oidc: createOidcClient,
+  github: createGitHubClient
+};
+
+const clients = new Map();
+
+// OIDC_<ID>_<SETTING>, e.g. OIDC_GOOGLE_CLIENT_ID
+const setting = (id, name) => process.env[`OIDC_${id.toUpperCase()}_${name}`];
+
+/**
+ * Providers enabled with OIDC_PROVIDERS (comma-separated IDs, e.g.
+ * "google,linkedin,github"). Each needs OIDC_<ID>_CLIENT_ID and usually
+ * OIDC_<ID>_CLIENT_SECRET; OIDC_<ID>_ISSUER, OIDC_<ID>_NAME and
+ * OIDC_<ID>_SCOPES override the preset. OIDC_GITHUB_URL and
+ * OIDC_GITHUB_API_URL point GitHub at a GitHub Enterprise server.
+ * Callbacks are served at <OIDC_REDIRECT_BASE_URL>/api/auth/oidc/<id>/callback.
+ */
+const providerConfigs = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(id => /^[a-z\d]+$/.test(id))
+  .map(id => {
+    const preset = PRESETS[id] || {};
+    const baseUrl = (process.env.OIDC_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    return {
+      id,
+      type: preset.type || 'oidc',
+      name: setting(id, 'NAME') || preset.name || id,
+      issuer: setting(id, 'ISSUER') || preset.issuer,
+      url: setting(id, 'URL') || undefined,
+      apiUrl: setting(id, 'API_URL') || undefined,
+      clientId: setting(id, 'CLIENT_ID'),
+      clientSecret: setting(id, 'CLIENT_SECRET'),
+      scopes: setting(id, 'SCOPES') ? setting(id, 'SCOPES').split(/[\s,]+/).filter(Boolean) : undefined,
+      redirectUri: `${baseUrl}/api/auth/oidc/${id}/callback`
+    };
+  })
+  .filter(config => (config.type !== 'oidc' || config.issuer) && config.clientId);
+
+// Enabled providers as shown on the login page
+const listProviders = () => providerConfigs().map(({ id, name }) => ({ id, name }));
+
+// The client for provider `id`, or null when it is not enabled
+const getProvider = (id) => {
+  if (clients.has(id)) return clients.get(id);
+
+  const config = providerConfigs().find(provider => provider.id === id);
+  if (!config) return null;
+
+  clients.set(id, { ...config, client: CLIENT_FACTORIES[config.type](config) });
+  return clients.get(id);
+};
+
+// Register a provider ({ id, name, client }) directly, e.g. in tests
+const setProvider = (id, provider) => {
+  clients.set(id, provider);
+};
+
+module.exports = {
+  OidcError,
+  createTransaction,
+  listProviders,
+  getProvider,
+  setProvider
+};
@@ -0,0 +1,75 @@
+const Organization = require('../models/organizationModel');
+
+// What each organization role may do
+const PERMISSIONS = {
+  view: ['owner', 'admin', 'recruiter', 'viewer'],
+  manage: ['owner', 'admin', 'recruiter'],
+  members: ['owner', 'admin'],
+  owner: ['owner']
+};
+
+const hasPermission = (role, permission) => Boolean(role) && PERMISSIONS[permission].includes(role);
+
+// IDs of the organizations in which the user holds `permission`
+const organizationIdsFor = async (userId, permission = 'view') => {
+  const organizations = await Organization.find({
+    members: { $elemMatch: { user: userId, role: { $in: PERMISSIONS[permission] } } }
+  }).select('_id').lean();
+
+  return organizations.map(org => org._id);
+};
+
+/**
+ * Mongo filter for the jobs a company user can act on: jobs belonging to an
+ * organization where they hold `permission`, plus jobs they posted
+ * themselves that are not attached to any organization.
+ */
+const jobAccessFilter = async (user, permission = 'view') => {
+  const organizationIds = await organizationIdsFor(user._id, permission);
+
+  return {
+    $or: [
+      { organization: { $in: organizationIds } },
+      { organization: null, postedBy: user._id }
+    ]
+  };
+};
+
+// Whether `user` holds `permission` on a single job document
+const canAccessJob = async (user, job, permission = 'view') => {
+  if (!job) return false;
+
+  const organizationId = job.organization && (job.organization._id || job.organization);
+  if (!organizationId) {
+    const postedBy = job.postedBy && (job.postedBy._id || job.postedBy);
+    return Boolean(postedBy) && postedBy.toString() === user._id.toString();
+  }
+
+  const organization = await Organization.findById(organizationId).select('members');
+  return Boolean(organization) && hasPermission(organization.memberRole(user._id), permission);
+};
+
+// IDs of every user holding `permission` on a job: the organization's
+// members with that permission, or the poster of a job with no organization
+const jobMemberIds = async (job, permission = 'view') => {
+  const organizationId = job.organization && (job.organization._id || job.organization);
+  if (!organizationId) {
+    const postedBy = job.postedBy && (job.postedBy._id || job.postedBy);
+    return postedBy ? [postedBy] : [];
+  }
+
+  const organization = await Organization.findById(organizationId).select('members').lean();
+  if (!organization) return [];
+  return organization.members
+    .filter(member => hasPermission(member.role, permission))
+    .map(member => member.user);
+};
+
+module.exports = {
+  PERMISSIONS,
+  hasPermission,
+  organizationIdsFor,
+  jobAccessFilter,
+  canAccessJob,
+  jobMemberIds
+};
@@ -0,0 +1,35 @@
+const createMemoryStore = require('./memoryStore');
+const createRedisStore = require('./redisStore');
+const { createRegistry } = require('../registry');
+
+/**
+ * The rate-limit store named by RATE_LIMIT_STORE (memory or redis). Every
+ * store exposes `increment(key, windowMs)` resolving to `{ count, resetAt }`
+ * for the current window, and `reset(key)`; stores backed by a server also
+ * have `connect()` and `close()`.
+ */
+const store = createRegistry({
+  envVar: 'RATE_LIMIT_STORE',
+  defaultName: 'memory',
+  drivers: {
+    memory: createMemoryStore,
+    redis: createRedisStore
+  }
+});
+
+// Open the configured store's connection, if it has one. Rejects when the
+// store is unreachable or refuses the credentials, so startup can stop.
+const connectRateLimitStore = async () => {
+  const active = store.get();
+  if (active.connect) {
+    await active.connect();
+  }
+  return active;
+};
+
+module.exports = {
+  connectRateLimitStore,
+  getRateLimitStore: store.get,
+  // Swap in a different store, e.g. one backed by an existing Redis client
+  setRateLimitStore: store.set
+};
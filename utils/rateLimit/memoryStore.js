@@ -0,0 +1,40 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Fixed-window counters kept in process memory. Fine for a single
+ * instance; run several instances against the redis store instead so they
+ * share their counts.
+ */
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop expired windows so idle keys do not pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
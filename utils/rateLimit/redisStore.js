@@ -0,0 +1,82 @@
+const { createClient } = require('redis');
+const logger = require('../logger');
+
+// Increment the window's counter, starting its expiry on the first hit, and
+// return the count with the milliseconds left in the window
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`;
+
+// Longest pause between reconnection attempts once the store has been up
+const MAX_RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Fixed-window counters shared through Redis (or any server speaking its
+ * protocol, such as Valkey, KeyDB or Dragonfly), so every instance of the
+ * API enforces the same limits. Connects to REDIS_URL, e.g.
+ * redis://:password@localhost:6379/0.
+ *
+ * `connect()` must succeed before the store is used; it rejects when the
+ * server is unreachable or refuses the credentials or database. After that,
+ * lost connections are retried in the background and commands fail fast
+ * (rather than queue) until the server is back.
+ */
+const createRedisStore = ({
+  url = process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+  prefix = process.env.RATE_LIMIT_PREFIX || 'ratelimit:',
+  timeout = Number(process.env.REDIS_TIMEOUT_MS) || 2000
+} = {}) => {
+  let connected = false;
+
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    commandOptions: { timeout },
+    socket: {
+      connectTimeout: timeout,
+      // Give up at once on the first connection so startup reports the cause
+      reconnectStrategy: (retries, cause) => (connected ? Math.min(retries * 100, MAX_RECONNECT_DELAY_MS) : cause)
+    }
+  });
+
+  client.on('error', (error) => {
+    if (connected) logger.error('Redis rate limit store error', { error });
+  });
+  client.on('ready', () => {
+    if (connected) logger.info('Redis rate limit store reconnected');
+  });
+
+  return {
+    name: 'redis',
+
+    async connect() {
+      await client.connect();
+      connected = true;
+    },
+
+    async close() {
+      connected = false;
+      if (client.isOpen) await client.close();
+    },
+
+    async increment(key, windowMs) {
+      const [count, ttl] = await client.eval(INCREMENT_SCRIPT, {
+        keys: [`${prefix}${key}`],
+        arguments: [String(windowMs)]
+      });
+      return { count, resetAt: new Date(Date.now() + ttl) };
+    },
+
+    async reset(key) {
+      await client.del(`${prefix}${key}`);
+    }
+  };
+};
+
+module.exports = createRedisStore;
@@ -0,0 +1,28 @@
+/**
+ * Lazily build one implementation out of `drivers`, picked by the
+ * environment variable `envVar` (or `defaultName` when it is unset), and
+ * keep it for later calls. `set` swaps in an instance directly, e.g. a fake
+ * in tests; `set(null)` goes back to resolving from the environment.
+ */
+const createRegistry = ({ envVar, defaultName, drivers }) => {
+  let active = null;
+
+  const get = () => {
+    if (!active) {
+      const name = process.env[envVar] || defaultName;
+      if (!Object.prototype.hasOwnProperty.call(drivers, name)) {
+        throw new Error(`Unknown ${envVar} "${name}". Use one of: ${Object.keys(drivers).join(', ')}`);
+      }
+      active = drivers[name]();
+    }
+    return active;
+  };
+
+  const set = (instance) => {
+    active = instance;
+  };
+
+  return { get, set };
+};
+
+module.exports = { createRegistry };
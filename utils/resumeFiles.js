@@ -0,0 +1,106 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const logger = require('./logger');
+
+// Resume formats the API accepts, by extension
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Stored uploads are named resume-<uuid><extension> (see fileUpload.js);
+// older ones are resume-<timestamp>-<random><extension>
+const STORED_FILE_NAME = /^resume-([\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}|\d+-\d+)\.(pdf|docx?)$/i;
+
+const isStoredFileName = (filename) => typeof filename === 'string' && STORED_FILE_NAME.test(filename);
+
+const contentTypeFor = (filename) => (
+  CONTENT_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream'
+);
+
+// Delete a stored resume; a file that is already gone is not an error
+const removeResumeFile = async (filename) => {
+  if (!filename) return;
+
+  try {
+    await getStorage().remove(filename);
+  } catch (error) {
+    logger.error('Failed to remove resume file', { error, filename });
+  }
+};
+
+// Copy a stored resume to a new key and return the new filename
+const copyResumeFile = async (filename) => {
+  const copy = `resume-${uuidv4()}${path.extname(filename).toLowerCase()}`;
+  await getStorage().copy(filename, copy);
+  return copy;
+};
+
+/**
+ * Content-Disposition value for a download (RFC 6266): a plain ASCII
+ * `filename` for old clients plus the full UTF-8 name in `filename*`.
+ * Quotes, backslashes, control characters and path separators never make
+ * it into the header.
+ */
+const contentDisposition = (name, disposition = 'inline') => {
+  const cleaned = path.basename(String(name).replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim() || 'download';
+  const ascii = cleaned.normalize('NFKD').replace(/[^\x20-\x7e]/g, '').replace(/[%;]/g, '_').trim();
+  // A name with no ASCII left ("履歴書.pdf") keeps at least its extension
+  const fallback = !ascii || ascii.startsWith('.') ? `download${ascii}` : ascii;
+  const encoded = encodeURIComponent(cleaned).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${disposition === 'attachment' ? 'attachment' : 'inline'}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Send a stored resume to the client. Object storage answers with a
+ * redirect to a short-lived signed URL; local files are streamed.
+ * Returns false when the file does not exist or `filename` is not the
+ * name of a stored upload.
+ */
+const sendResumeFile = async (res, filename, { downloadName, disposition = 'inline' } = {}) => {
+  if (!isStoredFileName(filename)) {
+    return false;
+  }
+
+  const storage = getStorage();
+  const contentType = contentTypeFor(filename);
+  const header = contentDisposition(downloadName || filename, disposition);
+
+  if (!(await storage.exists(filename))) {
+    return false;
+  }
+
+  const url = await storage.getDownloadUrl(filename, { contentType, contentDisposition: header });
+  if (url) {
+    res.redirect(url);
+    return true;
+  }
+
+  const { size } = await storage.stat(filename);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', size);
+  res.setHeader('Content-Disposition', header);
+
+  const stream = await storage.createReadStream(filename);
+  stream.on('error', (error) => {
+    logger.error('Error streaming resume', { error, filename });
+    res.destroy(error);
+  });
+  stream.pipe(res);
+  return true;
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  STORED_FILE_NAME,
+  isStoredFileName,
+  contentTypeFor,
+  contentDisposition,
+  removeResumeFile,
+  copyResumeFile,
+  sendResumeFile
+};
@@ -0,0 +1,167 @@
+const { SKILL_SYNONYMS, normalizeSkills } = require('./skills');
+const { escapeRegex } = require('./jobSearch');
+
+// Section headings commonly used in resumes, keyed by the section they start
+const SECTION_HEADINGS = {
+  experience: /^(work |professional |employment )?(experience|history|employment)( history)?$/i,
+  education: /^(education|academic (background|qualifications)|qualifications)$/i,
+  skills: /^((technical |key |core )?skills|technologies|tech stack|competencies)$/i,
+  other: /^(projects|certifications?|awards|languages|interests|references|summary|profile|objective|about me)$/i
+};
+
+// Skills recognised anywhere in the text, on top of the synonym table
+const KNOWN_SKILLS = [
+  'javascript', 'typescript', 'python', 'java', 'c', 'c++', 'c#', 'go', 'rust', 'ruby', 'php',
+  'swift', 'kotlin', 'scala', 'r', 'sql', 'html', 'css', 'sass', 'react', 'angular', 'vue',
+  'svelte', 'nextjs', 'node.js', 'express', 'django', 'flask', 'spring', 'laravel', '.net',
+  'mongodb', 'mysql', 'postgresql', 'redis', 'elasticsearch', 'graphql', 'rest', 'docker',
+  'kubernetes', 'aws', 'azure', 'google cloud', 'terraform', 'git', 'linux', 'jenkins',
+  'machine learning', 'data analysis', 'tensorflow', 'pytorch', 'figma', 'ux design',
+  'agile', 'scrum', 'jira', 'excel', 'power bi', 'tableau', 'networking', 'cisco'
+];
+
+const DATE = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+)?(?:19|20)\\d{2}';
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now)`, 'i');
+const DEGREE = /\b(b\.?sc|m\.?sc|b\.?a|m\.?a|b\.?eng|m\.?eng|bachelor|master|ph\.?d|doctorate|diploma|associate|hnd|mba|degree)\b/i;
+const INSTITUTION = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+
+const unique = (values) => [...new Set(values)];
+
+const extractContact = (text, lines) => {
+  const emails = unique((text.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi) || []).map(e => e.toLowerCase()));
+  const phones = unique((text.match(/(?:\+?\d[\d\s().-]{7,}\d)/g) || [])
+    .map(phone => phone.replace(/[^\d+]/g, ''))
+    .filter(phone => phone.replace(/\D/g, '').length >= 9 && phone.replace(/\D/g, '').length <= 15));
+  const links = unique(text.match(/(?:https?:\/\/|www\.)[^\s,;)]+|(?:linkedin\.com|github\.com)\/[^\s,;)]+/gi) || []);
+
+  // The name is usually the first short line that is not contact details
+  const name = lines.find(line => (
+    line.length <= 60 &&
+    /^[A-Za-z][A-Za-z .'-]+$/.test(line) &&
+    line.split(' ').length <= 5 &&
+    !Object.values(SECTION_HEADINGS).some(pattern => pattern.test(line))
+  ));
+
+  return { name: name || null, emails, phones, links };
+};
+
+// Split lines into sections keyed by the heading that precedes them
+const splitSections = (lines) => {
+  const sections = { header: [] };
+  let current = 'header';
+
+  lines.forEach(line => {
+    const heading = line.replace(/[:\s]+$/, '');
+    const section = Object.keys(SECTION_HEADINGS).find(key => SECTION_HEADINGS[key].test(heading));
+    if (section && heading.length <= 40) {
+      current = section;
+      sections[current] = sections[current] || [];
+    } else {
+      sections[current].push(line);
+    }
+  });
+
+  return sections;
+};
+
+const extractSkills = (text, skillLines = []) => {
+  // Items listed under a skills heading, split on common separators
+  const listed = skillLines
+    .flatMap(line => line.replace(/^[^:]{0,30}:/, '').split(/[,;|•·●▪/]|\s-\s/))
+    .map(item => item.trim())
+    .filter(item => item && item.length <= 40);
+
+  // Known skill names and aliases mentioned anywhere in the text
+  const vocabulary = unique([...KNOWN_SKILLS, ...Object.keys(SKILL_SYNONYMS), ...Object.values(SKILL_SYNONYMS)]);
+  const mentioned = vocabulary.filter(skill => {
+    if (skill.length <= 2 && !/[+#]/.test(skill)) return false;
+    return new RegExp(`(^|[^a-z0-9])${escapeRegex(skill)}(?![a-z0-9+#])`, 'i').test(text);
+  });
+
+  return normalizeSkills([...listed, ...mentioned]);
+};
+
+// Group section lines into entries, starting a new entry at each date range
+const extractEntries = (lines = [], buildEntry) => {
+  const entries = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const range = DATE_RANGE.exec(line);
+    if (range) {
+      const heading = line.replace(range[0], '').replace(/[|,()–—-]+\s*$/, '').trim() || lines[index - 1] || '';
+      current = buildEntry(heading, range, lines[index - 1] || '');
+      entries.push(current);
+    } else if (current) {
+      current.description = current.description ? `${current.description}\n${line}` : line;
+    }
+  });
+
+  return entries;
+};
+
+const extractExperience = (lines) => extractEntries(lines, (heading, range) => {
+  const [title, company] = heading.split(/\s+(?:at|@|-|–|\|)\s+|,\s+/i);
+  return {
+    title: (title || '').trim() || null,
+    company: (company || '').trim() || null,
+    startDate: range[1],
+    endDate: /present|current|now/i.test(range[2]) ? null : range[2],
+    current: /present|current|now/i.test(range[2])
+  };
+});
+
+const extractEducation = (lines = []) => {
+  const pick = (pattern, ...candidates) => candidates.find(line => line && pattern.test(line)) || null;
+
+  const dated = extractEntries(lines, (heading, range, previous) => ({
+    institution: pick(INSTITUTION, heading, previous),
+    degree: pick(DEGREE, heading, previous),
+    startDate: range[1],
+    endDate: /present|current|now/i.test(range[2]) ? null : range[2]
+  }));
+
+  if (dated.length) {
+    // Fill in whichever of degree/institution sits in the entry's description
+    return dated.map(({ description, ...entry }) => {
+      const detail = (description || '').split('\n');
+      return {
+        ...entry,
+        institution: entry.institution || pick(INSTITUTION, ...detail),
+        degree: entry.degree || pick(DEGREE, ...detail)
+      };
+    });
+  }
+
+  // Undated education sections: one entry per degree line
+  return lines
+    .map((line, index) => ({ line, next: lines[index + 1] }))
+    .filter(({ line }) => DEGREE.test(line))
+    .map(({ line, next }) => ({
+      degree: line,
+      institution: pick(INSTITUTION, line, next),
+      startDate: null,
+      endDate: null
+    }));
+};
+
+/**
+ * Heuristically parse resume text into contact details, skills, employment
+ * history and education. Results are best-effort and meant as a summary
+ * and as suggestions, not as an authoritative record.
+ */
+const parseResumeText = (text) => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const sections = splitSections(lines);
+
+  return {
+    contact: extractContact(text, lines),
+    skills: extractSkills(text, sections.skills),
+    experience: extractExperience(sections.experience).slice(0, 20),
+    education: extractEducation(sections.education).slice(0, 10)
+  };
+};
+
+module.exports = {
+  parseResumeText
+};
@@ -0,0 +1,110 @@
+const Application = require('../models/applicationModel');
+const Resume = require('../models/resumeModel');
+const { getStorage } = require('./storage');
+const { streamToBuffer, extractResumeText } = require('./resumeText');
+const { parseResumeText } = require('./resumeParser');
+const { EVENTS, subscribe } = require('./events');
+const logger = require('./logger');
+
+// Extraction is CPU-heavy, so run one document at a time in the background
+let queue = Promise.resolve();
+
+const enqueue = (task) => {
+  queue = queue
+    .then(task)
+    .catch(error => logger.error('Resume processing task failed', { error }));
+  return queue;
+};
+
+const analyzeFile = async (filename) => {
+  const stream = await getStorage().createReadStream(filename);
+  const text = await extractResumeText(await streamToBuffer(stream), filename);
+  return { text, parsed: parseResumeText(text) };
+};
+
+/**
+ * Extract and parse the resume behind `doc` (an Application or library
+ * Resume), storing the text in `textField` and results in `analysisField`.
+ */
+const processDocument = async (Model, id, { fileOf, textField, analysisField }) => {
+  const doc = await Model.findById(id);
+  if (!doc) return;
+
+  doc.set(`${analysisField}.status`, 'processing');
+  await doc.save();
+
+  try {
+    const { text, parsed } = await analyzeFile(fileOf(doc));
+    doc.set(textField, text);
+    doc.set(analysisField, { status: 'completed', processedAt: new Date(), parsed });
+  } catch (error) {
+    logger.warn('Resume extraction failed', { model: Model.modelName, id: String(id), reason: error.message });
+    doc.set(analysisField, { status: 'failed', processedAt: new Date(), error: error.message });
+  }
+
+  await doc.save();
+};
+
+const processApplicationResume = async (applicationId) => {
+  const application = await Application.findById(applicationId).select('resumeSnapshot');
+  const sourceId = application && application.resumeSnapshot && application.resumeSnapshot.sourceResume;
+
+  // Reuse the library resume's results when the file was copied from it
+  if (sourceId) {
+    const source = await Resume.findById(sourceId).select('+text analysis');
+    if (source && source.analysis.status === 'completed') {
+      await Application.updateOne(
+        { _id: applicationId },
+        { $set: { resumeText: source.text, resumeAnalysis: source.analysis.toObject() } }
+      );
+      return;
+    }
+  }
+
+  await processDocument(Application, applicationId, {
+    fileOf: doc => doc.resume,
+    textField: 'resumeText',
+    analysisField: 'resumeAnalysis'
+  });
+};
+
+const processLibraryResume = (resumeId) => processDocument(Resume, resumeId, {
+  fileOf: doc => doc.filename,
+  textField: 'text',
+  analysisField: 'analysis'
+});
+
+// Pick up documents left unprocessed by a restart, or saved before
+// extraction existed
+const processPendingResumes = async () => {
+  const pending = { $in: ['pending', 'processing', null] };
+
+  const [applications, resumes] = await Promise.all([
+    Application.find({ 'resumeAnalysis.status': pending }).select('_id').lean(),
+    Resume.find({ 'analysis.status': pending }).select('_id').lean()
+  ]);
+
+  resumes.forEach(({ _id }) => enqueue(() => processLibraryResume(_id)));
+  applications.forEach(({ _id }) => enqueue(() => processApplicationResume(_id)));
+
+  if (applications.length || resumes.length) {
+    logger.info('Queued resumes for text extraction', { applications: applications.length, resumes: resumes.length });
+  }
+};
+
+const registerResumeProcessing = () => {
+  subscribe(EVENTS.APPLICATION_CREATED, ({ application }) => {
+    enqueue(() => processApplicationResume(application._id));
+  });
+  subscribe(EVENTS.RESUME_UPLOADED, ({ resume }) => {
+    enqueue(() => processLibraryResume(resume._id));
+  });
+};
+
+module.exports = {
+  enqueue,
+  processApplicationResume,
+  processLibraryResume,
+  processPendingResumes,
+  registerResumeProcessing
+};
@@ -0,0 +1,47 @@
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+
+// Cap stored text so one oversized document cannot bloat the Application
+const MAX_TEXT_LENGTH = 100000;
+
+const extractors = {
+  '.pdf': async (buffer) => (await pdfParse(buffer)).text,
+  '.docx': async (buffer) => (await mammoth.extractRawText({ buffer })).value,
+  '.doc': async (buffer) => (await new WordExtractor().extract(buffer)).getBody()
+};
+
+// Read a stream (local file or S3 object body) into a single buffer
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Extract plain text from a PDF, DOCX or DOC resume. Whitespace is tidied
+ * so the parser can work line by line.
+ */
+const extractResumeText = async (buffer, filename) => {
+  const extractor = extractors[path.extname(filename).toLowerCase()];
+  if (!extractor) {
+    throw new Error(`No text extractor for ${filename}`);
+  }
+
+  const text = await extractor(buffer);
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+};
+
+module.exports = {
+  streamToBuffer,
+  extractResumeText
+};
@@ -0,0 +1,135 @@
+const SALARY_PERIODS = ['hourly', 'monthly', 'yearly'];
+
+// Multipliers used to normalize a salary to an annual figure
+const ANNUAL_MULTIPLIER = {
+  hourly: 40 * 52,
+  monthly: 12,
+  yearly: 1
+};
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Currency symbols and local abbreviations seen in free-text salaries
+const CURRENCY_ALIASES = [
+  [/\bLKR\b|\bRs\.?(?=\s|\d)/i, 'LKR'],
+  [/\bINR\b|₹/i, 'INR'],
+  [/\bEUR\b|€/i, 'EUR'],
+  [/\bGBP\b|£/i, 'GBP'],
+  [/\bAUD\b|A\$/i, 'AUD'],
+  [/\bCAD\b|C\$/i, 'CAD'],
+  [/\bUSD\b|US\$|\$/i, 'USD']
+];
+
+const PERIOD_ALIASES = [
+  [/\/\s*(h|hr|hour)\b|per\s+hour|hourly|\bph\b/i, 'hourly'],
+  [/\/\s*(m|mo|mon|month)\b|per\s+month|monthly|\bpm\b|p\.m\./i, 'monthly'],
+  [/\/\s*(y|yr|year|annum)\b|per\s+(year|annum)|yearly|annual(ly)?|\bpa\b|p\.a\./i, 'yearly']
+];
+
+const toAnnual = (amount, period) => {
+  if (amount === undefined || amount === null) return undefined;
+  return Math.round(amount * (ANNUAL_MULTIPLIER[period] || 1));
+};
+
+// Annual bounds for a salary; a single amount is treated as both ends
+const annualRange = ({ min, max, period }) => {
+  const low = min !== undefined && min !== null ? min : max;
+  const high = max !== undefined && max !== null ? max : min;
+  return { annualMin: toAnnual(low, period), annualMax: toAnnual(high, period) };
+};
+
+// Convert "150,000", "50k" or "1.2m" into a number
+const parseAmount = (token) => {
+  const match = /^([\d,]*\.?\d+)\s*([km])?$/i.exec(token.trim());
+  if (!match) return null;
+
+  let amount = parseFloat(match[1].replace(/,/g, ''));
+  const suffix = (match[2] || '').toLowerCase();
+  if (suffix === 'k') amount *= 1000;
+  if (suffix === 'm') amount *= 1000000;
+
+  return isNaN(amount) ? null : amount;
+};
+
+/**
+ * Parse a legacy free-text salary such as "$50k-70k" or
+ * "LKR 150,000 / month" into the structured salary shape.
+ * Returns null when no amount can be recognised.
+ */
+const parseSalaryString = (text, { defaultCurrency = DEFAULT_CURRENCY } = {}) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const raw = text.trim();
+  const negotiable = /negotiable|\bneg\b|\bdoe\b|depending on experience/i.test(raw);
+
+  const currencyMatch = CURRENCY_ALIASES.find(([pattern]) => pattern.test(raw));
+  const currency = currencyMatch ? currencyMatch[1] : defaultCurrency;
+
+  const periodMatch = PERIOD_ALIASES.find(([pattern]) => pattern.test(raw));
+
+  // Pull out numbers with an optional k/m suffix; a trailing suffix on the
+  // upper bound ("50-70k") applies to both ends of the range
+  const amountTokens = raw.match(/\d[\d,]*(?:\.\d+)?\s*[km]?\b/gi) || [];
+  const amounts = amountTokens.map(parseAmount).filter(amount => amount !== null);
+
+  if (!amounts.length) {
+    return negotiable ? { currency, period: 'yearly', negotiable: true } : null;
+  }
+
+  let [min, max] = amounts;
+  if (max === undefined) max = min;
+
+  const lastSuffix = /[km]\s*$/i.exec(amountTokens[1] || '');
+  if (lastSuffix && !/[km]\s*$/i.test(amountTokens[0]) && min < 1000) {
+    min = parseAmount(`${amountTokens[0].trim()}${lastSuffix[0].trim()}`);
+  }
+
+  if (min > max) [min, max] = [max, min];
+
+  // Without an explicit period, small figures are most likely hourly rates
+  let period = periodMatch ? periodMatch[1] : 'yearly';
+  if (!periodMatch && max < 200) period = 'hourly';
+
+  return { min, max, currency, period, negotiable };
+};
+
+// Accept either a structured salary object or a legacy string
+const normalizeSalaryInput = (input) => {
+  if (typeof input === 'string') return parseSalaryString(input);
+  if (!input || typeof input !== 'object') return input;
+
+  const salary = { ...input };
+  ['min', 'max'].forEach(key => {
+    if (salary[key] === '' || salary[key] === null) delete salary[key];
+    else if (salary[key] !== undefined) salary[key] = Number(salary[key]);
+  });
+  if (typeof salary.currency === 'string') salary.currency = salary.currency.trim().toUpperCase();
+  if (typeof salary.period === 'string') salary.period = salary.period.trim().toLowerCase();
+  ['negotiable', 'hidden'].forEach(key => {
+    if (salary[key] !== undefined) salary[key] = salary[key] === true || salary[key] === 'true';
+  });
+
+  return salary;
+};
+
+// Strip amounts from hidden salaries before they leave the API
+const presentSalary = (salary) => {
+  if (!salary || !salary.hidden) return salary;
+  return {
+    currency: salary.currency,
+    period: salary.period,
+    negotiable: salary.negotiable,
+    hidden: true
+  };
+};
+
+module.exports = {
+  SALARY_PERIODS,
+  ANNUAL_MULTIPLIER,
+  DEFAULT_CURRENCY,
+  toAnnual,
+  annualRange,
+  parseSalaryString,
+  normalizeSalaryInput,
+  presentSalary
+};
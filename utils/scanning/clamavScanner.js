@@ -0,0 +1,58 @@
+const net = require('net');
+
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scans buffers with a ClamAV daemon (clamd) using the INSTREAM command.
+ * Connects over TCP (CLAMAV_HOST/CLAMAV_PORT) or a unix socket
+ * (CLAMAV_SOCKET).
+ */
+const createClamavScanner = ({
+  host = process.env.CLAMAV_HOST || '127.0.0.1',
+  port = Number(process.env.CLAMAV_PORT) || 3310,
+  socketPath = process.env.CLAMAV_SOCKET,
+  timeout = Number(process.env.CLAMAV_TIMEOUT_MS) || 15000
+} = {}) => ({
+  name: 'clamav',
+
+  scan(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = socketPath
+        ? net.createConnection({ path: socketPath })
+        : net.createConnection({ host, port });
+      const response = [];
+
+      socket.setTimeout(timeout);
+      socket.on('timeout', () => socket.destroy(new Error('ClamAV scan timed out')));
+      socket.on('error', reject);
+      socket.on('data', (chunk) => response.push(chunk));
+
+      socket.on('end', () => {
+        const reply = Buffer.concat(response).toString('utf8').replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(reply);
+
+        if (found) {
+          resolve({ clean: false, signature: found[1] });
+        } else if (reply === 'stream: OK') {
+          resolve({ clean: true });
+        } else {
+          reject(new Error(`Unexpected ClamAV response: ${reply}`));
+        }
+      });
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          socket.write(size);
+          socket.write(chunk);
+        }
+        socket.end(Buffer.alloc(4));
+      });
+    });
+  }
+});
+
+module.exports = createClamavScanner;
@@ -0,0 +1,15 @@
+// Flags only the EICAR antivirus test string, so the rejection and
+// quarantine path can be exercised without running ClamAV
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const createEicarScanner = () => ({
+  name: 'eicar',
+  async scan(buffer) {
+    return buffer.includes(EICAR)
+      ? { clean: false, signature: 'Eicar-Test-Signature' }
+      : { clean: true };
+  }
+});
+
+module.exports = createEicarScanner;
+module.exports.EICAR = EICAR;
@@ -0,0 +1,23 @@
+const createNoopScanner = require('./noopScanner');
+const createEicarScanner = require('./eicarScanner');
+const createClamavScanner = require('./clamavScanner');
+const { createRegistry } = require('../registry');
+
+/**
+ * The scanner named by FILE_SCANNER (none, eicar or clamav). Every scanner
+ * exposes `scan(buffer)` resolving to `{ clean, signature }`.
+ */
+const scanner = createRegistry({
+  envVar: 'FILE_SCANNER',
+  defaultName: 'none',
+  drivers: {
+    none: createNoopScanner,
+    eicar: createEicarScanner,
+    clamav: createClamavScanner
+  }
+});
+
+module.exports = {
+  getScanner: scanner.get,
+  setScanner: scanner.set
+};
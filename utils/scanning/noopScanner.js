@@ -0,0 +1,9 @@
+// Accepts every file; for local runs without a virus scanner
+const createNoopScanner = () => ({
+  name: 'none',
+  async scan() {
+    return { clean: true };
+  }
+});
+
+module.exports = createNoopScanner;
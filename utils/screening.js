@@ -0,0 +1,214 @@
+const { escapeRegex } = require('./jobSearch');
+
+// Validation, knockout evaluation and filtering for job screening questions
+
+// Multipart field carrying the file answer to a question
+const ANSWER_FILE_FIELD = /^answer_[a-f\d]{24}$/i;
+const answerFileField = (questionId) => `answer_${questionId}`;
+
+const YES = ['true', 'yes', '1'];
+const NO = ['false', 'no', '0'];
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (YES.includes(text)) return true;
+  if (NO.includes(text)) return false;
+  return undefined;
+};
+
+const isBlank = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && !value.trim()) || (Array.isArray(value) && !value.length);
+
+// Normalise one answer; returns { value } or { error }
+const readAnswer = (question, raw) => {
+  switch (question.type) {
+    case 'text': {
+      const value = String(raw).trim();
+      if (value.length > question.maxLength) {
+        return { error: `cannot exceed ${question.maxLength} characters` };
+      }
+      return { value };
+    }
+    case 'yesNo': {
+      const value = toBoolean(raw);
+      return value === undefined ? { error: 'must be yes or no' } : { value };
+    }
+    case 'number': {
+      const value = Number(raw);
+      if (typeof raw === 'boolean' || isNaN(value)) return { error: 'must be a number' };
+      if (question.min !== undefined && question.min !== null && value < question.min) {
+        return { error: `must be at least ${question.min}` };
+      }
+      if (question.max !== undefined && question.max !== null && value > question.max) {
+        return { error: `must be at most ${question.max}` };
+      }
+      return { value };
+    }
+    case 'multipleChoice': {
+      const picked = (Array.isArray(raw) ? raw : [raw]).map(String);
+      if (!question.allowMultiple && picked.length > 1) return { error: 'accepts a single option' };
+      if (picked.some(option => !question.options.includes(option))) {
+        return { error: `must be one of: ${question.options.join(', ')}` };
+      }
+      return { value: question.allowMultiple ? [...new Set(picked)] : picked[0] };
+    }
+    default:
+      return { error: 'has an unsupported type' };
+  }
+};
+
+// Whether an answer fails the question's knockout rule
+const failsKnockout = (question, value) => {
+  const { knockout } = question;
+  if (!knockout || !knockout.enabled || value === undefined) return false;
+
+  switch (question.type) {
+    case 'yesNo':
+      return value !== knockout.expectedAnswer;
+    case 'multipleChoice': {
+      const picked = Array.isArray(value) ? value : [value];
+      return !picked.some(option => knockout.acceptedOptions.includes(option));
+    }
+    case 'number':
+      return (knockout.min !== undefined && knockout.min !== null && value < knockout.min) ||
+        (knockout.max !== undefined && knockout.max !== null && value > knockout.max);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check `answers` (keyed by question ID) and uploaded `files` against a
+ * job's screening questions. Returns the answers to store, any validation
+ * errors ({ field, message }), and whether a knockout question
+ * disqualified the applicant.
+ */
+const evaluateAnswers = (questions = [], answers = {}, files = []) => {
+  const results = [];
+  const errors = [];
+
+  for (const question of questions) {
+    const id = question._id.toString();
+    const label = `"${question.prompt}"`;
+
+    if (question.type === 'file') {
+      const file = files.find(item => item.fieldname === answerFileField(id));
+      if (!file) {
+        if (question.required) {
+          errors.push({ field: answerFileField(id), message: `${label} requires a file` });
+        }
+        continue;
+      }
+      results.push({
+        question: question._id,
+        prompt: question.prompt,
+        type: question.type,
+        file: {
+          filename: file.filename,
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size
+        },
+        knockout: false
+      });
+      continue;
+    }
+
+    const raw = answers[id];
+    if (isBlank(raw)) {
+      if (question.required) errors.push({ field: `answers.${id}`, message: `${label} is required` });
+      continue;
+    }
+
+    const { value, error } = readAnswer(question, raw);
+    if (error) {
+      errors.push({ field: `answers.${id}`, message: `${label} ${error}` });
+      continue;
+    }
+
+    results.push({
+      question: question._id,
+      prompt: question.prompt,
+      type: question.type,
+      value,
+      knockout: failsKnockout(question, value)
+    });
+  }
+
+  const knownIds = new Set(questions.map(question => question._id.toString()));
+  Object.keys(answers).filter(id => !knownIds.has(id)).forEach(id => {
+    errors.push({ field: `answers.${id}`, message: `Unknown screening question ${id}` });
+  });
+
+  const fileFields = new Set(questions
+    .filter(question => question.type === 'file')
+    .map(question => answerFileField(question._id)));
+  files
+    .filter(file => ANSWER_FILE_FIELD.test(file.fieldname) && !fileFields.has(file.fieldname))
+    .forEach(file => errors.push({ field: file.fieldname, message: `Unexpected file for ${file.fieldname}` }));
+
+  return {
+    answers: results,
+    errors,
+    knockedOut: results.some(answer => answer.knockout)
+  };
+};
+
+// Questions as shown to applicants: knockout rules stay private
+const presentQuestions = (questions = []) => questions.map(question => {
+  const { knockout, ...visible } = question.toObject ? question.toObject() : question;
+  return visible;
+});
+
+/**
+ * Mongo conditions for filtering a job's applications by their answers.
+ * Reads `answer.<questionId>` (exact value, or contains for text) and, for
+ * numeric questions, `answerMin.<questionId>` / `answerMax.<questionId>`.
+ * Returns { conditions } or { error, field } naming the offending key.
+ */
+const buildAnswerFilter = (questions = [], query = {}) => {
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+  const conditions = [];
+
+  for (const [key, raw] of Object.entries(query)) {
+    const match = /^(answer|answerMin|answerMax)\.([a-f\d]{24})$/i.exec(key);
+    if (!match || typeof raw !== 'string') continue;
+
+    const [, kind, id] = match;
+    const question = byId.get(id);
+    if (!question || question.type === 'file') {
+      return { error: `Cannot filter by question ${id}`, field: key };
+    }
+
+    let value;
+    if (kind !== 'answer') {
+      if (question.type !== 'number' || isNaN(Number(raw))) {
+        return { error: `${kind} only applies to numeric questions and needs a number`, field: key };
+      }
+      value = { [kind === 'answerMin' ? '$gte' : '$lte']: Number(raw) };
+    } else if (question.type === 'text') {
+      value = { $regex: escapeRegex(raw), $options: 'i' };
+    } else if (question.type === 'yesNo') {
+      value = toBoolean(raw);
+      if (value === undefined) return { error: `Answer filter for ${id} must be yes or no`, field: key };
+    } else if (question.type === 'number') {
+      value = Number(raw);
+      if (isNaN(value)) return { error: `Answer filter for ${id} must be a number`, field: key };
+    } else {
+      value = raw;
+    }
+
+    conditions.push({ screeningAnswers: { $elemMatch: { question: question._id, value } } });
+  }
+
+  return { conditions };
+};
+
+module.exports = {
+  ANSWER_FILE_FIELD,
+  answerFileField,
+  evaluateAnswers,
+  presentQuestions,
+  buildAnswerFilter
+};
@@ -0,0 +1,74 @@
+// Canonical names for common skill spellings and abbreviations. Keys and
+// values are compared after basic normalization (lowercase, single spaces).
+const SKILL_SYNONYMS = {
+  'js': 'javascript',
+  'ecmascript': 'javascript',
+  'es6': 'javascript',
+  'ts': 'typescript',
+  'node': 'node.js',
+  'nodejs': 'node.js',
+  'node js': 'node.js',
+  'react.js': 'react',
+  'reactjs': 'react',
+  'react js': 'react',
+  'vue.js': 'vue',
+  'vuejs': 'vue',
+  'angularjs': 'angular',
+  'angular.js': 'angular',
+  'express.js': 'express',
+  'expressjs': 'express',
+  'next.js': 'nextjs',
+  'next js': 'nextjs',
+  'mongo': 'mongodb',
+  'mongo db': 'mongodb',
+  'postgres': 'postgresql',
+  'psql': 'postgresql',
+  'mssql': 'sql server',
+  'ms sql': 'sql server',
+  'k8s': 'kubernetes',
+  'golang': 'go',
+  'py': 'python',
+  'python3': 'python',
+  'c sharp': 'c#',
+  'csharp': 'c#',
+  'cpp': 'c++',
+  'dotnet': '.net',
+  'dot net': '.net',
+  'aws cloud': 'aws',
+  'amazon web services': 'aws',
+  'gcp': 'google cloud',
+  'ml': 'machine learning',
+  'ai': 'artificial intelligence',
+  'ui/ux': 'ux design',
+  'ux': 'ux design',
+  'html5': 'html',
+  'css3': 'css'
+};
+
+/**
+ * Reduce a skill to its canonical form: lowercased, whitespace collapsed
+ * and mapped through SKILL_SYNONYMS. Symbols that carry meaning in skill
+ * names (+, #, .) are kept.
+ */
+const normalizeSkill = (skill) => {
+  if (typeof skill !== 'string') return '';
+
+  const cleaned = skill
+    .toLowerCase()
+    .replace(/[^a-z0-9+#./\s-]/g, ' ')
+    .replace(/[\s_-]+/g, ' ')
+    .trim();
+
+  return SKILL_SYNONYMS[cleaned] || cleaned;
+};
+
+// Normalize and de-duplicate a list of skills
+const normalizeSkills = (skills = []) => [
+  ...new Set((Array.isArray(skills) ? skills : [skills]).map(normalizeSkill).filter(Boolean))
+];
+
+module.exports = {
+  SKILL_SYNONYMS,
+  normalizeSkill,
+  normalizeSkills
+};
@@ -0,0 +1,36 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+const { createRegistry } = require('../registry');
+
+/**
+ * The storage backend named by STORAGE_DRIVER (local or s3). Every backend
+ * exposes save, exists, stat, createReadStream, copy, remove and
+ * getDownloadUrl (null when files must be streamed).
+ */
+const storage = createRegistry({
+  envVar: 'STORAGE_DRIVER',
+  defaultName: 'local',
+  drivers: {
+    local: createLocalStorage,
+    s3: createS3Storage
+  }
+});
+
+// Separate area, using the same driver, for uploads that failed inspection
+// or scanning. Nothing in the API serves files from it.
+const quarantine = createRegistry({
+  envVar: 'STORAGE_DRIVER',
+  defaultName: 'local',
+  drivers: {
+    local: () => createLocalStorage({ root: process.env.QUARANTINE_DIR || path.join(__dirname, '../../quarantine') }),
+    s3: () => createS3Storage({ prefix: process.env.S3_QUARANTINE_PREFIX || 'quarantine/' })
+  }
+});
+
+module.exports = {
+  getStorage: storage.get,
+  setStorage: storage.set,
+  getQuarantineStorage: quarantine.get,
+  setQuarantineStorage: quarantine.set
+};
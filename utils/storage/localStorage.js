@@ -0,0 +1,70 @@
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+// Stores files on the local disk under `root` (default: <project>/uploads)
+const createLocalStorage = ({ root = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../uploads') } = {}) => {
+  // Keys are flat file names; never let one escape the storage root
+  const resolve = (key) => {
+    const filePath = path.resolve(root, path.basename(String(key)));
+    if (path.dirname(filePath) !== path.resolve(root)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  fs.mkdirSync(root, { recursive: true });
+
+  return {
+    name: 'local',
+    root,
+
+    async save(key, body) {
+      const filePath = resolve(key);
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(filePath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(filePath));
+      }
+      return { key };
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async stat(key) {
+      const stats = await fs.promises.stat(resolve(key));
+      return { size: stats.size };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async copy(sourceKey, targetKey) {
+      await fs.promises.copyFile(resolve(sourceKey), resolve(targetKey));
+      return { key: targetKey };
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    // Local files are streamed through the API rather than linked to
+    async getDownloadUrl() {
+      return null;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
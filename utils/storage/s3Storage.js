@@ -0,0 +1,103 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const DEFAULT_URL_TTL_SECONDS = 60;
+
+/**
+ * Stores files in an S3-compatible bucket. Set S3_ENDPOINT (and
+ * S3_FORCE_PATH_STYLE=true) to target MinIO or another local stand-in.
+ */
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  prefix = process.env.S3_PREFIX || 'resumes/',
+  urlTtlSeconds = Number(process.env.S3_SIGNED_URL_TTL) || DEFAULT_URL_TTL_SECONDS,
+  client
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const s3 = client || new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+    bucket,
+
+    async save(key, body, { contentType, contentLength } = {}) {
+      await s3.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentType: contentType,
+        ContentLength: contentLength !== undefined ? contentLength : (Buffer.isBuffer(body) ? body.length : undefined)
+      }));
+      return { key };
+    },
+
+    async exists(key) {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async stat(key) {
+      const head = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return { size: head.ContentLength };
+    },
+
+    async createReadStream(key) {
+      const object = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return object.Body;
+    },
+
+    async copy(sourceKey, targetKey) {
+      await s3.send(new CopyObjectCommand({
+        Bucket: bucket,
+        CopySource: `${bucket}/${encodeURIComponent(objectKey(sourceKey))}`,
+        Key: objectKey(targetKey)
+      }));
+      return { key: targetKey };
+    },
+
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    // Short-lived signed URL; the response headers are baked into the signature
+    getDownloadUrl(key, { contentType, contentDisposition, expiresIn = urlTtlSeconds } = {}) {
+      return getSignedUrl(s3, new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        ResponseContentType: contentType,
+        ResponseContentDisposition: contentDisposition
+      }), { expiresIn });
+    }
+  };
+};
+
+module.exports = createS3Storage;
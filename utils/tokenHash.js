@@ -0,0 +1,7 @@
+const crypto = require('crypto');
+
+// Opaque tokens (refresh tokens, email links, invitations) are stored only
+// as their SHA-256, so a leaked database holds no usable tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = { hashToken };
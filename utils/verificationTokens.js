@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const VerificationToken = require('../models/verificationTokenModel');
+const { hashToken } = require('./tokenHash');
+
+const TOKEN_TTL_MS = {
+  'email-verification': 24 * 60 * 60 * 1000,
+  'password-reset': 60 * 60 * 1000
+};
+
+// Create a token for `purpose`, replacing any unused one the user still has
+const createVerificationToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await VerificationToken.deleteMany({ user: userId, purpose, usedAt: null });
+  await VerificationToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+
+  return token;
+};
+
+// Mark a token as used and return its record, or null if it is invalid,
+// expired or already used
+const consumeVerificationToken = (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  return VerificationToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createVerificationToken,
+  consumeVerificationToken
+};
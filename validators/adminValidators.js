@@ -0,0 +1,87 @@
+const { objectIdParam, paginationQuery } = require('../middleware/validate');
+const { USER_ROLES } = require('../models/userModel');
+const { JOB_STATUSES } = require('../models/jobModel');
+const { REPORT_REASONS, REPORT_STATUSES } = require('../models/jobReportModel');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../models/auditLogModel');
+
+const ACCOUNT_STATUSES = ['active', 'suspended', 'disabled'];
+
+const idParams = { id: objectIdParam };
+const search = { type: 'string', maxLength: 200 };
+
+// Suspending, deleting and taking down need a stated reason for the audit log
+const requiredReason = { body: { reason: { type: 'string', required: true, maxLength: 500, label: 'Reason' } } };
+const optionalReason = { body: { reason: { type: 'string', maxLength: 500, label: 'Reason' } } };
+
+module.exports = {
+  listUsers: {
+    query: {
+      q: search,
+      role: { type: 'array', split: true, items: { type: 'string', enum: USER_ROLES } },
+      status: { type: 'string', enum: ACCOUNT_STATUSES },
+      ...paginationQuery
+    }
+  },
+
+  userById: { params: idParams },
+
+  suspendUser: { params: idParams, ...requiredReason },
+
+  unsuspendUser: { params: idParams, ...optionalReason },
+
+  reactivateUser: { params: idParams, ...optionalReason },
+
+  deleteUser: { params: idParams, ...requiredReason },
+
+  listOrganizations: {
+    query: {
+      q: search,
+      verified: { type: 'boolean' },
+      ...paginationQuery
+    }
+  },
+
+  setVerified: { params: idParams, ...optionalReason },
+
+  listJobs: {
+    query: {
+      q: search,
+      status: { type: 'array', split: true, items: { type: 'string', enum: JOB_STATUSES } },
+      reported: { type: 'boolean' },
+      ...paginationQuery
+    }
+  },
+
+  takeDownJob: { params: idParams, ...requiredReason },
+
+  restoreJob: { params: idParams, ...optionalReason },
+
+  listReports: {
+    query: {
+      status: { type: 'string', enum: REPORT_STATUSES, default: 'open' },
+      reason: { type: 'string', enum: REPORT_REASONS },
+      job: { type: 'objectId', label: 'Job ID' },
+      ...paginationQuery
+    }
+  },
+
+  updateReport: {
+    params: idParams,
+    body: {
+      status: { type: 'string', required: true, enum: ['resolved', 'dismissed'] },
+      note: { type: 'string', maxLength: 1000 }
+    }
+  },
+
+  auditLog: {
+    query: {
+      action: { type: 'array', split: true, items: { type: 'string', enum: AUDIT_ACTIONS } },
+      actor: { type: 'objectId', label: 'Actor ID' },
+      targetType: { type: 'string', enum: AUDIT_TARGET_TYPES },
+      target: { type: 'objectId', label: 'Target ID' },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      ...paginationQuery
+    }
+  }
+};
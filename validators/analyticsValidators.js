@@ -0,0 +1,17 @@
+const { objectIdParam } = require('../middleware/validate');
+const { INTERVAL_FORMATS } = require('../utils/analytics');
+
+const rangeQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  interval: { type: 'string', enum: Object.keys(INTERVAL_FORMATS) }
+};
+
+module.exports = {
+  companyAnalytics: { query: rangeQuery },
+
+  jobAnalytics: {
+    params: { id: { ...objectIdParam, label: 'Job ID' } },
+    query: rangeQuery
+  }
+};
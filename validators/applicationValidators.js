@@ -0,0 +1,74 @@
+const { objectIdParam, paginationQuery } = require('../middleware/validate');
+const { workflow } = require('../utils/applicationWorkflow');
+const { STORED_FILE_NAME } = require('../utils/resumeFiles');
+
+const applicationIdParams = { id: { ...objectIdParam, label: 'Application ID' } };
+const knockedOut = { type: 'boolean' };
+
+module.exports = {
+  // Multipart: runs after the upload middleware has parsed the fields
+  apply: {
+    body: {
+      jobId: { ...objectIdParam, label: 'Job ID' },
+      resumeId: { type: 'objectId', label: 'Resume ID' },
+      coverLetter: { type: 'string', maxLength: 5000, label: 'Cover letter' },
+      // Object keyed by question ID, sent as JSON text
+      answers: { type: 'object', json: true, default: {}, label: 'Answers' }
+    }
+  },
+
+  resumeFile: {
+    params: {
+      // Only names of stored uploads; rules out paths and traversal
+      filename: { type: 'string', required: true, trim: false, pattern: STORED_FILE_NAME, patternMessage: 'is not a valid file name' }
+    }
+  },
+
+  companyApplications: { query: { knockedOut } },
+
+  // Screening answer filters (answer.<questionId>, ...) are dynamic keys
+  // checked against the job's questions by the handler
+  jobApplications: {
+    params: { jobId: { ...objectIdParam, label: 'Job ID' } },
+    query: {
+      sort: { type: 'string', enum: ['newest', 'match'] },
+      knockedOut
+    }
+  },
+
+  searchApplications: {
+    query: {
+      q: { type: 'string', maxLength: 200 },
+      status: { type: 'array', split: true, items: { type: 'string', enum: workflow.statuses } },
+      job: { type: 'objectId', label: 'Job ID' },
+      appliedAfter: { type: 'date' },
+      appliedBefore: { type: 'date' },
+      minScore: { type: 'number', min: 0, max: 100 },
+      maxScore: { type: 'number', min: 0, max: 100 },
+      sort: { type: 'string', enum: ['relevance', 'newest', 'oldest', 'match'] },
+      ...paginationQuery
+    }
+  },
+
+  updateStatus: {
+    params: applicationIdParams,
+    body: {
+      status: { type: 'string', required: true, enum: workflow.statuses },
+      note: { type: 'string', maxLength: 1000 },
+      rejectionReason: { type: 'string', maxLength: 500 },
+      visibleToApplicant: { type: 'boolean', default: false }
+    }
+  },
+
+  withdraw: {
+    params: applicationIdParams,
+    body: { note: { type: 'string', maxLength: 1000 } }
+  },
+
+  answerFile: {
+    params: {
+      ...applicationIdParams,
+      questionId: { ...objectIdParam, label: 'Question ID' }
+    }
+  }
+};
@@ -0,0 +1,77 @@
+const { SIGNUP_ROLES } = require('../models/userModel');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const password = { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH, label: 'Password' };
+const refreshTokenBody = { refreshToken: { type: 'string' } };
+const providerParams = { provider: { type: 'string', required: true, pattern: /^[a-z\d]+$/, label: 'Provider' } };
+
+module.exports = {
+  signup: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 50, label: 'Name' },
+      email: { type: 'email', required: true, label: 'Email' },
+      password,
+      role: { type: 'string', enum: SIGNUP_ROLES, default: 'jobSeeker', label: 'Role' }
+    }
+  },
+
+  login: {
+    body: {
+      email: { type: 'string', required: true, lowercase: true, label: 'Email' },
+      password: { type: 'string', required: true, label: 'Password' }
+    }
+  },
+
+  // The refresh token may also come from the cookie
+  refresh: { body: refreshTokenBody },
+
+  logout: { body: refreshTokenBody },
+
+  forgotPassword: {
+    body: { email: { type: 'email', required: true, label: 'Email' } }
+  },
+
+  resetPassword: {
+    body: {
+      token: { type: 'string', required: true, label: 'Token' },
+      password
+    }
+  },
+
+  verifyEmail: {
+    body: { token: { type: 'string', required: true, label: 'Token' } }
+  },
+
+  // Accounts that only sign in with a provider have no password to confirm
+  deactivate: {
+    body: { password: { type: 'string', label: 'Password' } }
+  },
+
+  oidcAuthorize: {
+    params: providerParams,
+    query: {
+      // Page of the web client to return to; a path, never another site
+      returnTo: { type: 'string', maxLength: 500, pattern: /^\/(?![/\\])/, patternMessage: 'must be a path on this site', label: 'Return path' }
+    }
+  },
+
+  // Providers report failures in the query; the handler turns every
+  // outcome into a redirect back to the web client
+  oidcCallback: {
+    params: providerParams,
+    query: {
+      code: { type: 'string', maxLength: 2048 },
+      state: { type: 'string', maxLength: 256 },
+      error: { type: 'string', maxLength: 256 },
+      error_description: { type: 'string', maxLength: 1000 }
+    }
+  },
+
+  oidcComplete: {
+    body: {
+      signupToken: { type: 'string', required: true, label: 'Sign-up token' },
+      role: { type: 'string', required: true, enum: SIGNUP_ROLES, label: 'Role' }
+    }
+  }
+};
@@ -0,0 +1,56 @@
+const { objectIdParam } = require('../middleware/validate');
+const { INTERVIEW_STATUSES, INTERVIEW_MODES, MAX_SLOTS } = require('../models/interviewModel');
+
+const interviewIdParams = { id: { ...objectIdParam, label: 'Interview ID' } };
+
+const slot = {
+  type: 'object',
+  properties: {
+    start: { type: 'date', required: true },
+    end: { type: 'date', required: true }
+  },
+  validate: ({ start, end }) => {
+    if (end <= start) return 'must end after it starts';
+    if (start <= new Date()) return 'must be in the future';
+    return undefined;
+  }
+};
+
+const slots = { type: 'array', required: true, minItems: 1, maxItems: MAX_SLOTS, items: slot, label: 'Slots' };
+const timezone = { type: 'string', maxLength: 100, label: 'Timezone' };
+const reason = { type: 'string', maxLength: 500, label: 'Reason' };
+
+module.exports = {
+  proposeInterview: {
+    body: {
+      applicationId: { ...objectIdParam, label: 'Application ID' },
+      slots,
+      timezone,
+      mode: { type: 'string', enum: INTERVIEW_MODES },
+      location: { type: 'string', maxLength: 200 },
+      videoLink: { type: 'url', label: 'Video link' },
+      interviewers: { type: 'array', maxItems: 20, items: { type: 'objectId', label: 'Interviewer ID' } },
+      notes: { type: 'string', maxLength: 2000 }
+    }
+  },
+
+  myInterviews: {
+    query: {
+      status: { type: 'string', enum: INTERVIEW_STATUSES },
+      upcoming: { type: 'boolean' }
+    }
+  },
+
+  interviewById: { params: interviewIdParams },
+
+  acceptInterview: {
+    params: interviewIdParams,
+    body: { slotId: { ...objectIdParam, label: 'Slot ID' } }
+  },
+
+  declineInterview: { params: interviewIdParams, body: { reason } },
+
+  rescheduleInterview: { params: interviewIdParams, body: { slots, timezone } },
+
+  cancelInterview: { params: interviewIdParams, body: { reason } }
+};
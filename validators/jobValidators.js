@@ -0,0 +1,125 @@
+const { objectIdParam, paginationQuery } = require('../middleware/validate');
+const { JOB_STATUSES, JOB_TYPES, QUESTION_TYPES, MAX_SCREENING_QUESTIONS } = require('../models/jobModel');
+const { REPORT_REASONS } = require('../models/jobReportModel');
+const { SALARY_PERIODS } = require('../utils/salary');
+const { SORT_OPTIONS } = require('../utils/jobSearch');
+
+const stringList = (itemRule = {}) => ({ type: 'array', split: true, items: { type: 'string', ...itemRule } });
+
+// Criteria shared by the job listing and saved searches; lists accept
+// repeated values or comma-separated strings
+const jobSearchFields = {
+  q: { type: 'string', maxLength: 200 },
+  jobType: stringList({ enum: JOB_TYPES }),
+  location: { type: 'string', maxLength: 100 },
+  skills: stringList({ maxLength: 50 }),
+  skillsMatch: { type: 'string', enum: ['any', 'all'] },
+  salaryMin: { type: 'number', min: 0 },
+  salaryMax: { type: 'number', min: 0 },
+  salaryPeriod: { type: 'string', enum: SALARY_PERIODS },
+  currency: { type: 'string', pattern: /^[a-z]{3}$/i, patternMessage: 'must be a 3-letter currency code' }
+};
+
+const screeningQuestion = {
+  type: 'object',
+  properties: {
+    // Sent back when editing so answers keep pointing at the same question
+    _id: { type: 'objectId' },
+    type: { type: 'string', enum: QUESTION_TYPES },
+    prompt: { type: 'string' },
+    required: { type: 'boolean' },
+    options: stringList(),
+    allowMultiple: { type: 'boolean' },
+    min: { type: 'number' },
+    max: { type: 'number' },
+    maxLength: { type: 'integer' },
+    knockout: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        expectedAnswer: { type: 'boolean' },
+        acceptedOptions: stringList(),
+        min: { type: 'number' },
+        max: { type: 'number' }
+      }
+    }
+  }
+};
+
+// Fields a company may set on a posting. Lengths and required fields are
+// enforced by the Job model
+const jobFields = {
+  title: { type: 'string' },
+  company: { type: 'string' },
+  // Structured { min, max, currency, period, negotiable, hidden }, or the
+  // legacy free-text form
+  salary: {
+    type: 'any',
+    validate: value => (typeof value === 'string' || (value && typeof value === 'object' && !Array.isArray(value))
+      ? undefined
+      : 'must be an object or text')
+  },
+  location: { type: 'string' },
+  description: { type: 'string' },
+  skillsRequired: stringList({ maxLength: 50 }),
+  jobType: { type: 'string', enum: JOB_TYPES },
+  expiresAt: { type: 'date', nullable: true },
+  screeningQuestions: { type: 'array', items: screeningQuestion, maxItems: MAX_SCREENING_QUESTIONS }
+};
+
+const jobIdParams = { id: { ...objectIdParam, label: 'Job ID' } };
+
+module.exports = {
+  jobSearchFields,
+
+  listJobs: {
+    query: {
+      ...jobSearchFields,
+      skillsRequired: stringList({ maxLength: 50 }),
+      postedAfter: { type: 'date' },
+      postedBefore: { type: 'date' },
+      postedWithin: { type: 'integer', min: 1 },
+      sort: { type: 'string', enum: ['relevance', ...Object.keys(SORT_OPTIONS)] },
+      ...paginationQuery
+    }
+  },
+
+  createJob: {
+    body: {
+      ...jobFields,
+      status: { type: 'string', enum: ['draft', 'open'], default: 'open' },
+      organization: { type: 'objectId', label: 'Organization ID' }
+    }
+  },
+
+  myJobs: {
+    query: { status: stringList({ enum: JOB_STATUSES }) }
+  },
+
+  recommendedJobs: {
+    query: {
+      minScore: { type: 'number', min: 0, max: 100 },
+      ...paginationQuery
+    }
+  },
+
+  jobById: { params: jobIdParams },
+
+  updateJob: { params: jobIdParams, body: jobFields },
+
+  updateJobStatus: {
+    params: jobIdParams,
+    body: {
+      status: { type: 'string', required: true, enum: ['open', 'closed'] },
+      expiresAt: { type: 'date', nullable: true }
+    }
+  },
+
+  reportJob: {
+    params: jobIdParams,
+    body: {
+      reason: { type: 'string', required: true, enum: REPORT_REASONS },
+      details: { type: 'string', maxLength: 1000 }
+    }
+  }
+};
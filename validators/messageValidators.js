@@ -0,0 +1,28 @@
+const { objectIdParam } = require('../middleware/validate');
+
+const threadParams = { applicationId: { ...objectIdParam, label: 'Application ID' } };
+
+module.exports = {
+  thread: { params: threadParams },
+
+  listMessages: {
+    params: threadParams,
+    query: {
+      after: { type: 'date' },
+      before: { type: 'date' },
+      limit: { type: 'integer', min: 1 }
+    }
+  },
+
+  // Multipart: runs after the upload middleware has parsed the fields
+  sendMessage: {
+    body: { body: { type: 'string', maxLength: 5000, label: 'Message' } }
+  },
+
+  attachment: {
+    params: {
+      ...threadParams,
+      attachmentId: { ...objectIdParam, label: 'Attachment ID' }
+    }
+  }
+};
@@ -0,0 +1,27 @@
+const { objectIdParam, paginationQuery } = require('../middleware/validate');
+const { NOTIFICATION_TYPES } = require('../models/notificationModel');
+
+const channels = {
+  type: 'object',
+  properties: {
+    inApp: { type: 'boolean' },
+    email: { type: 'boolean' }
+  }
+};
+
+module.exports = {
+  listNotifications: {
+    query: {
+      unread: { type: 'boolean' },
+      ...paginationQuery
+    }
+  },
+
+  updatePreferences: {
+    body: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, channels]))
+  },
+
+  notificationById: {
+    params: { id: { ...objectIdParam, label: 'Notification ID' } }
+  }
+};
@@ -0,0 +1,54 @@
+const { objectIdParam } = require('../middleware/validate');
+const { ORGANIZATION_ROLES } = require('../models/organizationModel');
+
+const organizationIdParams = { id: { ...objectIdParam, label: 'Organization ID' } };
+const memberParams = {
+  ...organizationIdParams,
+  userId: { ...objectIdParam, label: 'User ID' }
+};
+
+const profileFields = {
+  name: { type: 'string', maxLength: 100, label: 'Organization name' },
+  logo: { type: 'url', nullable: true, label: 'Logo' },
+  website: { type: 'url', nullable: true, label: 'Website' },
+  description: { type: 'string', maxLength: 2000, nullable: true, label: 'Description' }
+};
+
+module.exports = {
+  createOrganization: {
+    body: {
+      ...profileFields,
+      name: { ...profileFields.name, required: true }
+    }
+  },
+
+  acceptInvitation: {
+    body: { token: { type: 'string', required: true, maxLength: 200, label: 'Token' } }
+  },
+
+  organizationById: { params: organizationIdParams },
+
+  updateOrganization: { params: organizationIdParams, body: profileFields },
+
+  updateMember: {
+    params: memberParams,
+    body: { role: { type: 'string', required: true, enum: ORGANIZATION_ROLES } }
+  },
+
+  removeMember: { params: memberParams },
+
+  createInvitation: {
+    params: organizationIdParams,
+    body: {
+      email: { type: 'email', required: true, label: 'Email' },
+      role: { type: 'string', enum: ORGANIZATION_ROLES, default: 'recruiter' }
+    }
+  },
+
+  invitationById: {
+    params: {
+      ...organizationIdParams,
+      invitationId: { ...objectIdParam, label: 'Invitation ID' }
+    }
+  }
+};
@@ -0,0 +1,83 @@
+const { objectIdParam } = require('../middleware/validate');
+const { JOB_TYPES } = require('../models/jobModel');
+const { SALARY_PERIODS } = require('../utils/salary');
+
+const resumeIdParams = { id: { ...objectIdParam, label: 'Resume ID' } };
+
+// Subdocument IDs are accepted so existing entries keep theirs
+const experienceEntry = {
+  type: 'object',
+  properties: {
+    _id: { type: 'objectId' },
+    title: { type: 'string', required: true, maxLength: 100 },
+    company: { type: 'string', required: true, maxLength: 100 },
+    location: { type: 'string', maxLength: 100 },
+    startDate: { type: 'date', required: true },
+    endDate: { type: 'date', nullable: true },
+    current: { type: 'boolean' },
+    description: { type: 'string', maxLength: 2000 }
+  }
+};
+
+const educationEntry = {
+  type: 'object',
+  properties: {
+    _id: { type: 'objectId' },
+    institution: { type: 'string', required: true, maxLength: 150 },
+    degree: { type: 'string', maxLength: 100 },
+    fieldOfStudy: { type: 'string', maxLength: 100 },
+    startDate: { type: 'date', nullable: true },
+    endDate: { type: 'date', nullable: true },
+    description: { type: 'string', maxLength: 1000 }
+  }
+};
+
+const link = {
+  type: 'object',
+  properties: {
+    label: { type: 'string', required: true, maxLength: 50 },
+    url: { type: 'url', required: true }
+  }
+};
+
+module.exports = {
+  updateProfile: {
+    body: {
+      headline: { type: 'string', maxLength: 150 },
+      location: { type: 'string', maxLength: 100 },
+      summary: { type: 'string', maxLength: 3000 },
+      skills: { type: 'array', split: true, maxItems: 100, items: { type: 'string', maxLength: 50 } },
+      experience: { type: 'array', maxItems: 50, items: experienceEntry },
+      education: { type: 'array', maxItems: 20, items: educationEntry },
+      links: { type: 'array', maxItems: 20, items: link },
+      desiredJobTypes: { type: 'array', split: true, items: { type: 'string', enum: JOB_TYPES } },
+      desiredSalary: {
+        type: 'object',
+        properties: {
+          min: { type: 'number', min: 0 },
+          max: { type: 'number', min: 0 },
+          currency: { type: 'string', pattern: /^[A-Za-z]{3}$/, patternMessage: 'must be a 3-letter currency code' },
+          period: { type: 'string', enum: SALARY_PERIODS }
+        }
+      }
+    }
+  },
+
+  autofill: {
+    body: { resumeId: { type: 'objectId', label: 'Resume ID' } }
+  },
+
+  // Multipart: runs after the upload middleware has parsed the fields
+  uploadResume: {
+    body: {
+      label: { type: 'string', maxLength: 100, label: 'Label' },
+      makeDefault: { type: 'boolean', default: false }
+    }
+  },
+
+  resumeById: { params: resumeIdParams },
+
+  applicantProfile: {
+    params: { userId: { ...objectIdParam, label: 'User ID' } }
+  }
+};
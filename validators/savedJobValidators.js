@@ -0,0 +1,13 @@
+const { objectIdParam, paginationQuery } = require('../middleware/validate');
+
+module.exports = {
+  listSavedJobs: { query: paginationQuery },
+
+  saveJob: {
+    body: { jobId: { ...objectIdParam, label: 'Job ID' } }
+  },
+
+  removeSavedJob: {
+    params: { jobId: { ...objectIdParam, label: 'Job ID' } }
+  }
+};
@@ -0,0 +1,39 @@
+const { objectIdParam, paginationQuery } = require('../middleware/validate');
+const { ALERT_FREQUENCIES } = require('../models/savedSearchModel');
+const { jobSearchFields } = require('./jobValidators');
+
+const savedSearchIdParams = { id: { ...objectIdParam, label: 'Saved search ID' } };
+
+// Same criteria as the GET /api/jobs query
+const criteria = { type: 'object', properties: jobSearchFields };
+
+module.exports = {
+  unsubscribe: {
+    body: {
+      token: { type: 'string', required: true, label: 'Unsubscribe token' },
+      all: { type: 'boolean', default: false }
+    }
+  },
+
+  createSavedSearch: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      criteria: { ...criteria, default: {} },
+      frequency: { type: 'string', enum: ALERT_FREQUENCIES }
+    }
+  },
+
+  updateSavedSearch: {
+    params: savedSearchIdParams,
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      criteria,
+      frequency: { type: 'string', enum: ALERT_FREQUENCIES },
+      active: { type: 'boolean' }
+    }
+  },
+
+  savedSearchById: { params: savedSearchIdParams },
+
+  savedSearchJobs: { params: savedSearchIdParams, query: paginationQuery }
+};